@@ -1,14 +1,21 @@
 #!/usr/bin/env node
-import { Command } from 'commander';
+import { Command, Option } from 'commander';
 import chalk from 'chalk';
-import { getCredentials } from './src/lib/configManager.js';
+import { getCredentials, getApiKeyInfo, useProfile } from './src/lib/configManager.js';
+import { missingScopes, isKnownScope } from './src/lib/scopes.js';
+import { setHttpOptions } from './src/lib/httpClient.js';
 import registerApiKeyCommands from './src/commands/apiKeyCommands.js';
 import registerDatasetCommands from './src/commands/datasetCommands.js';
 import registerItemCommands from './src/commands/itemCommands.js';
 import registerInstanceCommands from './src/commands/instanceCommands.js';
 import registerHealthCommands from './src/commands/healthCommands.js';
 import registerAuthCommands from './src/commands/authCommands.js';
+import registerProfileCommands from './src/commands/profileCommands.js';
+import registerStorCommands from './src/commands/storCommands.js';
+import registerBackupCommands from './src/commands/backupCommands.js';
 import { handleError } from './src/utils/errorHandler.js';
+import { parseNonNegative, parseNonNegativeInt } from './src/utils/optionParsers.js';
+import { setOutputFormat, printLine, printWarning, OUTPUT_FORMATS } from './src/utils/outputFormatter.js';
 import { readFileSync } from 'fs';
 
 // Load package.json for version info
@@ -29,26 +36,58 @@ program
   Visit: https://refwire.online
   Docs:  https://github.com/coretravis/RefWireCLI
   `)))
-    .version(packageJson.version);
+    .version(packageJson.version)
+    .option('--profile <name>', 'Connection profile to use (overrides REFWIRE_PROFILE)')
+    .addOption(new Option('-o, --output <format>', 'Output format; structured formats write only the result to stdout')
+        .choices(OUTPUT_FORMATS)
+        .default('table'))
+    .option('--http-timeout <seconds>', 'Timeout of each HTTP request, 0 for none (default: 15)', parseNonNegative)
+    .option('--retries <n>', 'Retries on 5xx, 429 and network errors, with exponential backoff (default: 3)', parseNonNegativeInt)
+    .option('--proxy <url>', 'HTTP(S) proxy (default: HTTPS_PROXY/HTTP_PROXY, honoring NO_PROXY)')
+    .option('--ca-cert <file>', 'PEM bundle of extra certificate authorities to trust')
+    .option('--insecure', 'Skip TLS certificate verification (local development only)');
 
 
 // Global hook to ensure credentials are set before any command action
 program.hook('preAction', async (thisCommand, actionCommand) => {
     try {
+        // Apply global options before any configuration is loaded or output is written
+        const globalOptions = thisCommand.opts();
+        setOutputFormat(globalOptions.output);
+        useProfile(globalOptions.profile);
+        setHttpOptions(globalOptions);
+
         // Skip credential check for auth commands
-        const isAuthCommand = actionCommand.parent &&
-            actionCommand.parent.name() === 'auth';
+        const parentName = actionCommand.parent && actionCommand.parent.name();
+        const isAuthCommand = parentName === 'auth';
+
+        // Top-level command group, for nested commands such as `stor cache list`
+        let groupCommand = actionCommand;
+        while (groupCommand.parent && groupCommand.parent !== thisCommand) {
+            groupCommand = groupCommand.parent;
+        }
 
         // These specific auth commands don't need credentials
-        const skipCredentialCommands = ['logout', 'status'];
+        const skipCredentialCommands = ['login', 'logout', 'status', 'migrate'];
 
-        if (isAuthCommand && skipCredentialCommands.includes(actionCommand.name())) {
-            console.log(chalk.dim(`Executing: ${actionCommand.name()}`));
+        const commandPath = `${groupCommand.name()} ${actionCommand.name()}`;
+
+        // Profile management works on the config file directly, ListStor is public and the scope catalog is built in
+        if (parentName === 'profile' || groupCommand.name() === 'stor' || commandPath === 'api-key scopes' || (isAuthCommand && skipCredentialCommands.includes(actionCommand.name()))) {
+            printLine(chalk.dim(`Executing: ${actionCommand.name()}`));
             return;
         }
         
         await getCredentials(); // Ensures URL and API Key are prompted for if not already set
-        console.log(chalk.dim(`Executing: ${actionCommand.name()}`));
+
+        // Scopes are only known once recorded (api-key whoami, rotate --update-profile); the server stays the authority.
+        // A scope outside the catalog may grant anything, so there is nothing to warn about then.
+        const keyScopes = getApiKeyInfo()?.scopes;
+        const missing = keyScopes?.every(isKnownScope) ? missingScopes(commandPath, keyScopes) : [];
+        if (missing.length > 0) {
+            printWarning(`The API key in use lacks the ${missing.join(', ')} scope(s) that '${commandPath}' needs; the server will likely reject it. See 'refwire api-key whoami'.`);
+        }
+        printLine(chalk.dim(`Executing: ${actionCommand.name()}`));
     } catch (error) {
         handleError(error);
         process.exit(1); // Exit if credential setup fails
@@ -62,6 +101,9 @@ registerItemCommands(program);
 registerHealthCommands(program);
 registerInstanceCommands(program);
 registerAuthCommands(program);
+registerProfileCommands(program);
+registerStorCommands(program);
+registerBackupCommands(program);
 
 program.parseAsync(process.argv).catch(err => {
     handleError(err);
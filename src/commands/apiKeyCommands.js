@@ -1,8 +1,88 @@
-import { Command } from 'commander';
+import { Command, InvalidArgumentError } from 'commander';
 import chalk from 'chalk';
+import inquirer from 'inquirer';
 import * as api from '../lib/apiClient.js';
+import { getApiKeyInfo, saveApiKeyInfo, getActiveProfile, getProfile, saveProfile, getConfig, constants } from '../lib/configManager.js';
+import { getScopeCatalog, resolveScopes, describeCommandAccess } from '../lib/scopes.js';
 import { handleError } from '../utils/errorHandler.js';
-import { printSuccess, printApiKeysTable, printKeyCreated, printJson, printInfo } from '../utils/outputFormatter.js';
+import { printSuccess, printApiKeysTable, printKeyCreated, printInfo, printWarning, printError, printResult, printScopeCatalog, printWhoAmI, isStructuredOutput } from '../utils/outputFormatter.js';
+import { parseDuration, formatDuration, isExpiringWithin, EXPIRY_WARNING_WINDOW } from '../utils/duration.js';
+
+const parseDurationOption = (value) => {
+    try {
+        return parseDuration(value);
+    } catch (error) {
+        throw new InvalidArgumentError(error.message);
+    }
+};
+
+async function pickScopes(selected = []) {
+    if (!process.stdin.isTTY || isStructuredOutput()) {
+        throw new Error('Pass scope names to --scopes; the scope picker needs an interactive terminal.');
+    }
+    const { scopes } = await inquirer.prompt([{
+        type: 'checkbox',
+        name: 'scopes',
+        message: 'Select scopes for the key:',
+        pageSize: 12,
+        choices: getScopeCatalog().map(scope => ({
+            name: `${scope.name.padEnd(17)} ${chalk.dim(scope.description)}`,
+            value: scope.name,
+            checked: selected.includes(scope.name),
+        })),
+    }]);
+    return scopes;
+}
+
+// A bare --scopes opens the picker; names are checked against the catalog and unique prefixes completed
+const scopesFromOptions = (options, current = []) => (options.scopes === true
+    ? pickScopes(current)
+    : resolveScopes(options.scopes, { allowUnknown: options.allowUnknownScopes }));
+
+const expiryFromNow = (ms) => new Date(Date.now() + ms).toISOString();
+
+// The server may not honour a requested expiry; say so rather than let the key lapse unexpectedly
+const warnIfExpiryDiffers = (requested, actual) => {
+    if (!requested || Math.abs(Date.parse(actual) - Date.parse(requested)) <= 60 * 1000) return;
+    printWarning(`The server set the expiry to ${actual ? new Date(actual).toLocaleString() : 'its default'} instead of ${new Date(requested).toLocaleString()}.`);
+};
+
+/**
+ * Switch the active profile to a newly issued key and record its ID and expiry.
+ * @param {{ id: string, oneTimeDisplayKey: string, expiresAt?: string }} created
+ * @returns {boolean} false when the active profile is not saved in the config file
+ */
+function useKeyInProfile(created) {
+    const profileName = getActiveProfile().name;
+    const profile = getProfile(profileName);
+    if (!profile) return false;
+    saveProfile(profileName, { ...profile, apiKey: created.oneTimeDisplayKey });
+    saveApiKeyInfo(created.oneTimeDisplayKey, { id: created.id, expiresAt: created.expiresAt, scopes: created.scopes });
+    return true;
+}
+
+/**
+ * Retire a key after a rotation: revoke it now, or shorten its expiry to the end of the grace period.
+ * @param {object} oldKey - the key being replaced
+ * @param {number} graceMs
+ * @returns {Promise<{ id: string, revoked: boolean, expiresAt: string|null }>}
+ */
+async function retireKey(oldKey, graceMs) {
+    if (graceMs === 0) {
+        await api.revokeApiKey(oldKey.id);
+        return { id: oldKey.id, revoked: true, expiresAt: null };
+    }
+    const graceEnd = expiryFromNow(graceMs);
+    // Never extend a key that already expires sooner
+    if (oldKey.expiresAt && Date.parse(oldKey.expiresAt) <= Date.parse(graceEnd)) {
+        return { id: oldKey.id, revoked: false, expiresAt: oldKey.expiresAt };
+    }
+    const updated = await api.updateApiKey(oldKey.id, oldKey.name, oldKey.description, oldKey.scopes || [], graceEnd);
+    if (!updated?.expiresAt || Math.abs(Date.parse(updated.expiresAt) - Date.parse(graceEnd)) > 60 * 1000) {
+        throw new Error(`The server did not shorten the old key's expiry. Revoke it when you are ready with: refwire api-key revoke ${oldKey.id}`);
+    }
+    return { id: oldKey.id, revoked: false, expiresAt: updated.expiresAt };
+}
 
 export default function registerApiKeyCommands(program) {
     const apiKeyCommand = program.command('api-key')
@@ -10,14 +90,19 @@ export default function registerApiKeyCommands(program) {
 
     apiKeyCommand
         .command('create')
-        .description('Create a new API key (expires in 30 days)')
+        .description('Create a new API key (expires in 30 days unless --expires-in is given)')
         .argument('<name>', 'A descriptive name for the key')
         .option('-d, --description <text>', 'Optional description for the key')
-        .option('-s, --scopes <scopes...>', 'Optional space-separated list of scopes')
+        .option('-s, --scopes [scopes...]', 'Optional space-separated list of scopes (without names: pick from the catalog)')
+        .option('--allow-unknown-scopes', 'Accept scopes that are not in the catalog (custom server scopes)')
+        .option('--expires-in <duration>', 'Lifetime of the key, e.g. 12h, 90d, 1y', parseDurationOption)
         .action(async (name, options) => {
             try {
-                const result = await api.createApiKey(name, options.description, options.scopes || []);
-                printKeyCreated(result);
+                const scopes = await scopesFromOptions(options);
+                const expiresAt = options.expiresIn ? expiryFromNow(options.expiresIn) : undefined;
+                const result = await api.createApiKey(name, options.description, scopes, expiresAt);
+                printResult(result, printKeyCreated);
+                warnIfExpiryDiffers(expiresAt, result.expiresAt);
             } catch (error) {
                 handleError(error, 'api-key create');
                 process.exitCode = 1;
@@ -30,13 +115,136 @@ export default function registerApiKeyCommands(program) {
         .action(async () => {
             try {
                 const keys = await api.listApiKeys();
-                printApiKeysTable(keys);
+                printResult(keys, (entries) => printApiKeysTable(entries, { currentKeyId: getApiKeyInfo()?.id }));
             } catch (error) {
                 handleError(error, 'api-key list');
                 process.exitCode = 1;
             }
         });
 
+    apiKeyCommand
+        .command('scopes')
+        .description('List the known API key scopes and what they allow')
+        .action(() => {
+            printResult(getScopeCatalog(), printScopeCatalog);
+        });
+
+    apiKeyCommand
+        .command('whoami')
+        .description('Show the API key in use, its scopes and which commands they allow')
+        .option('--id <id>', 'ID of the key this CLI uses (remembered for the active profile)')
+        .action(async (options) => {
+            try {
+                const id = options.id || getApiKeyInfo()?.id;
+                if (!id) {
+                    throw new Error("The CLI doesn't know the ID of the API key it uses. Find it with 'refwire api-key list' and pass --id <id>; it is remembered for this profile.");
+                }
+                const key = await api.getApiKey(id);
+                if (!key) {
+                    throw new Error(`API Key with ID ${id} not found.`);
+                }
+                const scopes = key.scopes || [];
+                const remembered = saveApiKeyInfo(getConfig().apiKey, { id, expiresAt: key.expiresAt, scopes });
+                const { allowed, denied } = describeCommandAccess(scopes);
+                printResult({
+                    id,
+                    name: key.name,
+                    description: key.description ?? null,
+                    scopes,
+                    expiresAt: key.expiresAt ?? null,
+                    profile: getActiveProfile().name,
+                    remembered,
+                    allowedCommands: allowed,
+                    deniedCommands: denied,
+                }, printWhoAmI);
+            } catch (error) {
+                handleError(error, 'api-key whoami');
+                process.exitCode = 1;
+            }
+        });
+
+    apiKeyCommand
+        .command('expiring')
+        .description('List API keys that expire soon (or have expired); exits with code 1 when there are any')
+        .option('--within <duration>', 'How far ahead to look, e.g. 24h, 7d, 2w', parseDurationOption, parseDuration(EXPIRY_WARNING_WINDOW))
+        .action(async (options) => {
+            try {
+                const keys = ((await api.listApiKeys()) || [])
+                    .filter(key => isExpiringWithin(key.expiresAt, options.within))
+                    .sort((a, b) => Date.parse(a.expiresAt) - Date.parse(b.expiresAt));
+                printResult(keys, (entries) => {
+                    if (entries.length === 0) {
+                        printSuccess(`No API keys expire within ${formatDuration(options.within)}.`);
+                        return;
+                    }
+                    printWarning(`${entries.length} API key(s) expire within ${formatDuration(options.within)}:`);
+                    printApiKeysTable(entries, { currentKeyId: getApiKeyInfo()?.id });
+                });
+                if (keys.length > 0) process.exitCode = 1;
+            } catch (error) {
+                handleError(error, 'api-key expiring');
+                process.exitCode = 1;
+            }
+        });
+
+    apiKeyCommand
+        .command('rotate')
+        .description('Replace an API key with a new one with the same name, description and scopes')
+        .argument('<id>', 'The ID of the API key to rotate')
+        .option('--expires-in <duration>', 'Lifetime of the new key, e.g. 90d (default: server default of 30 days)', parseDurationOption)
+        .option('--revoke-old-after <duration>', 'Retire the old key after a grace period, e.g. 1h or 7d; 0 revokes it immediately', (value) => (value === '0' ? 0 : parseDurationOption(value)))
+        .option('--update-profile', 'Use the new key in the active profile (when rotating the key this CLI uses)')
+        .action(async (id, options) => {
+            try {
+                const oldKey = await api.getApiKey(id);
+                if (!oldKey) {
+                    throw new Error(`API Key with ID ${id} not found.`);
+                }
+                const expiresAt = options.expiresIn ? expiryFromNow(options.expiresIn) : undefined;
+                const created = await api.createApiKey(oldKey.name, oldKey.description, oldKey.scopes || [], expiresAt);
+
+                // The new key is only shown once, so it is printed even if retiring the old key fails
+                const result = { ...created, replaces: id, profileUpdated: false, oldKey: { id, revoked: false, expiresAt: oldKey.expiresAt ?? null } };
+                const problems = [];
+                if (options.updateProfile) {
+                    result.profileUpdated = useKeyInProfile(created);
+                    if (!result.profileUpdated) {
+                        problems.push(`Profile '${getActiveProfile().name}' is not saved, so it was not updated. Store the new key where this CLI reads it.`);
+                    } else if (process.env[constants.ENV_VAR_API_KEY]) {
+                        problems.push(`${constants.ENV_VAR_API_KEY} is set and overrides the profile; update it to the new key.`);
+                    }
+                }
+                if (options.revokeOldAfter !== undefined) {
+                    try {
+                        result.oldKey = await retireKey(oldKey, options.revokeOldAfter);
+                    } catch (error) {
+                        result.oldKey.error = error.message;
+                        problems.push(error.message);
+                        process.exitCode = 1;
+                    }
+                }
+
+                printResult(result, () => {
+                    printKeyCreated(created);
+                    if (result.oldKey.revoked) {
+                        printSuccess(`Old key ${id} revoked.`);
+                    } else if (options.revokeOldAfter !== undefined && !result.oldKey.error) {
+                        printInfo(`Old key ${id} stays valid until ${new Date(result.oldKey.expiresAt).toLocaleString()}.`);
+                    } else if (options.revokeOldAfter === undefined) {
+                        printInfo(`Old key ${id} is still active. Revoke it when clients have switched: refwire api-key revoke ${id}`);
+                    }
+                    if (result.profileUpdated) {
+                        printSuccess(`Profile '${getActiveProfile().name}' now uses the new key.`);
+                    }
+                });
+                warnIfExpiryDiffers(expiresAt, created.expiresAt);
+                problems.forEach(problem => printWarning(problem));
+            } catch (error) {
+                handleError(error, 'api-key rotate');
+                process.exitCode = 1;
+            }
+        });
+
     apiKeyCommand
         .command('get')
         .description('Get details of a specific API key by ID')
@@ -46,7 +254,7 @@ export default function registerApiKeyCommands(program) {
                 const key = await api.getApiKey(id);
                 if (key) {
                     printInfo(`Details for API Key ID: ${id}`);
-                    printJson(key);
+                    printResult(key);
                 } else {
                     printInfo(`API Key with ID ${id} not found.`);
                 }
@@ -63,7 +271,8 @@ export default function registerApiKeyCommands(program) {
         .argument('<id>', 'The ID of the API key to update')
         .option('-n, --name <name>', 'New name for the key')
         .option('-d, --description <text>', 'New description for the key')
-        .option('-s, --scopes <scopes...>', 'New space-separated list of scopes (replaces existing)')
+        .option('-s, --scopes [scopes...]', 'New space-separated list of scopes, replacing the existing ones (without names: pick from the catalog)')
+        .option('--allow-unknown-scopes', 'Accept scopes that are not in the catalog (custom server scopes)')
         .action(async (id, options) => {
 
             if (!options.name && !options.description && !options.scopes) {
@@ -82,11 +291,11 @@ export default function registerApiKeyCommands(program) {
                 const newDescription = options.description ?? currentKey.description;
 
                 // Handle scopes carefully: if provided, replace; otherwise, keep old.
-                const newScopes = options.scopes !== undefined ? (options.scopes || []) : currentKey.scopes;
+                const newScopes = options.scopes !== undefined ? await scopesFromOptions(options, currentKey.scopes || []) : currentKey.scopes;
 
                 const updatedKey = await api.updateApiKey(id, newName, newDescription, newScopes);
                 printSuccess(`API Key ${id} updated successfully.`);
-                printJson(updatedKey);
+                printResult(updatedKey);
             } catch (error) {
                 handleError(error, 'api-key update');
                 process.exitCode = 1;
@@ -101,6 +310,7 @@ export default function registerApiKeyCommands(program) {
             try {
                 await api.revokeApiKey(id);
                 printSuccess(`API Key ${id} revoked successfully.`);
+                printResult({ id, revoked: true }, null);
             } catch (error) {
                 handleError(error, 'api-key revoke');
                 process.exitCode = 1;
@@ -1,45 +1,157 @@
-﻿import { Command } from 'commander';
+﻿import { Command, Option } from 'commander';
 import chalk from 'chalk';
 import fs from 'fs';
+import path from 'path';
 import inquirer from 'inquirer';
-import { getSilentConfig, constants, getCredentials } from '../lib/configManager.js';
-import { printError, printInfo, printSuccess, printWarning } from '../utils/outputFormatter.js';
+import * as api from '../lib/apiClient.js';
+import { getSilentConfig, constants, getCredentials, getActiveProfile, removeProfile, getApiKeyInfo, saveApiKeyInfo, getProfile, saveProfile, getCredentialStore, unlockCredentialStore, migrateCredentials } from '../lib/configManager.js';
+import { CREDENTIAL_BACKENDS } from '../lib/credentialStore.js';
+import { handleError } from '../utils/errorHandler.js';
+import { printError, printInfo, printSuccess, printWarning, printLine, printResult } from '../utils/outputFormatter.js';
+import { parseDuration, describeExpiry, isExpiringWithin, EXPIRY_WARNING_WINDOW } from '../utils/duration.js';
 
 const CONFIG_FILE = constants.CONFIG_FILE;
 
+const validateUrl = (input) => {
+    try {
+        new URL(input);
+        return true;
+    } catch {
+        return 'Please enter a valid URL.';
+    }
+};
+
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf8').trim();
+}
+
 export default function registerAuthCommands(program) {
     const authCommand = program.command('auth')
         .description('Authentication and session management');
 
+    authCommand
+        .command('login')
+        .description('Check a server URL and API key, then save them to the active profile')
+        .option('-u, --url <url>', 'RefWire server URL')
+        .option('--key-stdin', 'Read the API key from stdin, e.g. in CI: echo "$KEY" | refwire auth login --url <url> --key-stdin')
+        .option('-s, --store-url <url>', `ListStor URL (defaults to ${constants.DEFAULT_STORE_URL})`)
+        .option('--key-id <id>', 'ID of the API key, to report and remember its scopes and expiry')
+        .action(async (options) => {
+            try {
+                const profileName = getActiveProfile().name;
+                const saved = getProfile(profileName);
+                // With --key-stdin, stdin carries the key and cannot answer prompts
+                const canPrompt = process.stdin.isTTY && !options.keyStdin;
+
+                let serverUrl = options.url;
+                if (!serverUrl) {
+                    if (!canPrompt) throw new Error('Pass --url when not running in a terminal or with --key-stdin.');
+                    ({ serverUrl } = await inquirer.prompt([{
+                        type: 'input',
+                        name: 'serverUrl',
+                        message: 'Enter the RefWireDB server URL:',
+                        default: saved?.serverUrl,
+                        validate: (input) => input ? validateUrl(input) : 'Server URL cannot be empty.',
+                    }]));
+                }
+                if (validateUrl(serverUrl) !== true) {
+                    throw new Error(`Invalid server URL '${serverUrl}'.`);
+                }
+                serverUrl = serverUrl.replace(/\/+$/, '');
+
+                let apiKey;
+                if (options.keyStdin) {
+                    apiKey = await readStdin();
+                    if (!apiKey) throw new Error('No API key on stdin.');
+                } else {
+                    if (!canPrompt) throw new Error('Pass --key-stdin to read the API key from stdin when not running in a terminal.');
+                    ({ apiKey } = await inquirer.prompt([{
+                        type: 'password',
+                        name: 'apiKey',
+                        mask: '*',
+                        message: 'Enter your API Key:',
+                        validate: (input) => input ? true : 'API Key cannot be empty.',
+                    }]));
+                }
+
+                // Nothing is saved unless the server accepts the key
+                printInfo(`Checking ${serverUrl}...`);
+                const check = await api.checkConnection({ serverUrl, apiKey }, { keyId: options.keyId });
+                if (check.status === 401) {
+                    throw new Error('The server rejected the API key (401 Unauthorized). Nothing was saved.');
+                }
+                if (check.status === 404) {
+                    throw new Error(`${serverUrl} does not look like a RefWire server (404 from /admin/health/). Nothing was saved.`);
+                }
+                // 403: the key is valid but may not read health reports
+                if (check.status >= 300 && check.status !== 403) {
+                    throw new Error(`The health check failed with HTTP ${check.status}. Nothing was saved.`);
+                }
+                if (options.keyId && !check.key) {
+                    printWarning(`Could not read API key ${options.keyId} (HTTP ${check.keyStatus}); its scopes are unknown.`);
+                }
+
+                await unlockCredentialStore(profileName, { forWrite: true });
+                saveProfile(profileName, { serverUrl, apiKey, storeUrl: options.storeUrl || saved?.storeUrl, http: saved?.http });
+                const key = check.key;
+                if (key) {
+                    saveApiKeyInfo(apiKey, { id: key.id ?? options.keyId, expiresAt: key.expiresAt, scopes: key.scopes || [] });
+                }
+
+                printResult({
+                    profile: profileName,
+                    serverUrl,
+                    storeUrl: getProfile(profileName).storeUrl,
+                    serverVersion: check.version,
+                    healthStatus: check.status,
+                    apiKeyId: key ? key.id ?? options.keyId : null,
+                    scopes: key ? key.scopes || [] : null,
+                    expiresAt: key?.expiresAt ?? null,
+                }, printLoginResult);
+                if (process.env[constants.ENV_VAR_URL] || process.env[constants.ENV_VAR_API_KEY]) {
+                    printWarning(`${constants.ENV_VAR_URL}/${constants.ENV_VAR_API_KEY} are set and take precedence over the saved profile in this shell.`);
+                }
+            } catch (error) {
+                handleError(error, 'auth login');
+                process.exitCode = 1;
+            }
+        });
+
     authCommand
         .command('logout')
-        .description('Clear saved credentials and logout from RefWire')
+        .description('Clear saved credentials of the active profile and logout from RefWire')
         .option('-f, --force', 'Skip confirmation prompt')
         .action(async (options) => {
             try {
+                const profileName = getActiveProfile().name;
+
                 // Skip confirmation if force flag is set
                 if (!options.force) {
                     const { confirm } = await inquirer.prompt([{
                         type: 'confirm',
                         name: 'confirm',
-                        message: 'Are you sure you want to remove your saved credentials?',
+                        message: `Are you sure you want to remove your saved credentials for profile '${profileName}'?`,
                         default: false
                     }]);
                     if (!confirm) {
-                        console.log('Logout canceled');
+                        printLine('Logout canceled');
                         return;
                     }
                 }
 
-                // Clear config file if it exists
-                if (fs.existsSync(CONFIG_FILE)) {
-                    fs.unlinkSync(CONFIG_FILE);
-                    printSuccess('Successfully removed saved credentials');
+                // Remove the active profile (the config file goes with the last one unless it holds other settings)
+                await unlockCredentialStore(profileName);
+                const removed = fs.existsSync(CONFIG_FILE) && removeProfile(profileName);
+                if (removed) {
+                    printSuccess(`Successfully removed saved credentials for profile '${profileName}'`);
                 } else {
                     printWarning(chalk.yellow('No saved credentials found'));
                 }
 
                 printInfo(`Note: This does not affect any ${constants.ENV_VAR_URL}, ${constants.ENV_VAR_API_KEY}, or ${constants.ENV_VAR_STORE_URL} environment variables`);
+                printResult({ profile: profileName, removed }, null);
             } catch (error) {
                 printError('Error during logout:' + error.message);
                 process.exitCode = 1;
@@ -51,51 +163,193 @@ export default function registerAuthCommands(program) {
         .description('Check current authentication status')
         .action(() => {
             const config = getSilentConfig();
+            const profile = getActiveProfile();
 
-            const hasServerUrl = Boolean(config.serverUrl);
-            const hasApiKey = Boolean(config.apiKey);
-            const isFullyConfigured = hasServerUrl && hasApiKey;
+            // Check environment variables usage
+            const envVars = [];
+            if (process.env[constants.ENV_VAR_URL]) envVars.push(constants.ENV_VAR_URL);
+            if (process.env[constants.ENV_VAR_API_KEY]) envVars.push(constants.ENV_VAR_API_KEY);
+            if (process.env[constants.ENV_VAR_STORE_URL]) envVars.push(constants.ENV_VAR_STORE_URL);
 
-            if (!hasServerUrl && !hasApiKey) {
-                printWarning('No saved credentials found');
-                console.log(chalk.dim('To configure, run any command that requires authentication'));
-                return;
-            }
+            const keyInfo = getApiKeyInfo();
+            const store = getCredentialStore();
+            const keyInStore = Boolean(getProfile(profile.name)?.credentialBackend);
+            const status = {
+                profile: profile.name,
+                profileSource: profile.source,
+                serverUrl: config.serverUrl || null,
+                apiKeyConfigured: Boolean(config.apiKey) || keyInStore,
+                credentialBackend: keyInStore ? store.name : 'plaintext',
+                credentialsLocked: keyInStore && !config.apiKey && store.isLocked(),
+                apiKeyId: keyInfo?.id ?? null,
+                apiKeyExpiresAt: keyInfo?.expiresAt ?? null,
+                expiringSoon: isExpiringWithin(keyInfo?.expiresAt, parseDuration(EXPIRY_WARNING_WINDOW)),
+                storeUrl: config.storeUrl || null,
+                isFullyConfigured: Boolean(config.serverUrl && (config.apiKey || keyInStore)),
+                environmentVariables: envVars,
+            };
 
-            if (isFullyConfigured) {
-                printSuccess('You are fully configured with the following settings:');
-            } else {
-                printWarning('Your configuration is incomplete:');
+            printResult(status, printAuthStatus);
+            // On stderr, so it also reaches users of -o json|yaml|csv
+            if (status.expiringSoon) {
+                printWarning(`The API key ${describeExpiry(status.apiKeyExpiresAt)}. Rotate it with: refwire api-key rotate ${status.apiKeyId} --update-profile`);
             }
+        });
 
-            // Show server URL status
-            if (hasServerUrl) {
-                printInfo(`Server URL: ${chalk.cyan(config.serverUrl)}`);
-            } else {
-                printInfo(`Server URL: ${chalk.red('Not configured')} (required)`);
-            }
+    authCommand
+        .command('migrate')
+        .description('Move the saved API keys of all profiles into a credential backend')
+        .addOption(new Option('--to <backend>', 'Where to keep API keys').choices(CREDENTIAL_BACKENDS))
+        .option('--key-file <path>', 'encrypted-file: unlock with this key file instead of a passphrase')
+        .option('--helper <command>', 'helper: command run as "<command> get|store|erase"')
+        .action(async (options) => {
+            try {
+                const backend = options.to || (await inquirer.prompt([{
+                    type: 'list',
+                    name: 'backend',
+                    message: 'Where should API keys be kept?',
+                    choices: [
+                        { name: 'Encrypted file (passphrase or key file)', value: 'encrypted-file' },
+                        { name: 'Credential helper command', value: 'helper' },
+                        { name: 'Plain text in config.json', value: 'plaintext' },
+                    ],
+                }])).backend;
 
-            // Show API key status
-            if (hasApiKey) {
-                console.log(`API Key: ${chalk.cyan('********')}`);
-            } else {
-                printError(`API Key: ('Not configured') (required)`);
+                const settings = { backend };
+                let passphrase;
+                if (backend === 'encrypted-file') {
+                    if (options.keyFile) {
+                        settings.keyFile = path.resolve(options.keyFile);
+                        if (!fs.existsSync(settings.keyFile)) {
+                            throw new Error(`Key file ${settings.keyFile} not found. Create one with e.g.: openssl rand -base64 32 > ${options.keyFile}`);
+                        }
+                    } else {
+                        passphrase = process.env[constants.ENV_VAR_PASSPHRASE] || await promptNewPassphrase();
+                    }
+                } else if (backend === 'helper') {
+                    settings.command = options.helper || (await inquirer.prompt([{
+                        type: 'input',
+                        name: 'command',
+                        message: 'Credential helper command:',
+                        validate: (input) => input ? true : 'Command cannot be empty.',
+                    }])).command;
+                }
+
+                // Keys still in the old backend are read before anything moves
+                await unlockCredentialStore(undefined, { forWrite: true });
+                const result = migrateCredentials(settings, { passphrase });
+                printResult({ ...result, configFile: CONFIG_FILE }, printMigrateResult);
+                if (result.cleanupError) {
+                    printWarning(`The keys were moved, but the old backend could not be cleared: ${result.cleanupError}`);
+                }
+            } catch (error) {
+                handleError(error, 'auth migrate');
+                process.exitCode = 1;
             }
+        });
+}
 
-            // Show store URL status (optional with default)
-            const isDefaultStoreUrl = config.storeUrl === constants.DEFAULT_STORE_URL;
-            const storeColor = isDefaultStoreUrl ? chalk.dim : chalk.cyan;
-            const storeLabel = isDefaultStoreUrl ? `${config.storeUrl} (default)` : config.storeUrl;
-            console.log(`Store URL: ${storeColor(storeLabel)}`);
+function printLoginResult(result) {
+    printSuccess(`Logged in to ${result.serverUrl} with profile '${result.profile}'.`);
+    printInfo(`Server version: ${result.serverVersion || chalk.dim('not reported')}`);
+    if (result.healthStatus === 403) {
+        printInfo('The key is valid but may not read health reports (health:read scope).');
+    }
+    if (result.scopes) {
+        const expiry = result.expiresAt ? chalk.dim(` (${describeExpiry(result.expiresAt)})`) : '';
+        printInfo(`API key ${result.apiKeyId}: ${result.scopes.join(', ') || 'no scopes'}${expiry}`);
+    } else {
+        console.log(chalk.dim("The key's scopes are unknown: pass --key-id <id>, or run 'refwire api-key whoami --id <id>' later."));
+    }
+}
 
-            // Check environment variables usage
-            const envVars = [];
-            if (process.env[constants.ENV_VAR_URL]) envVars.push(constants.ENV_VAR_URL);
-            if (process.env[constants.ENV_VAR_API_KEY]) envVars.push(constants.ENV_VAR_API_KEY);
-            if (process.env[constants.ENV_VAR_STORE_URL]) envVars.push(constants.ENV_VAR_STORE_URL);
+async function promptNewPassphrase() {
+    if (!process.stdin.isTTY) {
+        throw new Error(`Set ${constants.ENV_VAR_PASSPHRASE} or pass --key-file to encrypt the credential file without a terminal.`);
+    }
+    const { passphrase } = await inquirer.prompt([
+        {
+            type: 'password',
+            name: 'passphrase',
+            mask: '*',
+            message: 'New passphrase for the credential file:',
+            validate: (input) => input.length >= 8 ? true : 'Use at least 8 characters.',
+        },
+        {
+            type: 'password',
+            name: 'confirm',
+            mask: '*',
+            message: 'Repeat the passphrase:',
+            validate: (input, answers) => input === answers.passphrase ? true : 'The passphrases do not match.',
+        },
+    ]);
+    return passphrase;
+}
 
-            if (envVars.length > 0) {
-                console.log(chalk.dim(`\nUsing environment variables: ${envVars.join(', ')}`));
-            }
-        });
+function printMigrateResult(result) {
+    const target = result.backend === 'plaintext' ? CONFIG_FILE : `${result.backend} (${result.location})`;
+    if (result.profiles.length === 0) {
+        printInfo(`No saved API keys to move. New keys will be kept in ${target}.`);
+        return;
+    }
+    printSuccess(`Moved the API keys of ${result.profiles.length} profile(s) to ${target}: ${result.profiles.join(', ')}`);
+    if (result.backend === 'encrypted-file') {
+        printInfo(`Commands ask for the passphrase when they need a key; set ${constants.ENV_VAR_PASSPHRASE} or ${constants.ENV_VAR_KEY_FILE} for scripts.`);
+    }
+}
+
+function printAuthStatus(status) {
+    const hasServerUrl = Boolean(status.serverUrl);
+    const hasApiKey = status.apiKeyConfigured;
+
+    const profileSources = {
+        flag: '--profile',
+        env: constants.ENV_VAR_PROFILE,
+        config: 'config file',
+        default: 'default',
+    };
+    printInfo(`Profile: ${chalk.cyan(status.profile)} ${chalk.dim(`(from ${profileSources[status.profileSource]})`)}`);
+
+    if (!hasServerUrl && !hasApiKey) {
+        printWarning('No saved credentials found');
+        console.log(chalk.dim('To configure, run: refwire auth login'));
+        return;
+    }
+
+    if (status.isFullyConfigured) {
+        printSuccess('You are fully configured with the following settings:');
+    } else {
+        printWarning('Your configuration is incomplete:');
+    }
+
+    // Show server URL status
+    if (hasServerUrl) {
+        printInfo(`Server URL: ${chalk.cyan(status.serverUrl)}`);
+    } else {
+        printInfo(`Server URL: ${chalk.red('Not configured')} (required)`);
+    }
+
+    // Show API key status
+    if (status.credentialsLocked) {
+        console.log(`API Key: ${chalk.cyan('********')} ${chalk.dim('(in the encrypted credential file, locked)')}`);
+    } else if (hasApiKey) {
+        const expiry = status.apiKeyExpiresAt ? chalk.dim(` (${describeExpiry(status.apiKeyExpiresAt)})`) : '';
+        const backend = status.credentialBackend !== 'plaintext' ? chalk.dim(` [${status.credentialBackend}]`) : '';
+        console.log(`API Key: ${chalk.cyan('********')}${backend}${status.apiKeyId ? chalk.dim(` ID ${status.apiKeyId}`) : ''}${expiry}`);
+        if (!status.apiKeyId) {
+            console.log(chalk.dim("The key's ID and expiry are unknown: find the ID with 'refwire api-key list', then run 'refwire api-key whoami --id <id>' to remember it."));
+        }
+    } else {
+        printError(`API Key: ('Not configured') (required)`);
+    }
+
+    // Show store URL status (optional with default)
+    const isDefaultStoreUrl = status.storeUrl === constants.DEFAULT_STORE_URL;
+    const storeColor = isDefaultStoreUrl ? chalk.dim : chalk.cyan;
+    const storeLabel = isDefaultStoreUrl ? `${status.storeUrl} (default)` : status.storeUrl;
+    console.log(`Store URL: ${storeColor(storeLabel)}`);
+
+    if (status.environmentVariables.length > 0) {
+        console.log(chalk.dim(`\nUsing environment variables: ${status.environmentVariables.join(', ')}`));
+    }
 }
\ No newline at end of file
@@ -0,0 +1,92 @@
+import { Command } from 'commander';
+import chalk from 'chalk';
+import { getConfig, getProfile, useProfile, constants } from '../lib/configManager.js';
+import { createBackup, openBackup, restoreBackup } from '../lib/backup.js';
+import { handleError } from '../utils/errorHandler.js';
+import { printSuccess, printInfo, printWarning, printError, printResult, printBackupRestore, formatBytes } from '../utils/outputFormatter.js';
+import { parseList, parsePositiveInt } from '../utils/optionParsers.js';
+
+export default function registerBackupCommands(program) {
+    const backupCommand = program.command('backup')
+        .description(`${chalk.yellow('[Admin]')} Back up and restore a whole server`);
+
+    backupCommand
+        .command('create')
+        .description('Back up every dataset (metadata, fields and items) and the API key metadata to a zip file')
+        .requiredOption('--out <file>', 'Path of the backup zip to write')
+        .option('--page-size <n>', 'Number of items fetched per request', parsePositiveInt, 500)
+        .action(async (options) => {
+            try {
+                const manifest = await createBackup(options.out, {
+                    serverUrl: getConfig().serverUrl,
+                    pageSize: options.pageSize,
+                    onStep: (message) => printInfo(message),
+                });
+                const items = manifest.datasets.reduce((sum, dataset) => sum + dataset.items, 0);
+                printResult({
+                    file: options.out,
+                    size: manifest.size,
+                    sha256: manifest.sha256,
+                    datasets: manifest.datasets.map(({ id, items: count, archived }) => ({ id, items: count, archived })),
+                    apiKeys: manifest.apiKeys,
+                }, () => {
+                    printSuccess(`Backed up ${manifest.datasets.length} dataset(s), ${items} item(s) and ${manifest.apiKeys} API key(s) to ${options.out} (${formatBytes(manifest.size)}).`);
+                    printInfo(`SHA-256: ${manifest.sha256}`);
+                    printWarning('API key secrets are not included; restored keys are issued new secrets.');
+                });
+            } catch (error) {
+                handleError(error, 'backup create');
+                process.exitCode = 1;
+            }
+        });
+
+    backupCommand
+        .command('restore')
+        .description('Recreate datasets and API keys from a backup on a server that does not have them yet')
+        .argument('<file>', 'Backup zip created by "backup create"')
+        .option('--only <ids>', 'Comma-separated dataset IDs to restore (default: all)', parseList)
+        .option('--target-profile <name>', 'Restore to the server of this profile instead of the active one')
+        .option('--no-api-keys', 'Do not recreate API keys')
+        .action(async (file, options) => {
+            try {
+                const backup = await openBackup(file);
+                const { manifest } = backup;
+                printInfo(`Backup of ${manifest.server || 'unknown server'} from ${manifest.createdAt}: ${manifest.datasets.length} dataset(s), ${manifest.apiKeys} API key(s). Checksums verified.`);
+
+                if (options.targetProfile) {
+                    if (!getProfile(options.targetProfile)) {
+                        throw new Error(`Profile '${options.targetProfile}' does not exist. Run 'refwire profile list' to see saved profiles.`);
+                    }
+                    // Environment credentials win over profiles, which would send the restore elsewhere
+                    if (process.env[constants.ENV_VAR_URL] || process.env[constants.ENV_VAR_API_KEY]) {
+                        throw new Error(`--target-profile cannot be used while ${constants.ENV_VAR_URL} or ${constants.ENV_VAR_API_KEY} is set; unset them first.`);
+                    }
+                    useProfile(options.targetProfile);
+                }
+                printInfo(`Restoring to ${getConfig().serverUrl}...`);
+
+                const result = await restoreBackup(backup, {
+                    only: options.only,
+                    apiKeys: options.apiKeys,
+                    onStep: (message) => printInfo(message),
+                });
+                printResult({ file, target: getConfig().serverUrl, ...result }, printBackupRestore);
+                // On stderr, so it also reaches users of -o json|yaml|csv
+                if (result.failed) {
+                    const { id, created, error } = result.failed;
+                    printError(`Restoring dataset '${id}' failed: ${error}`);
+                    const notAttempted = [...result.pending, ...(options.apiKeys && manifest.apiKeys > 0 ? ['the API keys'] : [])];
+                    if (notAttempted.length > 0) {
+                        printWarning(`Not attempted: ${notAttempted.join(', ')}.`);
+                    }
+                    // A half-restored dataset would fail the "already exists" check of the next run
+                    const cleanup = created ? `refwire dataset delete ${id} --force && ` : '';
+                    printWarning(`Resume with: ${cleanup}refwire backup restore ${file} --only ${result.resumeOnly.join(',')}${options.apiKeys ? '' : ' --no-api-keys'}${options.targetProfile ? ` --target-profile ${options.targetProfile}` : ''}`);
+                    process.exitCode = 1;
+                }
+            } catch (error) {
+                handleError(error, 'backup restore');
+                process.exitCode = 1;
+            }
+        });
+}
@@ -1,16 +1,94 @@
-import { Command } from 'commander';
+import { Command, Option, InvalidArgumentError } from 'commander';
 import chalk from 'chalk';
 import inquirer from 'inquirer'; 
 import Table from 'cli-table3';
 import fs from 'fs/promises';
 import path from 'path';
+import YAML from 'yaml';
 
 import * as api from '../lib/apiClient.js';
 import * as listStorApi from '../lib/listStorClient.js';
 import * as jsonProcessor from '../utils/jsonProcessor.js';
 import { handleError } from '../utils/errorHandler.js';
-import { printSuccess, printJson, printDatasetMetadata, printDatasetApi, printInfo, printError } from '../utils/outputFormatter.js';
+import { printSuccess, printWarning, printDatasetMetadata, printDatasetApi, printDatasetPlan, printDatasetDiff, printKeyProblems, printTransformPreview, printValidationReport, printInfo, printError, printLine, printResult, isStructuredOutput } from '../utils/outputFormatter.js';
 import { readJsonFile } from '../utils/fileReader.js';
+import { createItemWriter, toPortableItem, EXPORT_FORMATS } from '../utils/itemWriter.js';
+import { loadManifest, buildPlan, applyPlan, toPlanReport, planHasChanges } from '../lib/datasetSync.js';
+import { parseSourceSpec, loadDatasetSource } from '../lib/datasetSources.js';
+import { diffFields, diffItems, normalizeField } from '../utils/datasetDiff.js';
+import { getSyncRecord, recordSync } from '../lib/syncState.js';
+import { getConfig } from '../lib/configManager.js';
+import { readRecords, detectInputFormat, getInputFormats, listSheets } from '../utils/inputReaders.js';
+import { loadImportAnswers, saveImportAnswers } from '../lib/importAnswers.js';
+import { validateDatasetPayload } from '../utils/validationReport.js';
+import { toJsonSchema } from '../utils/jsonSchema.js';
+import { generateClient, getCodegenLanguages } from '../utils/codegen.js';
+import { buildOpenApiDocument } from '../utils/openApi.js';
+import { parseTransform, normalizeTransform, loadTransformFile, applyTransforms, describeTransform, getTransformOperations, CAST_TYPES } from '../utils/fieldTransforms.js';
+import { parseList } from '../utils/optionParsers.js';
+
+const DATA_TYPES = ['Text', 'Date', 'Number', 'List', 'Boolean', 'Unknown'];
+
+// Repeatable --type field=Type, collected into { field: Type }
+const collectType = (value, previous) => {
+    const separator = value.lastIndexOf('=');
+    if (separator <= 0) {
+        throw new InvalidArgumentError('Expected <field>=<type>, e.g. population=Number.');
+    }
+    return { ...previous, [value.slice(0, separator)]: value.slice(separator + 1) };
+};
+
+// Repeatable --transform op:field[=argument]
+const collectTransform = (value, previous) => {
+    try {
+        return [...previous, parseTransform(value)];
+    } catch (error) {
+        throw new InvalidArgumentError(error.message);
+    }
+};
+
+// Transform steps from --mapping, followed by inline --transform steps
+const transformsFromOptions = (options) => [
+    ...(options.mapping ? loadTransformFile(options.mapping) : []),
+    ...(options.transform || []),
+];
+
+// Run transforms over source records, warning about values that could not be converted
+const runTransforms = (records, steps) => {
+    const { records: transformed, warnings } = applyTransforms(records, steps);
+    warnings.forEach(printWarning);
+    return transformed;
+};
+
+// Point out fields whose values disagree on a type; profiling falls back to Text or Unknown for them
+const warnMixedTypes = (fields) => {
+    fields.filter(f => f.profile?.mixed).forEach(f => {
+        printWarning(`Field '${f.name}' has mixed value types (${jsonProcessor.describeFieldProfile(f.profile)}); using ${f.dataType}.`);
+    });
+};
+
+// Build the create payload, keeping the skipped records and their reasons for --dry-run reports
+const buildPayload = (state) => {
+    const skipped = [];
+    const payload = jsonProcessor.buildDatasetPayload(state, { onSkip: (reason, details) => skipped.push({ ...details, reason }) });
+    return { ...payload, skipped };
+};
+
+// --dry-run: print the validation report instead of sending; problems set exit code 1
+const reportDryRun = (report) => {
+    printResult(report, printValidationReport);
+    if (report.hasProblems) process.exitCode = 1;
+};
+
+// List the records that saving will skip (empty/duplicate IDs, missing names); returns how many
+const reportKeyProblems = (state) => {
+    const idField = state.fields.find(f => f.isId)?.name;
+    const nameField = state.fields.find(f => f.isName)?.name;
+    if (!idField || !nameField) return 0;
+    const problems = jsonProcessor.findKeyProblems(state.parsedJson, idField, nameField);
+    printKeyProblems(problems, idField, nameField);
+    return problems.count;
+};
 
 export default function registerDatasetCommands(program) {
     const datasetCommand = program.command('dataset')
@@ -22,12 +100,14 @@ export default function registerDatasetCommands(program) {
         .action(async () => {
             try {
                 const ids = await api.listDatasetIds();
-                if (ids && ids.length > 0) {
-                    printInfo('Available Dataset IDs:');
-                    ids.forEach(id => console.log(`- ${id}`));
-                } else {
-                    printInfo('No datasets found.');
-                }
+                printResult(ids || [], (datasetIds) => {
+                    if (datasetIds.length > 0) {
+                        printInfo('Available Dataset IDs:');
+                        datasetIds.forEach(id => console.log(`- ${id}`));
+                    } else {
+                        printInfo('No datasets found.');
+                    }
+                });
             } catch (error) {
                 handleError(error, 'dataset list-ids');
                 process.exitCode = 1;
@@ -41,13 +121,97 @@ export default function registerDatasetCommands(program) {
         .action(async (id) => {
             try {
                 const meta = await api.getDatasetMeta(id);
-                printDatasetMetadata(meta);
+                printResult(meta, printDatasetMetadata);
             } catch (error) {
                 handleError(error, 'dataset get-meta');
                 process.exitCode = 1;
             }
         });
 
+    datasetCommand
+        .command('schema')
+        .description('Generate a schema for the items of a dataset from its field metadata')
+        .argument('<id>', 'The ID of the dataset')
+        .addOption(new Option('--format <format>', 'Schema format').choices(['jsonschema']).default('jsonschema'))
+        .option('--out <file>', 'Write the schema to a file instead of printing it')
+        .action(async (id, options) => {
+            try {
+                const schema = toJsonSchema(await api.getDatasetMeta(id));
+                if (options.out) {
+                    await fs.writeFile(path.resolve(process.cwd(), options.out), `${JSON.stringify(schema, null, 2)}\n`);
+                    printSuccess(`JSON Schema for '${id}' written to ${options.out}.`);
+                    printResult({ id, format: options.format, out: options.out }, null);
+                    return;
+                }
+                printResult(schema);
+            } catch (error) {
+                handleError(error, 'dataset schema');
+                process.exitCode = 1;
+            }
+        });
+
+    datasetCommand
+        .command('codegen')
+        .description('Generate item types and a client for the public endpoints of a dataset')
+        .argument('<id>', 'The ID of the dataset')
+        .addOption(new Option('--lang <lang>', 'Target language').choices(getCodegenLanguages()).makeOptionMandatory())
+        .option('--out <dir>', 'Directory to write the generated files to (default: ./<id>-client)')
+        .option('--namespace <name>', 'Namespace for C# output', 'RefWire.Datasets')
+        .action(async (id, options) => {
+            try {
+                const [meta, apiSpec] = await Promise.all([api.getDatasetMeta(id), api.getDatasetApi(id)]);
+                const files = generateClient(options.lang, meta, apiSpec, { namespace: options.namespace });
+                const outDir = path.resolve(process.cwd(), options.out || `${id}-client`);
+                await fs.mkdir(outDir, { recursive: true });
+                for (const file of files) {
+                    await fs.writeFile(path.join(outDir, file.fileName), file.content);
+                }
+
+                const written = files.map(file => path.join(outDir, file.fileName));
+                printResult({ id, lang: options.lang, files: written }, () => {
+                    printSuccess(`Generated ${options.lang} client for '${id}' (${(meta.fields || []).length} fields):`);
+                    written.forEach(file => printLine(`  ${file}`));
+                });
+            } catch (error) {
+                handleError(error, 'dataset codegen');
+                process.exitCode = 1;
+            }
+        });
+
+    datasetCommand
+        .command('openapi')
+        .description('Generate an OpenAPI 3 document for the public endpoints of a dataset, or of all datasets')
+        .argument('[id]', 'The ID of the dataset')
+        .option('--all', 'Describe every dataset in one document')
+        .option('--out <file>', 'Write the document to a file (.yaml/.yml for YAML, JSON otherwise)')
+        .option('--title <title>', 'Document title')
+        .action(async (id, options) => {
+            try {
+                if (Boolean(id) === Boolean(options.all)) {
+                    throw new Error('Provide a dataset ID or --all (but not both).');
+                }
+                const ids = options.all ? (await api.listDatasetIds()) || [] : [id];
+                const datasets = [];
+                for (const datasetId of ids) {
+                    const [meta, apiSpec] = await Promise.all([api.getDatasetMeta(datasetId), api.getDatasetApi(datasetId)]);
+                    datasets.push({ meta: { ...meta, id: meta.id ?? datasetId }, apiSpec });
+                }
+                const document = buildOpenApiDocument(datasets, { title: options.title });
+
+                if (options.out) {
+                    const content = /\.ya?ml$/i.test(options.out) ? YAML.stringify(document) : `${JSON.stringify(document, null, 2)}\n`;
+                    await fs.writeFile(path.resolve(process.cwd(), options.out), content);
+                    printSuccess(`OpenAPI document for ${options.all ? `${ids.length} dataset(s)` : `'${id}'`} written to ${options.out}.`);
+                    printResult({ datasets: ids, out: options.out }, null);
+                    return;
+                }
+                printResult(document);
+            } catch (error) {
+                handleError(error, 'dataset openapi');
+                process.exitCode = 1;
+            }
+        });
+
     datasetCommand
         .command('get-api')
         .description('Get the api (schema, description) for a specific dataset')
@@ -55,7 +219,7 @@ export default function registerDatasetCommands(program) {
         .action(async (id) => {
             try {
                 const meta = await api.getDatasetApi(id);
-                printDatasetApi(meta);
+                printResult(meta, printDatasetApi);
             } catch (error) {
                 handleError(error, 'dataset get-api');
                 process.exitCode = 1;
@@ -103,6 +267,7 @@ export default function registerDatasetCommands(program) {
                 printInfo(`Deleting dataset '${id}'...`);
                 await api.deleteDataset(id);
                 printSuccess(`Dataset '${id}' successfully deleted.`);
+                printResult({ id, deleted: true }, null);
             } catch (error) {
                 handleError(error, 'dataset delete');
                 process.exitCode = 1;
@@ -113,23 +278,57 @@ export default function registerDatasetCommands(program) {
         .command('create')
         .description('Create a new dataset from a JSON file definition (non-interactive)')
         .requiredOption('-f, --file <path>', 'Path to a JSON file containing the dataset definition')
+        .option('--data <file>', 'Read the items from a data file (JSON, NDJSON, CSV, TSV or XLSX); fields are discovered when the definition has none')
+        .addOption(new Option('--format <format>', 'Format of the --data file (detected from its extension by default)').choices(getInputFormats()))
+        .option('--delimiter <char>', 'CSV/TSV cell delimiter (detected by default)')
+        .option('--no-header', 'CSV/TSV/XLSX: the first row is data, not column names')
+        .option('--encoding <encoding>', 'Text encoding of the --data file', 'utf-8')
+        .option('--sheet <name>', 'XLSX worksheet to read (defaults to the first sheet)')
+        .option('--dry-run', 'Validate locally and print a report; nothing is sent to the server')
         .action(async (options) => {
             try {
                 const datasetDef = readJsonFile(options.file);
-                if (!datasetDef.id || !datasetDef.name || !datasetDef.idField || !datasetDef.nameField || !datasetDef.fields) {
-                    throw new Error('JSON file must contain id, name, idField, nameField, and fields properties.');
+                const needsFields = !options.data;
+                if (!datasetDef.id || !datasetDef.name || !datasetDef.idField || !datasetDef.nameField || (needsFields && !datasetDef.fields)) {
+                    throw new Error(`JSON file must contain id, name, idField, nameField${needsFields ? ', and fields' : ''} properties.`);
                 }
+
+                let fields = datasetDef.fields;
+                let items = datasetDef.items || {};
+                let skipped = [];
+                let sourceIndexes;
+                if (options.data) {
+                    if (datasetDef.items) {
+                        throw new Error('Use either --data or an "items" property in the definition, not both.');
+                    }
+                    ({ fields, items, skipped, sourceIndexes } = await readDataFile(options.data, datasetDef, options));
+                }
+
+                if (options.dryRun) {
+                    const body = {
+                        id: datasetDef.id,
+                        name: datasetDef.name,
+                        description: datasetDef.description || '',
+                        idField: datasetDef.idField,
+                        nameField: datasetDef.nameField,
+                        fields,
+                        items,
+                    };
+                    reportDryRun(validateDatasetPayload({ command: 'dataset create', body, skipped, sourceIndexes }));
+                    return;
+                }
+
                 const result = await api.createDataset(
                     datasetDef.id,
                     datasetDef.name,
                     datasetDef.description || '',
                     datasetDef.idField,
                     datasetDef.nameField,
-                    datasetDef.fields,
-                    datasetDef.items || {}
+                    fields,
+                    items
                 );
                 printSuccess(`Dataset '${result.id}' created successfully from file.`);
-                printJson(result);
+                printResult(result);
             } catch (error) {
                 handleError(error, 'dataset create');
                 process.exitCode = 1;
@@ -149,13 +348,188 @@ export default function registerDatasetCommands(program) {
                 }
                 const result = await api.updateDataset(id, updateData.name, updateData.fields);
                 printSuccess(`Dataset '${id}' updated successfully.`);
-                printJson(result);
+                printResult(result);
             } catch (error) {
                 handleError(error, 'dataset update');
                 process.exitCode = 1;
             }
         });
 
+    datasetCommand
+        .command('export')
+        .description('Export the items of a dataset to a JSON, NDJSON or CSV file')
+        .argument('<id>', 'The ID of the dataset')
+        .addOption(new Option('--format <format>', 'Output file format').choices(EXPORT_FORMATS).default('json'))
+        .requiredOption('--out <file>', 'Path of the file to write')
+        .option('--include-archived', 'Include archived items (adds an isArchived column/property)')
+        .option('--definition', 'JSON only: write a full dataset definition usable with "dataset create --file"')
+        .option('--page-size <n>', 'Number of items fetched per request', (value) => parseInt(value, 10), 500)
+        .action(async (id, options) => {
+            let writer;
+            try {
+                if (options.definition && options.format !== 'json') {
+                    throw new Error('--definition can only be used with --format json.');
+                }
+                if (!Number.isInteger(options.pageSize) || options.pageSize < 1) {
+                    throw new Error('--page-size must be a positive integer.');
+                }
+
+                const meta = await api.getDatasetMeta(id);
+                const fields = meta.fields || [];
+                printInfo(`Exporting dataset "${meta.name}" (${id}) to ${options.out}...`);
+
+                const definition = options.definition ? {
+                    id: meta.id,
+                    name: meta.name,
+                    description: meta.description || '',
+                    idField: meta.idField,
+                    nameField: meta.nameField,
+                    fields,
+                } : undefined;
+
+                writer = createItemWriter(options.out, options.format, {
+                    columns: fields.map(f => f.name),
+                    includeArchived: Boolean(options.includeArchived),
+                    definition,
+                });
+
+                let itemCount = 0;
+                for await (const item of api.iterateDatasetItems(id, { pageSize: options.pageSize, includeArchived: Boolean(options.includeArchived) })) {
+                    await writer.write(toPortableItem(item, options.includeArchived));
+                    itemCount++;
+                }
+                await writer.end();
+
+                printSuccess(`Exported ${itemCount} items from dataset '${id}' to ${options.out}.`);
+                printResult({ id, format: options.format, file: options.out, itemCount }, null);
+            } catch (error) {
+                await writer?.abort();
+                handleError(error, 'dataset export');
+                process.exitCode = 1;
+            }
+        });
+
+    datasetCommand
+        .command('plan')
+        .description('Show the changes needed to make the server match a dataset manifest (YAML or JSON)')
+        .requiredOption('-f, --file <path>', 'Path to the dataset manifest')
+        .option('--keep-missing', 'Do not archive server items that are missing from the manifest')
+        .action(async (options) => {
+            try {
+                const manifest = await loadManifest(options.file);
+                const plan = await buildPlan(manifest, { archiveMissing: !options.keepMissing, includeArchived: true });
+                printResult(toPlanReport(plan), printDatasetPlan);
+            } catch (error) {
+                handleError(error, 'dataset plan');
+                process.exitCode = 1;
+            }
+        });
+
+    datasetCommand
+        .command('apply')
+        .description('Create or update a dataset so the server matches a manifest (YAML or JSON)')
+        .requiredOption('-f, --file <path>', 'Path to the dataset manifest')
+        .option('--keep-missing', 'Do not archive server items that are missing from the manifest')
+        .option('-y, --yes', 'Apply without asking for confirmation')
+        .action(async (options) => {
+            try {
+                const manifest = await loadManifest(options.file);
+                const plan = await buildPlan(manifest, { archiveMissing: !options.keepMissing, includeArchived: true });
+                const report = toPlanReport(plan);
+
+                if (!planHasChanges(plan)) {
+                    printInfo(`Dataset '${manifest.id}' already matches the manifest. Nothing to apply.`);
+                    printResult({ datasetId: manifest.id, applied: false, plan: report }, null);
+                    return;
+                }
+
+                if (!isStructuredOutput()) {
+                    printDatasetPlan(report);
+                }
+
+                if (!options.yes) {
+                    if (isStructuredOutput()) {
+                        throw new Error('Confirmation is required. Re-run with --yes to apply without a prompt.');
+                    }
+                    const { confirm } = await inquirer.prompt([
+                        { type: 'confirm', name: 'confirm', message: 'Apply these changes?', default: false },
+                    ]);
+                    if (!confirm) {
+                        printInfo('Apply cancelled.');
+                        return;
+                    }
+                }
+
+                const result = await applyPlan(plan, manifest, { onStep: printInfo });
+                printSuccess(`Dataset '${manifest.id}' now matches the manifest.`);
+                printResult({ datasetId: manifest.id, applied: true, ...result }, () => {
+                    printInfo(`Created: ${result.created}, Updated: ${result.updated}, Archived: ${result.archived}`);
+                });
+            } catch (error) {
+                handleError(error, 'dataset apply');
+                process.exitCode = 1;
+            }
+        });
+
+    datasetCommand
+        .command('diff')
+        .description('Compare two versions of a dataset: items added, removed and changed, and schema changes')
+        .argument('<left>', 'Base source: server:<id>, file:<path> or liststor:<id>[@<version>]')
+        .argument('<right>', 'Source to compare against the base (same forms as <left>)')
+        .option('--id-field <fieldName>', 'ID field for files of raw records (defaults to the other side\'s ID field)')
+        .option('--name-field <fieldName>', 'Name field for files of raw records (defaults to the other side\'s name field)')
+        .option('--include-archived', 'Include archived items of server sources')
+        .option('--exit-code', 'Exit with code 1 when differences are found (for CI)')
+        .action(async (left, right, options) => {
+            try {
+                const specs = [parseSourceSpec(left), parseSourceSpec(right)];
+
+                // Load remote sides first so files of raw records can borrow their ID/name fields
+                const loaded = new Array(2);
+                const order = specs[0].type === 'file' ? [1, 0] : [0, 1];
+                for (const index of order) {
+                    const other = loaded[1 - index];
+                    loaded[index] = await loadDatasetSource(specs[index], {
+                        idField: options.idField || other?.idField,
+                        nameField: options.nameField || other?.nameField,
+                        includeArchived: Boolean(options.includeArchived),
+                    });
+                }
+                const [base, target] = loaded;
+
+                [base, target].filter(side => side.skipped > 0).forEach(side => {
+                    printInfo(`${side.label}: ${side.skipped} records skipped (missing ID/name or duplicate ID).`);
+                });
+
+                const schema = base.fields && target.fields ? diffFields(base.fields, target.fields) : null;
+                const items = diffItems(base.items, target.items);
+                const hasSchemaChanges = Boolean(schema) &&
+                    schema.added.length + schema.removed.length + schema.retyped.length + schema.changed.length > 0;
+                const hasDifferences = hasSchemaChanges || items.added.length + items.removed.length + items.changed.length > 0;
+
+                const report = {
+                    left: base.label,
+                    right: target.label,
+                    schema,
+                    items: {
+                        added: items.added,
+                        removed: items.removed,
+                        changed: items.changed.map(({ id, changes }) => ({ id, changes })),
+                        unchanged: items.unchanged,
+                    },
+                    hasDifferences,
+                };
+                printResult(report, printDatasetDiff);
+
+                if (options.exitCode && hasDifferences) {
+                    process.exitCode = 1;
+                }
+            } catch (error) {
+                handleError(error, 'dataset diff');
+                process.exitCode = 2;
+            }
+        });
+
     datasetCommand
         .command('get-state')
         .description('Retrieve the overall state snapshot of the RefWire system')
@@ -163,7 +537,7 @@ export default function registerDatasetCommands(program) {
             try {
                 const state = await api.getSystemState();
                 printInfo('Current System State:');
-                printJson(state);
+                printResult(state);
             } catch (error) {
                 handleError(error, 'dataset get-state');
                 process.exitCode = 1;
@@ -172,10 +546,39 @@ export default function registerDatasetCommands(program) {
 
     datasetCommand
         .command('import')
-        .description('Create a new dataset interactively via a wizard')
-        .action(async () => {
+        .description('Create a new dataset interactively via a wizard, or headless with --file or --answers')
+        .option('--file <path>', 'Data file to import without prompts (JSON, NDJSON, CSV, TSV or XLSX)')
+        .option('--answers <file>', 'Replay answers saved with --save-answers (JSON or YAML); flags override them')
+        .option('--save-answers <file>', 'Record the answers of this import for replay with --answers')
+        .option('-i, --id <datasetId>', 'Dataset ID')
+        .option('-n, --name <datasetName>', 'Human-readable dataset name')
+        .option('-d, --description <description>', 'Dataset description')
+        .option('--id-field <fieldName>', 'The field to use as unique ID')
+        .option('--name-field <fieldName>', 'The field to use as display name')
+        .option('--include <fields>', 'Comma-separated fields to include (ID and Name fields are always included)', parseList)
+        .option('--exclude <fields>', 'Comma-separated fields to leave out', parseList)
+        .option('--type <field=type>', `Override a detected data type (${DATA_TYPES.join(', ')}); repeatable`, collectType, {})
+        .option('--required <fields>', 'Comma-separated fields that must have a value (default: fields present in every record)', parseList)
+        .option('--mapping <file>', 'Field transforms to run before import (JSON or YAML)')
+        .option('--dry-run', 'Validate locally and print a report; nothing is sent to the server')
+        .option('--transform <op:field[=arg]>', `Inline field transform (${getTransformOperations().join(', ')}); repeatable, runs after --mapping`, collectTransform, [])
+        .addOption(new Option('--format <format>', 'Format of the data file (detected from its extension by default)').choices(getInputFormats()))
+        .option('--delimiter <char>', 'CSV/TSV cell delimiter (detected by default)')
+        .option('--no-header', 'CSV/TSV/XLSX: the first row is data, not column names')
+        .option('--encoding <encoding>', 'Text encoding of the data file (default utf-8)')
+        .option('--sheet <name>', 'XLSX worksheet to read (defaults to the first sheet)')
+        .action(async (options) => {
             try {
-                await runImportWizard();
+                if (options.file || options.answers) {
+                    await runHeadlessImport(options);
+                } else {
+                    const headlessOnly = ['id', 'name', 'description', 'idField', 'nameField', 'include', 'exclude', 'required', 'format', 'delimiter', 'encoding', 'sheet']
+                        .filter(key => options[key] !== undefined);
+                    if (headlessOnly.length > 0 || Object.keys(options.type).length > 0 || options.header === false) {
+                        throw new Error('Import options other than --save-answers need --file or --answers (headless mode).');
+                    }
+                    await runImportWizard(options);
+                }
                 // Success message is printed at the end of the wizard function
             } catch (error) {
                 // Catch errors specifically from the wizard steps
@@ -194,15 +597,32 @@ export default function registerDatasetCommands(program) {
     datasetCommand
         .command('pull')
         .description('Pull a dataset directly from ListStor')
-        .argument('<liststorId>', 'The ID of the dataset to pull from ListStor')
+        .argument('[liststorId]', 'The ID of the dataset to pull from ListStor (optional with --from-package)')
         .option('-V, --dataset-version <version>', 'Dataset version to pull (semantic versioning, e.g. 1.0.0)')
+        .option('--from-package <zip>', 'Read a package zip saved with `stor download` instead of contacting ListStor')
+        .option('--no-cache', 'Download from ListStor even when the version is in the local package cache')
         .option('-i, --id <datasetId>', 'Local dataset ID to create (defaults to ListStor ID)')
         .option('-n, --name <datasetName>', 'Human-readable name for the dataset (defaults to ListStor name)')
         .option('-d, --description <description>', 'Description for the dataset (defaults to ListStor description)')
         .option('--id-field <fieldName>', 'The field to use as unique ID')
         .option('--name-field <fieldName>', 'The field to use as display name')
+        .option('--upgrade', 'Update an existing dataset from this version: add new items and update changed ones (the last synced version is remembered on this machine only)')
+        .option('--archive-missing', 'With --upgrade, archive items that are not in the new version')
+        .option('--dry-run', 'Validate locally and print a report; nothing is sent to the server')
+        .option('--mapping <file>', 'Field transforms to run on the package records (JSON or YAML)')
+        .option('--transform <op:field[=arg]>', `Inline field transform (${getTransformOperations().join(', ')}); repeatable, runs after --mapping`, collectTransform, [])
         .action(async (liststorId, options) => {
             try {
+                if (options.archiveMissing && !options.upgrade) {
+                    throw new Error('--archive-missing can only be used with --upgrade.');
+                }
+                if (!liststorId && !options.fromPackage) {
+                    throw new Error('Provide a ListStor dataset ID or a package with --from-package <zip>.');
+                }
+                if (options.fromPackage && options.datasetVersion) {
+                    throw new Error('--dataset-version cannot be combined with --from-package; the package has a fixed version.');
+                }
+
                 const datasetVersion = options.datasetVersion; 
                 // If the user passed a version, validate its semver-ish
                 if (datasetVersion) {
@@ -228,16 +648,23 @@ export default function registerDatasetCommands(program) {
                     specifiedNameField: options.nameField
                 };
 
-                // Show operation details
-                printInfo(`Pulling dataset '${liststorId}' from ListStor...`);
-
-                // Construct the URL to pull from ListStor
-                printInfo(`Attempting to download from ListStor`);
                 var responseData = {};
-                // Download the dataset
+                // Download the dataset, or read it from a package for air-gapped hosts
                 try {
-                    printInfo("Downloading dataset...");
-                    responseData = await listStorApi.getDataset(liststorId, datasetVersion);
+                    if (options.fromPackage) {
+                        printInfo(`Reading package ${options.fromPackage}...`);
+                        const packageBuffer = await fs.readFile(path.resolve(process.cwd(), options.fromPackage));
+                        responseData = await listStorApi.parsePackage(packageBuffer);
+                        liststorId = liststorId || responseData.meta.id;
+                    } else {
+                        // Show operation details
+                        printInfo(`Pulling dataset '${liststorId}' from ListStor...`);
+
+                        // Construct the URL to pull from ListStor
+                        printInfo(`Attempting to download from ListStor`);
+                        printInfo("Downloading dataset...");
+                        responseData = await listStorApi.getDataset(liststorId, datasetVersion, { useCache: options.cache });
+                    }
 
                     printInfo("Successfully downloaded dataset...");
 
@@ -272,6 +699,14 @@ export default function registerDatasetCommands(program) {
                 if (!jsonProcessor.validateAndProcessJson(wizardState)) {
                     throw new Error('JSON validation failed. Cannot proceed.');
                 }
+                const transforms = transformsFromOptions(options);
+                if (transforms.length > 0) {
+                    const transformed = runTransforms(wizardState.parsedJson, transforms);
+                    if (!jsonProcessor.processRecords(wizardState, transformed)) {
+                        throw new Error('Transformed records are not valid. Cannot proceed.');
+                    }
+                    printTransformPreview(transformed);
+                }
 
                 printSuccess('JSON is valid and processed.');
                 printInfo(`Detected ${wizardState.itemCount} items and ${wizardState.fields.length} unique fields.`);
@@ -285,6 +720,23 @@ export default function registerDatasetCommands(program) {
                     throw new Error('Dataset name is required. Provide it with --name parameter or ensure ListStor response includes a name.');
                 }
 
+                const targetId = (wizardState.datasetId || '').toLowerCase();
+                const datasetExists = ((await api.listDatasetIds()) || []).some(id => id.toLowerCase() === targetId);
+                let currentMeta = null;
+                if (options.upgrade) {
+                    if (!datasetExists) {
+                        throw new Error(`Dataset '${targetId}' does not exist on the server. Run 'dataset pull' without --upgrade to create it.`);
+                    }
+                    // Items are matched by ID, so an upgrade keeps the dataset's ID and Name fields
+                    currentMeta = await api.getDatasetMeta(targetId);
+                    wizardState.specifiedIdField = wizardState.specifiedIdField || currentMeta.idField;
+                    wizardState.specifiedNameField = wizardState.specifiedNameField || currentMeta.nameField;
+                    wizardState.datasetName = options.name || currentMeta.name;
+                    wizardState.datasetDescription = currentMeta.description || '';
+                } else if (datasetExists) {
+                    throw new Error(`Dataset '${targetId}' already exists. Use --upgrade to update it from this ListStor version.`);
+                }
+
                 // Determine ID and Name fields
                 const fieldNames = wizardState.fields.map(f => f.name);
 
@@ -352,81 +804,104 @@ export default function registerDatasetCommands(program) {
                 const idField = wizardState.fields.find(f => f.isId);
                 const nameField = wizardState.fields.find(f => f.isName);
 
-                console.log(chalk.cyan('\n--- Dataset Configuration ---'));
-                console.log(` ${chalk.bold('Dataset ID:')}      ${wizardState.datasetId}`);
-                console.log(` ${chalk.bold('Dataset Name:')}    ${wizardState.datasetName}`);
-                console.log(` ${chalk.bold('Description:')}     ${wizardState.datasetDescription || chalk.dim('(none)')}`);
-                console.log(` ${chalk.bold('ID Field:')}        ${idField.name} (${idField.dataType})`);
-                console.log(` ${chalk.bold('Name Field:')}      ${nameField.name} (${nameField.dataType})`);
-                console.log(` ${chalk.bold('Total Items:')}     ${wizardState.itemCount}`);
-                console.log(` ${chalk.bold('Fields:')}          ${fieldNames.length} (all fields will be included)`);
+                printLine(chalk.cyan('\n--- Dataset Configuration ---'));
+                printLine(` ${chalk.bold('Dataset ID:')}      ${wizardState.datasetId}`);
+                printLine(` ${chalk.bold('Dataset Name:')}    ${wizardState.datasetName}`);
+                printLine(` ${chalk.bold('Description:')}     ${wizardState.datasetDescription || chalk.dim('(none)')}`);
+                printLine(` ${chalk.bold('ID Field:')}        ${idField.name} (${idField.dataType})`);
+                printLine(` ${chalk.bold('Name Field:')}      ${nameField.name} (${nameField.dataType})`);
+                printLine(` ${chalk.bold('Total Items:')}     ${wizardState.itemCount}`);
+                printLine(` ${chalk.bold('Fields:')}          ${fieldNames.length} (all fields will be included)`);
 
                 // Prepare and save the dataset
-                printInfo('Saving dataset to server... This might take a moment for large datasets.');
+                if (!options.dryRun) {
+                    printInfo('Saving dataset to server... This might take a moment for large datasets.');
+                }
 
                 // Mark all fields as included
                 wizardState.fields.forEach(f => f.isIncluded = true);
 
-                // Prepare items payload and field definitions
-                const itemsPayload = {};
-                let skippedItemsCount = 0;
+                // Build items the same way as the import wizard
+                reportKeyProblems(wizardState);
+                const { items: itemsPayload, fields: finalFields, skippedCount: skippedItemsCount, skipped, sourceIndexes } =
+                    buildPayload(wizardState);
 
-                // Process items same way as in the wizard
-                wizardState.parsedJson.forEach((item, index) => {
-                    const itemIdValue = item[idField.name];
-                    const itemNameValue = item[nameField.name];
-
-                    // Validate presence of ID and Name values
-                    if (itemIdValue === null || itemIdValue === undefined || itemNameValue === null || itemNameValue === undefined) {
-                        skippedItemsCount++;
-                        return; // Skip this item
-                    }
+                if (skippedItemsCount > 0) {
+                    printInfo(`${skippedItemsCount} items were skipped due to missing/empty ID/Name fields or duplicates.`);
+                }
 
-                    const itemIdString = String(itemIdValue);
-                    const itemNameString = String(itemNameValue);
+                const syncedVersion = responseData.meta.version || datasetVersion || null;
+                const { serverUrl } = getConfig();
 
-                    if (!itemIdString) {
-                        skippedItemsCount++;
-                        return;
+                if (options.upgrade) {
+                    if (idField.name !== currentMeta.idField || nameField.name !== currentMeta.nameField) {
+                        throw new Error(`Dataset '${wizardState.datasetId}' uses '${currentMeta.idField}'/'${currentMeta.nameField}' as ID/Name fields. An upgrade cannot change them.`);
                     }
 
-                    // Check for duplicate item IDs
-                    if (itemsPayload[itemIdString]) {
-                        skippedItemsCount++;
-                        return;
+                    const previousSync = getSyncRecord(serverUrl, wizardState.datasetId);
+                    if (previousSync) {
+                        printInfo(`Last synced from ${previousSync.source}@${previousSync.version || 'latest'} on ${previousSync.syncedAt}.`);
+                    } else {
+                        printInfo('No sync history for this dataset on this machine; the upgrade compares the server against the package as usual.');
                     }
 
-                    // Include all fields in the item's data
-                    const data = {};
-                    wizardState.fields.forEach(field => {
-                        if (Object.hasOwnProperty.call(item, field.name)) {
-                            data[field.name] = item[field.name];
-                        }
-                    });
-
-                    // Add the processed item to the payload
-                    itemsPayload[itemIdString] = {
-                        Id: itemIdString,
-                        Name: itemNameString,
-                        Data: data,
-                        IsArchived: false,
+                    // Fields dropped by the new version are kept, so existing item data stays described
+                    const packageFields = wizardState.fields.map(f => ({ ...normalizeField(f), isRequired: f.isId || f.isName, sampleValues: f.sampleValues }));
+                    const retainedFields = (currentMeta.fields || [])
+                        .map(normalizeField)
+                        .filter(f => !packageFields.some(p => p.name === f.name));
+
+                    const manifest = {
+                        id: wizardState.datasetId,
+                        name: wizardState.datasetName,
+                        description: wizardState.datasetDescription,
+                        idField: currentMeta.idField,
+                        nameField: currentMeta.nameField,
+                        fields: [...packageFields, ...retainedFields],
+                        items: Object.values(itemsPayload).map(item => ({ id: item.Id, name: item.Name, data: item.Data })),
                     };
-                });
 
-                if (skippedItemsCount > 0) {
-                    printInfo(`${skippedItemsCount} items were skipped due to missing/empty ID/Name fields or duplicates.`);
+                    const plan = await buildPlan(manifest, { archiveMissing: Boolean(options.archiveMissing), includeArchived: true });
+                    if (!isStructuredOutput()) {
+                        printDatasetPlan(toPlanReport(plan), { sourceLabel: 'the new version' });
+                    }
+                    if (options.dryRun) {
+                        reportDryRun(validateDatasetPayload({ command: 'dataset pull --upgrade', body: manifest, skipped, sourceIndexes }));
+                        return;
+                    }
+                    const result = await applyPlan(plan, manifest, { onStep: printInfo });
+                    recordSync(serverUrl, wizardState.datasetId, { source: liststorId, version: syncedVersion });
+
+                    printSuccess(`Dataset '${wizardState.datasetId}' upgraded: ${result.created} created, ${result.updated} updated, ${result.archived} archived.`);
+                    printResult({
+                        id: wizardState.datasetId,
+                        source: liststorId,
+                        version: syncedVersion,
+                        previousVersion: previousSync ? previousSync.version : null,
+                        schemaUpdated: result.schemaUpdated,
+                        created: result.created,
+                        updated: result.updated,
+                        archived: result.archived,
+                        unchanged: plan.items.unchanged,
+                        retained: plan.items.retained || 0,
+                        skippedItemCount: skippedItemsCount,
+                    }, null);
+                    return;
                 }
 
-                // Prepare the field definitions for the API
-                const finalFields = wizardState.fields.map(f => ({
-                    Name: f.name,
-                    DataType: f.dataType,
-                    IsId: f.isId,
-                    IsName: f.isName,
-                    IsRequired: f.isId || f.isName,
-                    IsIncluded: true,
-                    SampleValues: f.sampleValues,
-                }));
+                if (options.dryRun) {
+                    const body = {
+                        id: wizardState.datasetId,
+                        name: wizardState.datasetName,
+                        description: wizardState.datasetDescription,
+                        idField: idField.name,
+                        nameField: nameField.name,
+                        fields: finalFields,
+                        items: itemsPayload,
+                    };
+                    reportDryRun(validateDatasetPayload({ command: 'dataset pull', body, skipped, sourceIndexes }));
+                    return;
+                }
 
                 // Create the dataset via API
                 await api.createDataset(
@@ -439,8 +914,18 @@ export default function registerDatasetCommands(program) {
                     itemsPayload
                 );
 
+                recordSync(serverUrl, wizardState.datasetId, { source: liststorId, version: syncedVersion });
+
                 printSuccess(`Dataset '${wizardState.datasetId}' successfully pulled and created!`);
                 printInfo(`View details with: refwire dataset get-meta ${wizardState.datasetId}`);
+                printResult({
+                    id: wizardState.datasetId,
+                    name: wizardState.datasetName,
+                    source: liststorId,
+                    version: syncedVersion,
+                    itemCount: Object.keys(itemsPayload).length,
+                    skippedItemCount: skippedItemsCount,
+                }, null);
 
             } catch (error) {
                 handleError(error, 'dataset pull');
@@ -448,12 +933,49 @@ export default function registerDatasetCommands(program) {
             }
         });
 
+    // Helper: items (and, when the definition has none, fields) for `create --data`
+    async function readDataFile(filePath, datasetDef, options) {
+        const state = {};
+        const records = await readRecords(filePath, {
+            format: options.format,
+            delimiter: options.delimiter,
+            header: options.header,
+            encoding: options.encoding,
+            sheet: options.sheet,
+        });
+        if (!jsonProcessor.processRecords(state, records)) {
+            throw new Error(`Cannot read records from ${filePath}.`);
+        }
+        if (!datasetDef.fields) warnMixedTypes(state.fields);
+
+        const fieldNames = state.fields.map(f => f.name);
+        [datasetDef.idField, datasetDef.nameField].forEach(fieldName => {
+            if (!fieldNames.includes(fieldName)) {
+                throw new Error(`Field '${fieldName}' not found in ${filePath}. Available fields: ${fieldNames.join(', ')}`);
+            }
+        });
+        state.fields.forEach(f => {
+            f.isId = f.name === datasetDef.idField;
+            f.isName = f.name === datasetDef.nameField;
+        });
+
+        reportKeyProblems(state);
+        const payload = buildPayload(state);
+        if (payload.skippedCount > 0) {
+            printInfo(`${payload.skippedCount} records were skipped due to missing/empty ID/Name fields or duplicates.`);
+        }
+        printInfo(`Read ${Object.keys(payload.items).length} items and ${fieldNames.length} fields from ${filePath}.`);
+
+        return { fields: datasetDef.fields || payload.fields, items: payload.items, skipped: payload.skipped, sourceIndexes: payload.sourceIndexes };
+    }
+
     // Helper: Wizard Logic
-    async function runImportWizard() {
+    async function runImportWizard(options = {}) {
         let wizardState = {
-            jsonContent: null,      // Raw JSON string input
-            parsedJson: null,       // JavaScript array parsed from jsonContent
-            fields: [],             // Array of field objects: { name, dataType, sampleValues[], isId, isName, isIncluded }
+            records: null,          // Records read from the input file (any supported format)
+            transforms: transformsFromOptions(options), // Field transform steps run over the records
+            parsedJson: null,       // Validated array of records
+            fields: [],             // Array of field objects: { name, dataType, sampleValues[], profile, isId, isName, isRequired, isIncluded }
             itemCount: 0,           // Number of items in the array
             datasetId: '',          // User-defined dataset ID
             datasetName: '',        // User-defined dataset name
@@ -464,11 +986,14 @@ export default function registerDatasetCommands(program) {
         await promptForInput(wizardState);
 
         // === Step 2: Validation ===
-        if (!jsonProcessor.validateAndProcessJson(wizardState)) {
-            throw new Error('JSON validation failed. Cannot proceed.'); // Will be caught by the action handler
+        const records = runTransforms(wizardState.records, wizardState.transforms);
+        if (!jsonProcessor.processRecords(wizardState, records)) {
+            throw new Error('Input validation failed. Cannot proceed.'); // Will be caught by the action handler
         }
-        printSuccess('JSON is valid and processed.');
+        if (wizardState.transforms.length > 0) printTransformPreview(records);
+        printSuccess('Input is valid and processed.');
         printInfo(`Detected ${wizardState.itemCount} items and ${wizardState.fields.length} unique fields.`);
+        warnMixedTypes(wizardState.fields);
 
         // === Step 3: Field Configuration ===
         await configureFields(wizardState);
@@ -476,12 +1001,24 @@ export default function registerDatasetCommands(program) {
         // === Step 4: Metadata ===
         await promptForMetadata(wizardState);
 
+        if (options.saveAnswers) {
+            saveImportAnswers(options.saveAnswers, collectImportAnswers(wizardState));
+            printSuccess(`Answers saved to ${options.saveAnswers}. Replay with: refwire dataset import --answers ${options.saveAnswers}`);
+        }
+
+        if (options.dryRun) {
+            printImportSummary(wizardState);
+            reportDryRun(validateImport(wizardState));
+            return;
+        }
+
         // === Step 5: Confirmation & Save ===
-        await confirmAndSave(wizardState);
+        const summary = await confirmAndSave(wizardState);
 
         // Final success message if everything completes
         printSuccess(`Dataset '${wizardState.datasetId}' imported successfully!`);
         printInfo(`View details with: refwire dataset get-meta ${wizardState.datasetId}`);
+        printResult(summary, null);
     }
 
     // Wizard Step Functions
@@ -490,9 +1027,9 @@ export default function registerDatasetCommands(program) {
             {
                 type: 'list',
                 name: 'inputMethod',
-                message: 'Choose JSON input source:',
+                message: 'Choose input source:',
                 choices: [
-                    { name: 'Provide local file path', value: 'file' },
+                    { name: 'Provide local file path (JSON, NDJSON, CSV, TSV or XLSX)', value: 'file' },
                     { name: 'Cancel', value: 'cancel' },
                 ],
             },
@@ -505,7 +1042,7 @@ export default function registerDatasetCommands(program) {
                 {
                     type: 'input',
                     name: 'filePath',
-                    message: 'Enter the path to the JSON file:',
+                    message: 'Enter the path to the data file:',
                     validate: async (input) => {
                         if (!input) return 'File path cannot be empty.';
                         try {
@@ -519,9 +1056,22 @@ export default function registerDatasetCommands(program) {
                     },
                 }
             ]);
-            const absolutePath = path.resolve(process.cwd(), filePath);
+
+            const { format } = await inquirer.prompt([
+                {
+                    type: 'list',
+                    name: 'format',
+                    message: 'File format:',
+                    choices: getInputFormats(),
+                    default: detectInputFormat(filePath),
+                },
+            ]);
+            const readOptions = { format, ...(await promptForReadOptions(filePath, format)) };
+            state.sourceFile = filePath;
+            state.readOptions = readOptions;
+
             try {
-                state.jsonContent = await fs.readFile(absolutePath, 'utf-8');
+                state.records = await readRecords(filePath, readOptions);
                 printInfo(`Read content from ${filePath}`);
             } catch (readError) {
                 printError(`Error reading file ${filePath}: ${readError.message}`);
@@ -530,9 +1080,46 @@ export default function registerDatasetCommands(program) {
         }
     }
 
+    // Format-specific questions: header row, delimiter and encoding for text tables, sheet for workbooks
+    async function promptForReadOptions(filePath, format) {
+        if (format === 'xlsx') {
+            const sheets = await listSheets(filePath);
+            return inquirer.prompt([
+                { type: 'list', name: 'sheet', message: 'Worksheet to import:', choices: sheets, when: sheets.length > 1 },
+                { type: 'confirm', name: 'header', message: 'Does the first row contain column names?', default: true },
+            ]);
+        }
+        if (format === 'csv' || format === 'tsv') {
+            return inquirer.prompt([
+                { type: 'confirm', name: 'header', message: 'Does the first row contain column names?', default: true },
+                {
+                    type: 'input',
+                    name: 'delimiter',
+                    message: 'Cell delimiter (leave empty to detect):',
+                    default: format === 'tsv' ? '\\t' : '',
+                    filter: (input) => input.replace(/^\\t$/, '\t') || undefined,
+                },
+                { type: 'input', name: 'encoding', message: 'Text encoding:', default: 'utf-8' },
+            ]);
+        }
+        return inquirer.prompt([
+            { type: 'input', name: 'encoding', message: 'Text encoding:', default: 'utf-8' },
+        ]);
+    }
+
     async function configureFields(state) {
         printInfo(chalk.cyan('\n--- Step 3: Field Configuration ---'));
-        const dataTypes = ['Text', 'Date', 'Number', 'List', 'Boolean', 'Unknown']; 
+
+        // Start from the suggested ID/Name fields; they can be changed below
+        const suggestion = jsonProcessor.suggestKeyFields(state.fields);
+        if (!state.fields.some(f => f.isId) && suggestion.idField) {
+            state.fields.forEach(f => f.isId = f.name === suggestion.idField);
+            printInfo(`Suggested ID field: ${chalk.bold(suggestion.idField)} (unique and never empty).`);
+        }
+        if (!state.fields.some(f => f.isName) && suggestion.nameField) {
+            state.fields.forEach(f => f.isName = f.name === suggestion.nameField);
+            printInfo(`Suggested Name field: ${chalk.bold(suggestion.nameField)}.`);
+        }
 
         let configuring = true;
         while (configuring) {
@@ -542,11 +1129,14 @@ export default function registerDatasetCommands(program) {
                     chalk.cyan('Field Name'),
                     chalk.cyan('Data Type'),
                     chalk.cyan('Samples'),
+                    chalk.cyan('Profile'),
+                    chalk.cyan('Distinct'),
                     chalk.yellow('Is ID?'),
                     chalk.yellow('Is Name?'),
+                    chalk.yellow('Required?'),
                     chalk.yellow('Included?')
                 ],
-                colWidths: [25, 15, 40, 10, 10, 12], 
+                colWidths: [20, 10, 24, 26, 12, 8, 10, 11, 11],
                 wordWrap: true,
             });
 
@@ -555,12 +1145,15 @@ export default function registerDatasetCommands(program) {
                     f.name,
                     f.dataType,
                     f.sampleValues.join(', ') || chalk.dim('(none)'),
+                    f.profile ? jsonProcessor.describeFieldProfile(f.profile) : chalk.dim('-'),
+                    f.profile ? `${f.profile.distinct}${f.profile.unique ? chalk.green(' unique') : ''}` : chalk.dim('-'),
                     f.isId ? chalk.green('Yes') : 'No',
                     f.isName ? chalk.green('Yes') : 'No',
+                    f.isId || f.isName || f.isRequired ? chalk.green('Yes') : 'No',
                     f.isIncluded ? chalk.green('Yes') : chalk.red('No') 
                 ]);
             });
-            console.log(table.toString());
+            printLine(table.toString());
 
             // Check if conditions are met to proceed
             const hasId = state.fields.some(f => f.isId);
@@ -578,7 +1171,10 @@ export default function registerDatasetCommands(program) {
                         { name: 'Set ID Field', value: 'set_id', disabled: fieldNames.length === 0 },
                         { name: 'Set Name Field', value: 'set_name', disabled: fieldNames.length === 0 },
                         { name: 'Change Data Type', value: 'change_type', disabled: fieldNames.length === 0 },
+                        { name: 'Toggle Required Status', value: 'toggle_required', disabled: fieldNames.length === 0 },
                         { name: 'Toggle Included Status', value: 'toggle_include', disabled: fieldNames.length === 0 },
+                        { name: 'Add Transform (rename, trim, cast, default, compute...)', value: 'add_transform' },
+                        { name: 'Remove Transform', value: 'remove_transform', disabled: state.transforms.length === 0 ? ' (no transforms)' : false },
                         new inquirer.Separator(),
                         { name: 'Proceed to Metadata', value: 'proceed', disabled: !canProceed ? ' (Select ID and Name fields first)' : false },
                         { name: 'Cancel Import', value: 'cancel' },
@@ -590,15 +1186,19 @@ export default function registerDatasetCommands(program) {
             switch (action) {
                 case 'set_id': {
                     const { fieldToSet } = await inquirer.prompt([
-                        { type: 'list', name: 'fieldToSet', message: 'Select the field to use as the unique ID:', choices: fieldNames },
+                        { type: 'list', name: 'fieldToSet', message: 'Select the field to use as the unique ID:', choices: fieldNames, default: suggestion.idField ?? undefined },
                     ]);
                     // Ensure only one field is marked as ID
                     state.fields.forEach(f => f.isId = (f.name === fieldToSet));
+                    const { profile } = state.fields.find(f => f.name === fieldToSet);
+                    if (profile && (!profile.unique || profile.missing + profile.empty > 0)) {
+                        printWarning(`'${fieldToSet}' is not a clean ID: ${profile.distinct} distinct values, ${profile.missing + profile.empty} empty, in ${profile.total} records. Affected records are skipped on save.`);
+                    }
                     break;
                 }
                 case 'set_name': {
                     const { fieldToSet } = await inquirer.prompt([
-                        { type: 'list', name: 'fieldToSet', message: 'Select the field to use as the display Name:', choices: fieldNames },
+                        { type: 'list', name: 'fieldToSet', message: 'Select the field to use as the display Name:', choices: fieldNames, default: suggestion.nameField ?? undefined },
                     ]);
                     // Ensure only one field is marked as Name
                     state.fields.forEach(f => f.isName = (f.name === fieldToSet));
@@ -610,11 +1210,26 @@ export default function registerDatasetCommands(program) {
                     ]);
                     const currentField = state.fields.find(f => f.name === fieldToChange);
                     const { newType } = await inquirer.prompt([
-                        { type: 'list', name: 'newType', message: `Select new data type for '${fieldToChange}' (current: ${currentField?.dataType}):`, choices: dataTypes },
+                        { type: 'list', name: 'newType', message: `Select new data type for '${fieldToChange}' (current: ${currentField?.dataType}):`, choices: DATA_TYPES },
                     ]);
                     if (currentField) currentField.dataType = newType;
                     break;
                 }
+                case 'toggle_required': {
+                    const { fieldToToggle } = await inquirer.prompt([
+                        { type: 'list', name: 'fieldToToggle', message: 'Select field to mark as required/optional:', choices: fieldNames },
+                    ]);
+                    const field = state.fields.find(f => f.name === fieldToToggle);
+                    if (field) {
+                        // The ID and Name fields are always required
+                        if (field.isId || field.isName) {
+                            printError('The ID and Name fields are always required.');
+                        } else {
+                            field.isRequired = !field.isRequired;
+                        }
+                    }
+                    break;
+                }
                 case 'toggle_include': {
                     const { fieldToToggle } = await inquirer.prompt([
                         { type: 'list', name: 'fieldToToggle', message: 'Select field to include/exclude from the dataset:', choices: fieldNames },
@@ -630,6 +1245,30 @@ export default function registerDatasetCommands(program) {
                     }
                     break;
                 }
+                case 'add_transform': {
+                    const step = await promptForTransform(fieldNames);
+                    if (step) {
+                        state.transforms.push(step);
+                        if (!reapplyTransforms(state)) {
+                            state.transforms.pop();
+                            reapplyTransforms(state);
+                        }
+                    }
+                    break;
+                }
+                case 'remove_transform': {
+                    const { index } = await inquirer.prompt([
+                        {
+                            type: 'list',
+                            name: 'index',
+                            message: 'Select the transform to remove:',
+                            choices: state.transforms.map((step, i) => ({ name: describeTransform(step), value: i })),
+                        },
+                    ]);
+                    state.transforms.splice(index, 1);
+                    reapplyTransforms(state);
+                    break;
+                }
                 case 'proceed':
                     configuring = false; // Exit the configuration loop
                     break;
@@ -640,6 +1279,57 @@ export default function registerDatasetCommands(program) {
         printSuccess('Field configuration complete.');
     }
 
+    async function promptForTransform(fieldNames) {
+        const { op } = await inquirer.prompt([
+            { type: 'list', name: 'op', message: 'Transform:', choices: getTransformOperations() },
+        ]);
+        const textOperation = ['trim', 'lowercase', 'uppercase'].includes(op);
+        const { field, argument } = await inquirer.prompt([
+            op === 'compute'
+                ? { type: 'input', name: 'field', message: 'Name of the computed field:', validate: (input) => (input ? true : 'Field name cannot be empty.') }
+                : { type: 'list', name: 'field', message: 'Field:', choices: textOperation ? [{ name: '* (all text fields)', value: '*' }, ...fieldNames] : fieldNames },
+            { type: 'input', name: 'argument', message: 'New field name:', when: op === 'rename' },
+            { type: 'list', name: 'argument', message: 'Convert to:', choices: CAST_TYPES, when: op === 'cast' },
+            { type: 'input', name: 'argument', message: 'Default value for missing or empty values:', when: op === 'default' },
+            { type: 'input', name: 'argument', message: 'Template, with {field} placeholders (e.g. {iso2}-{iso3}):', when: op === 'compute' },
+        ]);
+        try {
+            return parseTransform(argument === undefined ? `${op}:${field}` : `${op}:${field}=${argument}`);
+        } catch (error) {
+            printError(error.message);
+            return null;
+        }
+    }
+
+    // Re-run the transforms over the source records, keeping the choices made for fields that still exist
+    function reapplyTransforms(state) {
+        const previous = new Map(state.fields.map(f => [f.name, f]));
+        const records = runTransforms(state.records, state.transforms);
+        if (!jsonProcessor.processRecords(state, records)) {
+            return false;
+        }
+        // A renamed field keeps the choices made under its old name
+        const renamedFrom = new Map(state.transforms.filter(step => step.op === 'rename').map(step => [step.to, step.field]));
+        state.fields.forEach(f => {
+            const earlier = previous.get(f.name) ?? previous.get(renamedFrom.get(f.name));
+            if (earlier) {
+                f.isId = earlier.isId;
+                f.isName = earlier.isName;
+                f.isIncluded = earlier.isIncluded;
+                // Type and required choices stand unless the transforms changed what was detected for the field
+                if (jsonProcessor.recommendDataType(earlier.profile.kinds) === f.dataType) {
+                    f.dataType = earlier.dataType;
+                }
+                if ((earlier.profile.missing === 0 && earlier.profile.empty === 0) === f.isRequired) {
+                    f.isRequired = earlier.isRequired;
+                }
+            }
+        });
+        printTransformPreview(records);
+        warnMixedTypes(state.fields);
+        return true;
+    }
+
     async function promptForMetadata(state) {
         printInfo(chalk.cyan('\n--- Step 4: Dataset Metadata ---'));
         const answers = await inquirer.prompt([
@@ -673,113 +1363,77 @@ export default function registerDatasetCommands(program) {
         state.datasetDescription = answers.datasetDescription;
     }
 
-    async function confirmAndSave(state) {
-        printInfo(chalk.cyan('\n--- Step 5: Confirmation ---'));
-
-        // Find the selected ID and Name fields from the configured state
+    function printImportSummary(state) {
         const idField = state.fields.find(f => f.isId);
         const nameField = state.fields.find(f => f.isName);
         // Get names of fields that are marked to be included
         const includedFields = state.fields.filter(f => f.isIncluded).map(f => f.name);
 
+        printLine(` ${chalk.bold('Dataset ID:')}      ${state.datasetId}`);
+        printLine(` ${chalk.bold('Dataset Name:')}    ${state.datasetName}`);
+        printLine(` ${chalk.bold('Description:')}   ${state.datasetDescription || chalk.dim('(none)')}`);
+        printLine(chalk.blue('--- Configuration ---'));
+        printLine(` ${chalk.bold('ID Field:')}        ${idField.name} (${idField.dataType})`);
+        printLine(` ${chalk.bold('Name Field:')}      ${nameField.name} (${nameField.dataType})`);
+        printLine(` ${chalk.bold('Total Items:')}     ${state.itemCount}`);
+        printLine(` ${chalk.bold('Included Fields:')} ${includedFields.length > 0 ? includedFields.join(', ') : chalk.dim('(none)')}`);
+        // Display excluded fields
+        const excludedFields = state.fields.filter(f => !f.isIncluded).map(f => f.name);
+        if (excludedFields.length > 0) printLine(` ${chalk.dim.italic('Excluded Fields:')} ${excludedFields.join(', ')}`);
+        if (state.transforms?.length > 0) printLine(` ${chalk.bold('Transforms:')}      ${state.transforms.map(describeTransform).join(', ')}`);
+    }
+
+    async function confirmAndSave(state) {
+        printInfo(chalk.cyan('\n--- Step 5: Confirmation ---'));
+
         // Display summary - Check if idField/nameField were found
-        if (!idField || !nameField) {
+        if (!state.fields.some(f => f.isId) || !state.fields.some(f => f.isName)) {
             printError('Critical Error: ID or Name field is missing in the final configuration state. Cannot proceed.');
             throw new Error('Wizard cancelled due to configuration error.');
         }
+        printImportSummary(state);
+        if (state.transforms.length > 0) printTransformPreview(state.parsedJson);
+        const skipCount = reportKeyProblems(state);
 
-        console.log(` ${chalk.bold('Dataset ID:')}      ${state.datasetId}`);
-        console.log(` ${chalk.bold('Dataset Name:')}    ${state.datasetName}`);
-        console.log(` ${chalk.bold('Description:')}   ${state.datasetDescription || chalk.dim('(none)')}`);
-        console.log(chalk.blue('--- Configuration ---'));
-        console.log(` ${chalk.bold('ID Field:')}        ${idField.name} (${idField.dataType})`);
-        console.log(` ${chalk.bold('Name Field:')}      ${nameField.name} (${nameField.dataType})`);
-        console.log(` ${chalk.bold('Total Items:')}     ${state.itemCount}`);
-        console.log(` ${chalk.bold('Included Fields:')} ${includedFields.length > 0 ? includedFields.join(', ') : chalk.dim('(none)')}`);
-        // Display excluded fields
-        const excludedFields = state.fields.filter(f => !f.isIncluded).map(f => f.name);
-        if (excludedFields.length > 0) console.log(` ${chalk.dim.italic('Excluded Fields:')} ${excludedFields.join(', ')}`);
-
-        // Final confirmation prompt
+        // Final confirmation prompt; saving with records to skip has to be confirmed explicitly
         const { confirm } = await inquirer.prompt([
-            { type: 'confirm', name: 'confirm', message: 'Review the details above. Proceed with saving this dataset to the server?', default: true },
+            {
+                type: 'confirm',
+                name: 'confirm',
+                message: skipCount > 0
+                    ? `Save the dataset without the ${skipCount} record(s) listed above?`
+                    : 'Review the details above. Proceed with saving this dataset to the server?',
+                default: skipCount === 0,
+            },
         ]);
 
         if (!confirm) {
             throw new Error('Wizard cancelled.');
         }
 
-        // Construct final payload for the API 
-        const itemsPayload = {}; // This will be the Dictionary<string, DatasetItem>
-        let skippedItemsCount = 0;
-        state.parsedJson.forEach((item, index) => {
-            const itemIdValue = item[idField.name];
-            const itemNameValue = item[nameField.name];
-
-            // Validate presence and basic type of ID and Name values from the source item
-            if (itemIdValue === null || itemIdValue === undefined || itemNameValue === null || itemNameValue === undefined) {
-                console.warn(chalk.yellow(`Skipping item at index ${index} due to missing ID ('${idField.name}') or Name ('${nameField.name}') field.`));
-                skippedItemsCount++;
-                return; // Skip this item
-            }
-
-            const itemIdString = String(itemIdValue); // Convert ID to string
-            const itemNameString = String(itemNameValue); // Convert Name to string
-
-            if (!itemIdString) { // Check if ID string is empty after conversion
-                console.warn(chalk.yellow(`Skipping item at index ${index} due to empty ID ('${idField.name}') field after conversion.`));
-                skippedItemsCount++;
-                return;
-            }
-
-            // Check for duplicate item IDs being added to the payload
-            if (itemsPayload[itemIdString]) {
-                console.warn(chalk.yellow(`Skipping item at index ${index}: Duplicate item ID '${itemIdString}' already processed. Using first occurrence.`));
-                skippedItemsCount++;
-                return;
-            }
-
-            // Build the Data dictionary for this item, including only the 'included' fields
-            const data = {};
-            state.fields.forEach(field => {
-                // Only include fields marked for inclusion AND that actually exist in the current source item
-                if (field.isIncluded && Object.hasOwnProperty.call(item, field.name)) {
-                    data[field.name] = item[field.name];
-                }
-            });
+        return saveImportedDataset(state);
+    }
 
-            // Add the processed item to the payload dictionary
-            itemsPayload[itemIdString] = {
-                Id: itemIdString, // Ensure ID matches the key
-                Name: itemNameString,
-                Data: data,
-                IsArchived: false, // New items are not archived
-            };
-        });
+    // --dry-run: the validation report for the dataset the import would create
+    function validateImport(state) {
+        const { idField, nameField, fields, items, skipped, sourceIndexes } = buildPayload(state);
+        const body = {
+            id: state.datasetId,
+            name: state.datasetName,
+            description: state.datasetDescription,
+            idField: idField.name,
+            nameField: nameField.name,
+            fields,
+            items,
+        };
+        return validateDatasetPayload({ command: 'dataset import', body, skipped, sourceIndexes });
+    }
 
-        if (skippedItemsCount > 0) {
-            printInfo(`${skippedItemsCount} items were skipped due to missing/empty ID/Name fields or duplicates.`);
-        }
+    async function saveImportedDataset(state) {
+        const { idField, nameField, fields, items, skippedCount } = jsonProcessor.buildDatasetPayload(state);
 
-        // Prepare the final 'Fields' array for the API payload
-        // Only include fields marked as 'Included' and map to the expected C# structure
-        const finalFields = state.fields
-            .filter(f => f.isIncluded)
-            .map(f => ({ // Map to the structure RefWireDB.Core.Models.DatasetField
-                Name: f.name,
-                DataType: f.dataType,
-                IsId: f.isId,
-                IsName: f.isName,
-                // Define IsRequired based on IsId/IsName
-                IsRequired: f.isId || f.isName,
-                IsIncluded: f.isIncluded, // Should always be true here due to filter
-                SampleValues: f.sampleValues, // Include collected samples
-            }));
-
-        // Ensure we still have an ID and Name field after filtering
-        if (!finalFields.some(f => f.IsId) || !finalFields.some(f => f.IsName)) {
-            printError("Critical Error: The final list of included fields is missing an ID or Name field. This might happen if the ID/Name field was excluded.");
-            throw new Error("Wizard cancelled due to invalid final field configuration.");
+        if (skippedCount > 0) {
+            printInfo(`${skippedCount} items were skipped due to missing/empty ID/Name fields or duplicates.`);
         }
 
         printInfo('Saving dataset to server... This might take a moment for large datasets.');
@@ -791,9 +1445,147 @@ export default function registerDatasetCommands(program) {
             state.datasetDescription,
             idField.name,      // The name of the field designated as ID
             nameField.name,     // The name of the field designated as Name
-            finalFields,       // The array of included & configured field definitions
-            itemsPayload       // The dictionary of processed dataset items
+            fields,            // The array of included & configured field definitions
+            items              // The dictionary of processed dataset items
         );
-        // Success message is handled by the caller (runImportWizard)
+        // Success message is handled by the caller
+
+        return {
+            id: state.datasetId,
+            name: state.datasetName,
+            itemCount: Object.keys(items).length,
+            skippedItemCount: skippedCount,
+        };
+    }
+
+    // Answers of a configured import, in the shape read by runHeadlessImport
+    function collectImportAnswers(state) {
+        const readOptions = Object.fromEntries(Object.entries(state.readOptions || {}).filter(([, value]) => value !== undefined));
+        return {
+            file: state.sourceFile,
+            read: readOptions,
+            id: state.datasetId,
+            name: state.datasetName,
+            description: state.datasetDescription || '',
+            idField: state.fields.find(f => f.isId)?.name,
+            nameField: state.fields.find(f => f.isName)?.name,
+            exclude: state.fields.filter(f => !f.isIncluded).map(f => f.name),
+            types: Object.fromEntries(state.fields.filter(f => f.isIncluded).map(f => [f.name, f.dataType])),
+            required: state.fields.filter(f => f.isIncluded && f.isRequired && !f.isId && !f.isName).map(f => f.name),
+            transforms: state.transforms,
+        };
+    }
+
+    // Merge saved answers with command-line flags (flags win)
+    function resolveImportAnswers(options) {
+        const saved = options.answers ? loadImportAnswers(options.answers) : {};
+        const read = { ...(saved.read || {}) };
+        ['format', 'delimiter', 'encoding', 'sheet'].forEach(key => {
+            if (options[key] !== undefined) read[key] = options[key];
+        });
+        if (options.header === false) read.header = false;
+
+        return {
+            file: options.file || saved.file,
+            read,
+            id: options.id || saved.id,
+            name: options.name || saved.name,
+            description: options.description ?? saved.description ?? '',
+            idField: options.idField || saved.idField,
+            nameField: options.nameField || saved.nameField,
+            include: options.include || saved.include,
+            exclude: options.exclude || saved.exclude || [],
+            types: { ...(saved.types || {}), ...options.type },
+            required: options.required || saved.required,
+            transforms: options.mapping || options.transform.length > 0
+                ? transformsFromOptions(options)
+                : (saved.transforms || []).map(normalizeTransform),
+        };
+    }
+
+    function applyFieldAnswers(state, answers) {
+        const fieldNames = state.fields.map(f => f.name);
+        const checkFields = (names, option) => {
+            const unknown = names.filter(name => !fieldNames.includes(name));
+            if (unknown.length > 0) {
+                throw new Error(`Unknown field(s) in ${option}: ${unknown.join(', ')}. Available fields: ${fieldNames.join(', ')}`);
+            }
+        };
+        checkFields([answers.idField], 'the ID field');
+        checkFields([answers.nameField], 'the Name field');
+        checkFields(answers.include || [], '--include');
+        checkFields(answers.exclude, '--exclude');
+        checkFields(Object.keys(answers.types), '--type');
+        checkFields(answers.required || [], '--required');
+
+        if (answers.exclude.includes(answers.idField) || answers.exclude.includes(answers.nameField)) {
+            throw new Error('Cannot exclude the ID or Name field.');
+        }
+
+        state.fields.forEach(f => {
+            f.isId = f.name === answers.idField;
+            f.isName = f.name === answers.nameField;
+            const included = answers.include ? answers.include.includes(f.name) : true;
+            f.isIncluded = f.isId || f.isName || (included && !answers.exclude.includes(f.name));
+            if (answers.required) f.isRequired = answers.required.includes(f.name);
+
+            const type = answers.types[f.name];
+            if (type !== undefined) {
+                const dataType = DATA_TYPES.find(t => t.toLowerCase() === String(type).toLowerCase());
+                if (!dataType) {
+                    throw new Error(`Invalid data type '${type}' for field '${f.name}'. Expected one of: ${DATA_TYPES.join(', ')}`);
+                }
+                f.dataType = dataType;
+            }
+        });
+    }
+
+    async function runHeadlessImport(options) {
+        const answers = resolveImportAnswers(options);
+        const missing = [
+            ['file', '--file'], ['id', '--id'], ['name', '--name'], ['idField', '--id-field'], ['nameField', '--name-field'],
+        ].filter(([key]) => !answers[key]).map(([, flag]) => flag);
+        if (missing.length > 0) {
+            throw new Error(`Headless import is missing: ${missing.join(', ')} (as flags or in the answers file).`);
+        }
+        if (/\s/.test(answers.id)) {
+            throw new Error('Dataset ID should not contain spaces.');
+        }
+
+        const state = {
+            sourceFile: answers.file,
+            readOptions: answers.read,
+            datasetId: answers.id.toLowerCase(),
+            datasetName: answers.name,
+            datasetDescription: answers.description,
+            transforms: answers.transforms,
+        };
+        if (state.datasetId !== answers.id) {
+            printInfo(`Dataset ID normalized to lowercase: '${state.datasetId}'`);
+        }
+
+        const records = runTransforms(await readRecords(answers.file, answers.read), answers.transforms);
+        if (!jsonProcessor.processRecords(state, records)) {
+            throw new Error('Input validation failed. Cannot proceed.');
+        }
+        if (answers.transforms.length > 0) printTransformPreview(records);
+        printInfo(`Detected ${state.itemCount} items and ${state.fields.length} unique fields.`);
+        applyFieldAnswers(state, answers);
+        warnMixedTypes(state.fields.filter(f => f.isIncluded && answers.types[f.name] === undefined));
+
+        if (options.saveAnswers) {
+            saveImportAnswers(options.saveAnswers, collectImportAnswers(state));
+            printSuccess(`Answers saved to ${options.saveAnswers}.`);
+        }
+
+        printImportSummary(state);
+        if (options.dryRun) {
+            reportDryRun(validateImport(state));
+            return;
+        }
+        reportKeyProblems(state);
+        const summary = await saveImportedDataset(state);
+        printSuccess(`Dataset '${state.datasetId}' imported successfully!`);
+        printResult(summary, null);
     }
-}
\ No newline at end of file
+}
@@ -2,7 +2,7 @@ import { Command } from 'commander';
 import chalk from 'chalk';
 import * as api from '../lib/apiClient.js';
 import { handleError } from '../utils/errorHandler.js';
-import { printInfo, printJson } from '../utils/outputFormatter.js';
+import { printInfo, printResult } from '../utils/outputFormatter.js';
 
 export default function registerHealthCommands(program) {
     const healthCommand = program.command('health')
@@ -15,7 +15,7 @@ export default function registerHealthCommands(program) {
             try {
                 const report = await api.getHealthReport();
                 printInfo('System Health Report:');
-                printJson(report);
+                printResult(report);
             } catch (error) {
                 handleError(error, 'health report');
                 process.exitCode = 1;
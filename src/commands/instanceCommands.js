@@ -2,7 +2,7 @@ import { Command } from 'commander';
 import chalk from 'chalk';
 import * as api from '../lib/apiClient.js';
 import { handleError } from '../utils/errorHandler.js';
-import { printSuccess, printInstancesTable } from '../utils/outputFormatter.js';
+import { printSuccess, printInstancesTable, printResult } from '../utils/outputFormatter.js';
 
 export default function registerInstanceCommands(program) {
     const instanceCommand = program.command('instance')
@@ -15,7 +15,7 @@ export default function registerInstanceCommands(program) {
             try {
                 const instances = await api.listAppInstances();
 
-                printInstancesTable(instances);
+                printResult(instances, printInstancesTable);
             } catch (error) {
                 handleError(error, 'instance list');
                 process.exitCode = 1;
@@ -30,6 +30,7 @@ export default function registerInstanceCommands(program) {
             try {
                 await api.removeAppInstance(instanceId);
                 printSuccess(`App instance ${instanceId} removed successfully.`);
+                printResult({ instanceId, removed: true }, null);
             } catch (error) {
                 handleError(error, 'instance remove');
                 process.exitCode = 1;
@@ -2,8 +2,12 @@ import { Command } from 'commander';
 import chalk from 'chalk';
 import * as api from '../lib/apiClient.js';
 import { handleError } from '../utils/errorHandler.js';
-import { printSuccess, printJson, printError } from '../utils/outputFormatter.js';
+import { printSuccess, printError, printInfo, printWarning, printResult, printItem, printItemsTable, printValidationReport, printItemValidation } from '../utils/outputFormatter.js';
+import { createProgressBar } from '../utils/progressBar.js';
+import { uploadItemsInBatches, validateItemsFile, defaultCheckpointPath } from '../lib/bulkUploader.js';
 import { readJsonFile } from '../utils/fileReader.js';
+import { toJsonSchema, loadSchemaFile, validateItemFile } from '../utils/jsonSchema.js';
+import { parseList, parsePositiveInt, parseNonNegativeInt } from '../utils/optionParsers.js';
 
 // Helper to parse JSON string safely
 const parseJsonString = (jsonString, fieldName) => {
@@ -15,10 +19,102 @@ const parseJsonString = (jsonString, fieldName) => {
     }
 };
 
+// Keep only the requested data fields of an item
+const projectItem = (item, fields) => {
+    if (!fields || fields.length === 0) return item;
+    const data = {};
+    fields.forEach(field => {
+        if (item.data && Object.hasOwnProperty.call(item.data, field)) {
+            data[field] = item.data[field];
+        }
+    });
+    return { ...item, data };
+};
+
 export default function registerItemCommands(program) {
     const itemCommand = program.command('item')
         .description(`${chalk.yellow('[Admin]')} Manage Items within Datasets`);
 
+    itemCommand
+        .command('get')
+        .description('Get an item by ID, or several items with --ids')
+        .argument('<datasetId>', 'ID of the dataset')
+        .argument('[itemId]', 'ID of the item')
+        .option('--ids <ids>', 'Comma-separated list of item IDs to look up (e.g. a,b,c)', parseList)
+        .option('--fields <fields>', 'Comma-separated list of data fields to show', parseList)
+        .action(async (datasetId, itemId, options) => {
+            try {
+                if (!itemId && !options.ids) {
+                    throw new Error('Provide an item ID or --ids.');
+                }
+                if (itemId && options.ids) {
+                    throw new Error('Provide either an item ID or --ids, not both.');
+                }
+
+                if (options.ids) {
+                    const items = await api.searchDatasetItemsByIds(datasetId, options.ids);
+                    const foundIds = new Set(items.map(item => String(item.id)));
+                    const missing = options.ids.filter(id => !foundIds.has(id));
+                    if (missing.length > 0) {
+                        printInfo(`Not found: ${missing.join(', ')}`);
+                    }
+                    printResult(items.map(item => projectItem(item, options.fields)), (list) => printItemsTable(list, options.fields));
+                    return;
+                }
+
+                const item = await api.getDatasetItem(datasetId, itemId);
+                printResult(projectItem(item, options.fields), printItem);
+            } catch (error) {
+                handleError(error, 'item get');
+                process.exitCode = 1;
+            }
+        });
+
+    itemCommand
+        .command('list')
+        .description('List the items of a dataset, one page at a time')
+        .argument('<datasetId>', 'ID of the dataset')
+        .option('--skip <n>', 'Number of items to skip', parseNonNegativeInt, 0)
+        .option('--limit <n>', 'Maximum number of items to return', parsePositiveInt, 25)
+        .option('--include-archived', 'Include archived items')
+        .option('--fields <fields>', 'Comma-separated list of data fields to show', parseList)
+        .action(async (datasetId, options) => {
+            try {
+                const items = await api.listDatasetItems(datasetId, {
+                    skip: options.skip,
+                    limit: options.limit,
+                    includeArchived: Boolean(options.includeArchived),
+                });
+                printResult(items.map(item => projectItem(item, options.fields)), (list) => {
+                    printItemsTable(list, options.fields);
+                    if (list.length === options.limit) {
+                        printInfo(`Showing items ${options.skip + 1}-${options.skip + list.length}. Next page: --skip ${options.skip + options.limit}`);
+                    }
+                });
+            } catch (error) {
+                handleError(error, 'item list');
+                process.exitCode = 1;
+            }
+        });
+
+    itemCommand
+        .command('search')
+        .description('Search the items of a dataset')
+        .argument('<datasetId>', 'ID of the dataset')
+        .argument('<query>', 'Search term')
+        .option('--skip <n>', 'Number of results to skip', parseNonNegativeInt, 0)
+        .option('--limit <n>', 'Maximum number of results to return', parsePositiveInt, 25)
+        .option('--fields <fields>', 'Comma-separated list of data fields to show', parseList)
+        .action(async (datasetId, query, options) => {
+            try {
+                const items = await api.searchDatasetItems(datasetId, query, { skip: options.skip, limit: options.limit });
+                printResult(items.map(item => projectItem(item, options.fields)), (list) => printItemsTable(list, options.fields));
+            } catch (error) {
+                handleError(error, 'item search');
+                process.exitCode = 1;
+            }
+        });
+
     itemCommand
         .command('add')
         .description('Add a new item to a dataset')
@@ -38,7 +134,7 @@ export default function registerItemCommands(program) {
 
                 const result = await api.addDatasetItem(datasetId, itemId, name, itemData);
                 printSuccess(`Item '${itemId}' added to dataset '${datasetId}'.`);
-                printJson(result);
+                printResult(result);
             } catch (error) {
                 handleError(error, 'item add');
                 process.exitCode = 1;
@@ -47,24 +143,81 @@ export default function registerItemCommands(program) {
 
     itemCommand
         .command('add-bulk')
-        .description('Add multiple items to a dataset from a JSON file')
+        .description('Add items to a dataset from a JSON array or NDJSON file, uploaded in batches')
         .argument('<datasetId>', 'ID of the target dataset')
-        .requiredOption('-f, --file <path>', 'Path to a JSON file containing an array of items (e.g., [{"id": "...", "name": "...", "data": {...}}, ...])')
+        .requiredOption('-f, --file <path>', 'Path to a JSON array or NDJSON file of items (e.g., [{"id": "...", "name": "...", "data": {...}}, ...])')
+        .option('--batch-size <n>', 'Number of items sent per request', parsePositiveInt, 500)
+        .option('--concurrency <n>', 'Number of batches uploaded in parallel', parsePositiveInt, 2)
+        .option('--timeout <seconds>', 'Timeout for each batch request', parsePositiveInt, 120)
+        .option('--checkpoint <path>', 'Checkpoint file recording committed batches (default: <file>.checkpoint.json)')
+        .option('--resume', 'Continue a previous upload, skipping batches recorded in the checkpoint')
+        .option('--dry-run', 'Validate the file against the dataset fields and print a report; nothing is sent')
         .action(async (datasetId, options) => {
+            if (options.dryRun) {
+                try {
+                    const report = await validateItemsFile(datasetId, options.file, { batchSize: options.batchSize });
+                    printResult(report, printValidationReport);
+                    if (report.hasProblems) process.exitCode = 1;
+                } catch (error) {
+                    handleError(error, 'item add-bulk');
+                    process.exitCode = 1;
+                }
+                return;
+            }
+
+            const progressBar = createProgressBar({ label: 'Uploading' });
             try {
-                const itemsArray = readJsonFile(options.file);
-                if (!Array.isArray(itemsArray)) {
-                    throw new Error('JSON file must contain an array of item objects.');
+                const summary = await uploadItemsInBatches(datasetId, options.file, {
+                    batchSize: options.batchSize,
+                    concurrency: options.concurrency,
+                    timeoutMs: options.timeout * 1000,
+                    checkpointPath: options.checkpoint || defaultCheckpointPath(options.file),
+                    resume: Boolean(options.resume),
+                    onProgress: ({ ratio, created, failed, skipped }) => {
+                        progressBar.update(ratio, `${created} created, ${failed} failed, ${skipped} skipped`);
+                    },
+                    onWarning: (message) => printWarning(message),
+                });
+                progressBar.stop();
+
+                const { checkpointPath, ...result } = summary;
+                printResult({ datasetId, ...result }, () => {
+                    printInfo(`Created: ${result.created}, Failed: ${result.failed}, Skipped: ${result.skipped} (${result.batches} batches)`);
+                });
+
+                if (result.failed > 0) {
+                    printError(`${result.failedBatches.length} batch(es) failed. Re-run with --resume to retry them (checkpoint: ${checkpointPath}).`);
+                    process.exitCode = 1;
+                } else {
+                    printSuccess(`Successfully added ${result.created} items to dataset '${datasetId}'.`);
                 }
-                
-                const result = await api.addDatasetItemsBulk(datasetId, itemsArray);
-                printSuccess(`Successfully added ${result.length} items to dataset '${datasetId}'.`);                
             } catch (error) {
+                progressBar.stop();
                 handleError(error, 'item add-bulk');
                 process.exitCode = 1;
             }
         });
 
+    itemCommand
+        .command('validate')
+        .description('Validate a local JSON array or NDJSON file of items against the dataset schema')
+        .argument('<datasetId>', 'ID of the dataset whose schema the items must match')
+        .requiredOption('-f, --file <path>', 'Path to a JSON array or NDJSON file of items')
+        .option('--schema <file>', 'Validate against a local JSON Schema file (JSON or YAML) instead of the server metadata')
+        .action(async (datasetId, options) => {
+            try {
+                const schema = options.schema
+                    ? loadSchemaFile(options.schema)
+                    : toJsonSchema(await api.getDatasetMeta(datasetId));
+                const result = await validateItemFile(options.file, schema);
+                printResult({ datasetId, schema: options.schema || `dataset '${datasetId}'`, ...result }, printItemValidation);
+                if (result.items.invalid > 0) process.exitCode = 1;
+            } catch (error) {
+                handleError(error, 'item validate');
+                process.exitCode = 1;
+            }
+        });
+
     itemCommand
         .command('update')
         .description('Update an existing item in a dataset')
@@ -106,7 +259,7 @@ export default function registerItemCommands(program) {
                 const result = await api.updateDatasetItem(datasetId, itemId, payload.name, payload.data);
 
                 printSuccess(`Item '${itemId}' in dataset '${datasetId}' updated successfully.`);
-                printJson(result);
+                printResult(result);
 
             } catch (error) {
                 handleError(error, 'item update');
@@ -123,6 +276,7 @@ export default function registerItemCommands(program) {
             try {
                 await api.archiveDatasetItem(datasetId, itemId);
                 printSuccess(`Item '${itemId}' in dataset '${datasetId}' has been archived.`);
+                printResult({ datasetId, itemId, archived: true }, null);
             } catch (error) {
                 handleError(error, 'item archive');
                 process.exitCode = 1;
@@ -0,0 +1,175 @@
+import { Command } from 'commander';
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import { listProfiles, getProfile, saveProfile, setDefaultProfile, removeProfile, getActiveProfile, unlockCredentialStore, constants } from '../lib/configManager.js';
+import { handleError } from '../utils/errorHandler.js';
+import { printSuccess, printInfo, printWarning, printResult, printProfilesTable } from '../utils/outputFormatter.js';
+
+// Never expose saved API keys in command output
+const toProfileSummary = ({ apiKey, ...profile }) => ({ ...profile, apiKeyConfigured: Boolean(apiKey || profile.credentialBackend) });
+
+const validateUrl = (input) => {
+    try {
+        new URL(input);
+        return true;
+    } catch {
+        return 'Please enter a valid URL.';
+    }
+};
+
+export default function registerProfileCommands(program) {
+    const profileCommand = program.command('profile')
+        .description('Manage named connection profiles (e.g. dev, staging, prod)');
+
+    profileCommand
+        .command('add')
+        .description('Add or replace a named connection profile')
+        .argument('<name>', 'Name of the profile')
+        .option('-u, --url <url>', 'RefWire server URL')
+        .option('-k, --api-key <key>', 'API key for the server')
+        .option('-s, --store-url <url>', `ListStor URL (defaults to ${constants.DEFAULT_STORE_URL})`)
+        .option('--use', 'Make this the default profile')
+        .action(async (name, options) => {
+            try {
+                if (getProfile(name)) {
+                    printWarning(`Profile '${name}' already exists and will be replaced.`);
+                }
+
+                const questions = [];
+                if (!options.url) {
+                    questions.push({
+                        type: 'input',
+                        name: 'url',
+                        message: `Enter the RefWire server URL for '${name}':`,
+                        validate: (input) => input ? validateUrl(input) : 'Server URL cannot be empty.',
+                    });
+                }
+                if (!options.apiKey) {
+                    questions.push({
+                        type: 'password',
+                        name: 'apiKey',
+                        mask: '*',
+                        message: `Enter the API Key for '${name}':`,
+                        validate: (input) => input ? true : 'API Key cannot be empty.',
+                    });
+                }
+                const answers = questions.length > 0 ? await inquirer.prompt(questions) : {};
+
+                const serverUrl = options.url || answers.url;
+                const isValidUrl = validateUrl(serverUrl);
+                if (isValidUrl !== true) {
+                    throw new Error(`Invalid server URL '${serverUrl}'.`);
+                }
+
+                await unlockCredentialStore(name, { forWrite: true });
+                saveProfile(name, {
+                    serverUrl,
+                    apiKey: options.apiKey || answers.apiKey,
+                    storeUrl: options.storeUrl,
+                });
+                printSuccess(`Profile '${name}' saved.`);
+
+                if (options.use) {
+                    setDefaultProfile(name);
+                    printInfo(`'${name}' is now the default profile.`);
+                }
+                printResult(toProfileSummary(getProfile(name)), null);
+            } catch (error) {
+                handleError(error, 'profile add');
+                process.exitCode = 1;
+            }
+        });
+
+    profileCommand
+        .command('list')
+        .description('List saved connection profiles')
+        .action(() => {
+            try {
+                const active = getActiveProfile();
+                const profiles = listProfiles().map(profile => ({
+                    ...toProfileSummary(profile),
+                    isActive: profile.name === active.name,
+                }));
+                printResult(profiles, (entries) => printProfilesTable(entries, { defaultStoreUrl: constants.DEFAULT_STORE_URL }));
+            } catch (error) {
+                handleError(error, 'profile list');
+                process.exitCode = 1;
+            }
+        });
+
+    profileCommand
+        .command('use')
+        .description('Set the default profile used when --profile is not given')
+        .argument('<name>', 'Name of the profile')
+        .action((name) => {
+            try {
+                setDefaultProfile(name);
+                printSuccess(`'${name}' is now the default profile.`);
+                printResult({ profile: name, isDefault: true }, null);
+                if (process.env[constants.ENV_VAR_PROFILE]) {
+                    printWarning(`${constants.ENV_VAR_PROFILE} is set to '${process.env[constants.ENV_VAR_PROFILE]}' and takes precedence in this shell.`);
+                }
+            } catch (error) {
+                handleError(error, 'profile use');
+                process.exitCode = 1;
+            }
+        });
+
+    profileCommand
+        .command('remove')
+        .description('Remove a saved profile')
+        .argument('<name>', 'Name of the profile')
+        .option('-f, --force', 'Skip confirmation prompt')
+        .action(async (name, options) => {
+            try {
+                if (!getProfile(name)) {
+                    throw new Error(`Profile '${name}' does not exist.`);
+                }
+
+                if (!options.force) {
+                    const { confirm } = await inquirer.prompt([{
+                        type: 'confirm',
+                        name: 'confirm',
+                        message: `Are you sure you want to remove profile '${name}'?`,
+                        default: false
+                    }]);
+                    if (!confirm) {
+                        printInfo('Remove operation cancelled.');
+                        return;
+                    }
+                }
+
+                await unlockCredentialStore(name);
+                removeProfile(name);
+                printSuccess(`Profile '${name}' removed.`);
+                printResult({ profile: name, removed: true }, null);
+            } catch (error) {
+                handleError(error, 'profile remove');
+                process.exitCode = 1;
+            }
+        });
+
+    profileCommand
+        .command('show')
+        .description('Show the settings of a profile (defaults to the active profile)')
+        .argument('[name]', 'Name of the profile')
+        .action((name) => {
+            try {
+                const profileName = name || getActiveProfile().name;
+                const profile = getProfile(profileName);
+                if (!profile) {
+                    throw new Error(`Profile '${profileName}' does not exist.`);
+                }
+
+                printResult(toProfileSummary(profile), (summary) => {
+                    printInfo(`Profile: ${chalk.cyan(summary.name)}`);
+                    console.log(`Server URL: ${chalk.cyan(summary.serverUrl || 'Not configured')}`);
+                    console.log(`API Key: ${summary.apiKeyConfigured ? chalk.cyan('********') : chalk.red('Not configured')}`);
+                    console.log(`Store URL: ${chalk.cyan(summary.storeUrl || constants.DEFAULT_STORE_URL)}`);
+                });
+            } catch (error) {
+                handleError(error, 'profile show');
+                process.exitCode = 1;
+            }
+        });
+}
@@ -0,0 +1,173 @@
+import { Command } from 'commander';
+import chalk from 'chalk';
+import fs from 'fs/promises';
+import path from 'path';
+import * as listStorApi from '../lib/listStorClient.js';
+import * as packageCache from '../lib/packageCache.js';
+import { handleError } from '../utils/errorHandler.js';
+import { printResult, printSuccess, printInfo, printStorSearchResults, printStorDatasetInfo, printStorVersions, printPackageCacheTable } from '../utils/outputFormatter.js';
+import { compareSemver, isSemver } from '../utils/semver.js';
+import { parseNonNegativeInt } from '../utils/optionParsers.js';
+
+// ListStor metadata names the item count differently across package generations
+const itemCountOf = (entry) => entry.itemCount ?? entry.count ?? entry.recordCount ?? null;
+
+/**
+ * Normalize version entries (strings or objects) and sort them newest first.
+ * @param {Array<string|object>} versions
+ * @returns {{ version: string, publishedAt: string|null, itemCount: number|null }[]}
+ */
+function toVersionList(versions) {
+    return versions
+        .map(entry => (typeof entry === 'string'
+            ? { version: entry, publishedAt: null, itemCount: null }
+            : { version: String(entry.version ?? entry.name), publishedAt: entry.publishedAt ?? entry.createdAt ?? null, itemCount: itemCountOf(entry) }))
+        .sort((a, b) => compareSemver(b.version, a.version));
+}
+
+function toCatalogEntry(meta) {
+    return {
+        id: meta.id,
+        title: meta.title || meta.name || '',
+        description: meta.description || '',
+        version: meta.version || meta.latestVersion || null,
+        itemCount: itemCountOf(meta),
+    };
+}
+
+export default function registerStorCommands(program) {
+    const storCommand = program.command('stor')
+        .description('Browse the ListStor catalog of ready-made datasets');
+
+    storCommand
+        .command('search')
+        .description('Search ListStor datasets by ID, title or description')
+        .argument('<term>', 'Search term')
+        .action(async (term) => {
+            try {
+                const results = await listStorApi.searchDatasets(term);
+                printResult(results.map(toCatalogEntry), entries => printStorSearchResults(entries, term));
+            } catch (error) {
+                handleError(error, 'stor search');
+                process.exitCode = 1;
+            }
+        });
+
+    storCommand
+        .command('info')
+        .description('Show details of a ListStor dataset: fields used as ID/Name, item count and versions')
+        .argument('<liststorId>', 'The ID of the dataset in ListStor')
+        .action(async (liststorId) => {
+            try {
+                const meta = await listStorApi.getDatasetMeta(liststorId);
+                const versions = toVersionList(await listStorApi.getDatasetVersions(liststorId));
+                const { title, description, itemCount, version } = toCatalogEntry(meta);
+                const info = {
+                    id: meta.id || liststorId,
+                    title,
+                    description,
+                    idField: meta.idField || null,
+                    nameField: meta.nameField || null,
+                    itemCount,
+                    latestVersion: versions[0]?.version || version,
+                    versions: versions.map(v => v.version),
+                };
+                printResult(info, printStorDatasetInfo);
+            } catch (error) {
+                handleError(error, 'stor info');
+                process.exitCode = 1;
+            }
+        });
+
+    storCommand
+        .command('versions')
+        .description('List the published versions of a ListStor dataset, newest first')
+        .argument('<liststorId>', 'The ID of the dataset in ListStor')
+        .action(async (liststorId) => {
+            try {
+                const versions = toVersionList(await listStorApi.getDatasetVersions(liststorId));
+                printResult(versions, entries => printStorVersions(liststorId, entries));
+            } catch (error) {
+                handleError(error, 'stor versions');
+                process.exitCode = 1;
+            }
+        });
+
+    storCommand
+        .command('download')
+        .description('Download a dataset package into the local cache, and optionally to a zip file for offline hosts')
+        .argument('<liststorId>', 'The ID of the dataset in ListStor')
+        .option('--dataset-version <version>', 'Version to download (semantic versioning, e.g. 1.0.0); defaults to latest')
+        .option('--out <file>', 'Also write the package zip to this file')
+        .option('--no-cache', 'Download from ListStor even when the version is cached')
+        .action(async (liststorId, options) => {
+            try {
+                if (options.datasetVersion && !isSemver(options.datasetVersion)) {
+                    throw new Error(`Invalid version '${options.datasetVersion}'. Expected format x.y.z`);
+                }
+
+                const pkg = await listStorApi.getDataset(liststorId, options.datasetVersion, { useCache: options.cache });
+                let outPath = null;
+                if (options.out) {
+                    outPath = path.resolve(process.cwd(), options.out);
+                    await fs.writeFile(outPath, pkg.buffer);
+                }
+
+                printSuccess(`Package ${liststorId}@${pkg.version || 'latest'} ${pkg.fromCache ? 'found in the cache' : 'downloaded'}${outPath ? ` and written to ${outPath}` : ''}.`);
+                if (outPath) {
+                    printInfo(`Create the dataset offline with: refwire dataset pull --from-package ${options.out}`);
+                }
+                printResult({
+                    id: liststorId,
+                    version: pkg.version,
+                    size: pkg.buffer.length,
+                    sha256: packageCache.checksum(pkg.buffer),
+                    fromCache: pkg.fromCache,
+                    out: outPath,
+                }, null);
+            } catch (error) {
+                handleError(error, 'stor download');
+                process.exitCode = 1;
+            }
+        });
+
+    const cacheCommand = storCommand.command('cache')
+        .description('Manage the local cache of downloaded ListStor packages');
+
+    cacheCommand
+        .command('list')
+        .description('List cached packages')
+        .argument('[liststorId]', 'Only show versions of this dataset')
+        .action(async (liststorId) => {
+            try {
+                printResult(packageCache.listCachedPackages(liststorId), printPackageCacheTable);
+            } catch (error) {
+                handleError(error, 'stor cache list');
+                process.exitCode = 1;
+            }
+        });
+
+    cacheCommand
+        .command('prune')
+        .description('Remove cached packages (by default all but the newest version of each dataset)')
+        .option('--id <liststorId>', 'Only prune versions of this dataset')
+        .option('--keep <count>', 'Number of newest versions to keep per dataset', parseNonNegativeInt)
+        .option('--older-than <days>', 'Only remove packages downloaded more than this many days ago', parseNonNegativeInt)
+        .option('--all', 'Remove every matching package, including the newest')
+        .action(async (options) => {
+            try {
+                if (options.all && options.keep !== undefined) {
+                    throw new Error('Use either --all or --keep, not both.');
+                }
+                const keep = options.all ? 0 : (options.keep ?? 1);
+                const removed = packageCache.pruneCache({ datasetId: options.id, keep, olderThanDays: options.olderThan });
+                const freed = removed.reduce((total, entry) => total + entry.size, 0);
+
+                printSuccess(`Removed ${removed.length} cached package(s), freeing ${(freed / 1024 / 1024).toFixed(2)} MB.`);
+                printResult({ removed: removed.map(({ id, version, size }) => ({ id, version, size })), freedBytes: freed }, null);
+            } catch (error) {
+                handleError(error, 'stor cache prune');
+                process.exitCode = 1;
+            }
+        });
+}
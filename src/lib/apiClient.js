@@ -1,29 +1,18 @@
-import axios from 'axios';
-import https from 'https';
 import { getConfig } from './configManager.js';
+import { createHttpClient } from './httpClient.js';
 import chalk from 'chalk';
 
-// Create an HTTPS agent that ignores self-signed certificate errors 
-// for local development against trusted localhost servers.
-const insecureHttpsAgent = new https.Agent({
-    rejectUnauthorized: false,
-});
+// connection: { serverUrl, apiKey } to use instead of the configured ones, e.g. to check them before saving
+const getApiClient = (connection) => {
+    const config = connection || getConfig(); // Ensures credentials exist
 
-const getApiClient = () => {
-    const config = getConfig(); // Ensures credentials exist
-
-    // Determine if this is a local development environment
-    const isLocalDev = config.serverUrl.match(/^https:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?/);
-
-    const instance = axios.create({
+    // Timeouts, retries, proxies and CA bundles come from the shared HTTP settings
+    const instance = createHttpClient({
         baseURL: `${config.serverUrl}/admin`,
         headers: {
             'Content-Type': 'application/json',
             'X-Api-Key': config.apiKey,
         },
-        timeout: 15000,
-        // Only bypass SSL validation for HTTPS connections to localhost/127.0.0.1/[::1]
-        httpsAgent: isLocalDev ? insecureHttpsAgent : undefined,
     });
 
     // Add interceptors for logging or error handling
@@ -54,9 +43,10 @@ const getApiClient = () => {
                 console.error(chalk.red('API Error: No response received from server.'));
                 console.error(chalk.red(`URL: ${error.config?.baseURL}${error.config?.url}`));
 
-                // Add specific hint for potential SSL issues when targeting localhost https
-                if (error.config?.baseURL?.startsWith('https://localhost') && error.message.includes('certificate')) {
-                    console.error(chalk.yellow('Hint: This often happens with localhost HTTPS due to self-signed certificates. The CLI attempts to bypass this for development. Ensure the server is running and accessible via HTTPS.'));
+                // Add specific hint for certificate problems, e.g. self-signed certificates in development
+                if (/certificate|self[- ]signed/i.test(error.message)) {
+                    console.error(chalk.red(`> ${error.message}`));
+                    console.error(chalk.yellow("Hint: Trust the server's certificate with --ca-cert <file> (or REFWIRE_CA_CERT). For local development only, --insecure skips verification."));
                 } else {
                     console.error(chalk.red('Check server URL and network connectivity.'));
                 }
@@ -78,9 +68,10 @@ const getApiClient = () => {
 export default getApiClient;
 
 
-export const createApiKey = async (name, description, scopes) => {
+// expiresAt (ISO date) is optional; the server defaults to 30 days
+export const createApiKey = async (name, description, scopes, expiresAt) => {
     const client = getApiClient();
-    const response = await client.post('/api-keys/', { name, description, scopes });
+    const response = await client.post('/api-keys/', { name, description, scopes, expiresAt });
     return response.data; // ApiKeyCreationResponse (includes Id and Key)
 };
 
@@ -96,9 +87,9 @@ export const getApiKey = async (id) => {
     return response.data; // ApiKey
 };
 
-export const updateApiKey = async (id, name, description, scopes) => {
+export const updateApiKey = async (id, name, description, scopes, expiresAt) => {
     const client = getApiClient();
-    const response = await client.put(`/api-keys/${id}`, { name, description, scopes });
+    const response = await client.put(`/api-keys/${id}`, { name, description, scopes, expiresAt });
     return response.data; // Updated ApiKey
 };
 
@@ -115,6 +106,33 @@ export const getHealthReport = async () => {
     return response.data;
 };
 
+// Servers report their version in the health report or a response header
+const serverVersion = (response) => response.data?.version
+    ?? response.data?.serverVersion
+    ?? response.headers['x-refwire-version']
+    ?? response.headers['x-server-version']
+    ?? null;
+
+/**
+ * Check a server URL and API key that are not saved yet against the health endpoint.
+ * HTTP errors are returned as statuses rather than thrown; only network errors throw.
+ * @param {{ serverUrl: string, apiKey: string }} connection
+ * @param {{ keyId?: string }} [options] - also fetch the details (scopes, expiry) of this key
+ * @returns {Promise<{ status: number, version: string|null, keyStatus: number|null, key: object|null }>}
+ */
+export const checkConnection = async (connection, { keyId } = {}) => {
+    const client = getApiClient(connection);
+    const anyStatus = { validateStatus: () => true };
+    const health = await client.get('/health/', anyStatus);
+    const result = { status: health.status, version: serverVersion(health), keyStatus: null, key: null };
+    if (keyId && health.status !== 401) {
+        const key = await client.get(`/api-keys/${encodeURIComponent(keyId)}`, anyStatus);
+        result.keyStatus = key.status;
+        result.key = key.status < 300 ? key.data : null;
+    }
+    return result;
+};
+
 // --- Datasets ---
 export const getDatasetMeta = async (id) => {
     const client = getApiClient();
@@ -166,9 +184,9 @@ export const addDatasetItem = async (datasetId, itemId, name, data) => {
     return response.data; // DatasetItem
 };
 
-export const addDatasetItemsBulk = async (datasetId, items) => {
+export const addDatasetItemsBulk = async (datasetId, items, requestConfig = {}) => {
     const client = getApiClient();
-    const response = await client.post(`/datasets/${datasetId}/items/bulk`, { items });
+    const response = await client.post(`/datasets/${datasetId}/items/bulk`, { items }, requestConfig);
     return response.data; // The list of created items
 };
 
@@ -183,6 +201,76 @@ export const archiveDatasetItem = async (datasetId, itemId) => {
     await client.delete(`/datasets/${datasetId}/items/${itemId}`, { data: {} }); // Sending empty data object for body
 };
 
+// Read endpoints are served from the dataset's public API, so their URLs come from the api spec
+export const listDatasetItems = async (datasetId, { skip = 0, limit = 100, includeArchived = false } = {}, apiSpec) => {
+    const spec = apiSpec || await getDatasetApi(datasetId);
+    if (!spec.listItemsUrl) {
+        throw new Error(`Dataset '${datasetId}' does not expose a list items endpoint.`);
+    }
+    const client = getApiClient();
+    const response = await client.get(spec.listItemsUrl, { params: { skip, limit, includeArchived } });
+    // Accept both a plain array and a paged wrapper
+    return Array.isArray(response.data) ? response.data : (response.data?.items || []); // IEnumerable<DatasetItem>
+};
+
+export const getDatasetItem = async (datasetId, itemId, apiSpec) => {
+    const spec = apiSpec || await getDatasetApi(datasetId);
+    if (!spec.getItemByIdUrl) {
+        throw new Error(`Dataset '${datasetId}' does not expose a get item endpoint.`);
+    }
+    const client = getApiClient();
+    const response = await client.get(fillItemUrl(spec.getItemByIdUrl, itemId));
+    return response.data; // DatasetItem
+};
+
+export const searchDatasetItems = async (datasetId, query, { skip = 0, limit = 100 } = {}) => {
+    const spec = await getDatasetApi(datasetId);
+    if (!spec.searchItemsUrl) {
+        throw new Error(`Dataset '${datasetId}' does not expose a search endpoint.`);
+    }
+    const client = getApiClient();
+    const response = await client.get(spec.searchItemsUrl, { params: { searchTerm: query, skip, limit } });
+    return Array.isArray(response.data) ? response.data : (response.data?.items || []); // IEnumerable<DatasetItem>
+};
+
+export const searchDatasetItemsByIds = async (datasetId, ids) => {
+    const spec = await getDatasetApi(datasetId);
+    if (!spec.searchItemsByIdsUrl) {
+        throw new Error(`Dataset '${datasetId}' does not expose a search by IDs endpoint.`);
+    }
+    const client = getApiClient();
+    const response = await client.post(spec.searchItemsByIdsUrl, { ids });
+    return Array.isArray(response.data) ? response.data : (response.data?.items || []); // IEnumerable<DatasetItem>
+};
+
+// Item URLs are either templates ("/items/{id}") or a base URL to append the ID to
+function fillItemUrl(urlTemplate, itemId) {
+    const encodedId = encodeURIComponent(itemId);
+    if (/\{(id|itemId)\}/i.test(urlTemplate)) {
+        return urlTemplate.replace(/\{(id|itemId)\}/gi, encodedId);
+    }
+    return `${urlTemplate.replace(/\/+$/, '')}/${encodedId}`;
+}
+
+/**
+ * Iterate over every item of a dataset, one page at a time.
+ * @param {string} datasetId
+ * @param {{ pageSize?: number, includeArchived?: boolean }} [options]
+ * @returns {AsyncGenerator<object>}
+ */
+export async function* iterateDatasetItems(datasetId, { pageSize = 500, includeArchived = false } = {}) {
+    const apiSpec = await getDatasetApi(datasetId);
+    let skip = 0;
+    while (true) {
+        const page = await listDatasetItems(datasetId, { skip, limit: pageSize, includeArchived }, apiSpec);
+        for (const item of page) {
+            yield item;
+        }
+        if (page.length < pageSize) return;
+        skip += page.length;
+    }
+}
+
 // --- Instances ---
 export const listAppInstances = async () => {
     const client = getApiClient();
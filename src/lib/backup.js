@@ -0,0 +1,225 @@
+import fs from 'fs';
+import path from 'path';
+import JSZip from 'jszip';
+import * as api from './apiClient.js';
+import { checksum } from './packageCache.js';
+import { toPortableItem } from '../utils/itemWriter.js';
+
+/**
+ * Server backups are zip archives:
+ *
+ *   manifest.json                  format, server, datasets, API key count and a SHA-256 per file
+ *   datasets/<id>/meta.json        name, description, ID/Name fields and field definitions
+ *   datasets/<id>/items.ndjson     every item, archived ones included
+ *   api-keys.json                  API key metadata; keys, secrets and hashes are never stored
+ */
+export const BACKUP_FORMAT = 'refwire-backup';
+export const BACKUP_FORMAT_VERSION = 1;
+
+const BULK_BATCH_SIZE = 500;
+const MANIFEST_FILE = 'manifest.json';
+const API_KEYS_FILE = 'api-keys.json';
+
+// Dataset IDs become path segments inside the archive
+const datasetDir = (id) => `datasets/${encodeURIComponent(id)}`;
+
+// Anything that looks like key material is dropped, whatever the server calls it
+const SECRET_PROPERTY_RE = /(^key$|apikey|secret|hash|token|displaykey)/i;
+
+const withoutSecrets = (apiKey) => Object.fromEntries(Object.entries(apiKey).filter(([name]) => !SECRET_PROPERTY_RE.test(name)));
+
+/**
+ * Back up every dataset (metadata, fields and items, archived ones included) and the API key metadata.
+ * @param {string} filePath - zip file to write
+ * @param {{ serverUrl?: string, pageSize?: number, onStep?: (message: string) => void }} [options]
+ * @returns {Promise<object>} the backup manifest
+ */
+export async function createBackup(filePath, { serverUrl, pageSize = 500, onStep } = {}) {
+    const zip = new JSZip();
+    const files = {};
+    const addFile = (name, content) => {
+        zip.file(name, content);
+        files[name] = checksum(Buffer.from(content, 'utf-8'));
+    };
+
+    const manifest = {
+        format: BACKUP_FORMAT,
+        formatVersion: BACKUP_FORMAT_VERSION,
+        createdAt: new Date().toISOString(),
+        server: serverUrl || null,
+        datasets: [],
+        apiKeys: 0,
+        checksums: files,
+    };
+
+    const ids = (await api.listDatasetIds()) || [];
+    for (const [index, id] of ids.entries()) {
+        onStep?.(`Backing up dataset '${id}' (${index + 1} of ${ids.length})...`);
+        const meta = await api.getDatasetMeta(id);
+        const dir = datasetDir(id);
+        addFile(`${dir}/meta.json`, `${JSON.stringify({
+            id: meta.id ?? id,
+            name: meta.name,
+            description: meta.description || '',
+            idField: meta.idField,
+            nameField: meta.nameField,
+            fields: meta.fields || [],
+        }, null, 2)}\n`);
+
+        const lines = [];
+        let archived = 0;
+        for await (const item of api.iterateDatasetItems(id, { pageSize, includeArchived: true })) {
+            const portable = toPortableItem(item, true);
+            if (portable.isArchived) archived++;
+            lines.push(JSON.stringify(portable));
+        }
+        addFile(`${dir}/items.ndjson`, lines.length > 0 ? `${lines.join('\n')}\n` : '');
+        manifest.datasets.push({ id, name: meta.name, dir, items: lines.length, archived });
+    }
+
+    onStep?.('Backing up API key metadata...');
+    const apiKeys = ((await api.listApiKeys()) || []).map(withoutSecrets);
+    addFile(API_KEYS_FILE, `${JSON.stringify(apiKeys, null, 2)}\n`);
+    manifest.apiKeys = apiKeys.length;
+
+    zip.file(MANIFEST_FILE, `${JSON.stringify(manifest, null, 2)}\n`);
+    const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    fs.writeFileSync(path.resolve(process.cwd(), filePath), buffer);
+    return { ...manifest, file: filePath, size: buffer.length, sha256: checksum(buffer) };
+}
+
+/**
+ * Open a backup and verify its manifest and checksums.
+ * @param {string} filePath
+ * @returns {Promise<{ manifest: object, readFile: (name: string) => Promise<string> }>}
+ */
+export async function openBackup(filePath) {
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(fs.readFileSync(path.resolve(process.cwd(), filePath)));
+    } catch (error) {
+        throw new Error(`Failed to read backup ${filePath}: ${error.message}`);
+    }
+
+    const manifestFile = zip.file(MANIFEST_FILE);
+    const manifest = manifestFile ? JSON.parse(await manifestFile.async('string')) : null;
+    if (manifest?.format !== BACKUP_FORMAT) {
+        throw new Error(`${filePath} is not a RefWire backup (missing or unknown ${MANIFEST_FILE}).`);
+    }
+    if (manifest.formatVersion > BACKUP_FORMAT_VERSION) {
+        throw new Error(`Backup format version ${manifest.formatVersion} is newer than this CLI supports (${BACKUP_FORMAT_VERSION}). Upgrade refwire to restore it.`);
+    }
+
+    const contents = new Map();
+    const problems = [];
+    for (const [name, expected] of Object.entries(manifest.checksums || {})) {
+        const entry = zip.file(name);
+        if (!entry) {
+            problems.push(`${name} is missing`);
+            continue;
+        }
+        const buffer = await entry.async('nodebuffer');
+        if (checksum(buffer) !== expected) problems.push(`${name} has a checksum mismatch`);
+        contents.set(name, buffer.toString('utf-8'));
+    }
+    if (problems.length > 0) {
+        throw new Error(`Backup ${filePath} is corrupt: ${problems.join('; ')}.`);
+    }
+
+    return {
+        manifest,
+        readFile: async (name) => {
+            if (!contents.has(name)) throw new Error(`Backup does not contain ${name}.`);
+            return contents.get(name);
+        },
+    };
+}
+
+const toApiFields = (fields) => fields.map(f => ({
+    Name: f.name ?? f.Name,
+    DataType: f.dataType ?? f.DataType,
+    IsId: Boolean(f.isId ?? f.IsId),
+    IsName: Boolean(f.isName ?? f.IsName),
+    IsRequired: Boolean(f.isRequired ?? f.IsRequired),
+    IsIncluded: true,
+    SampleValues: f.sampleValues ?? f.SampleValues ?? [],
+}));
+
+/**
+ * Recreate datasets and API keys from a backup on the current server. Datasets that already
+ * exist there are never touched: the restore stops before writing anything.
+ *
+ * When a dataset fails, the restore stops there and reports it as `failed` (with `created` when the
+ * dataset was already created and must be deleted before a retry), the datasets left untried as
+ * `pending`, and the `--only` list to resume with as `resumeOnly`. API keys are then not recreated.
+ *
+ * @param {{ manifest: object, readFile: Function }} backup - from openBackup
+ * @param {{ only?: string[], apiKeys?: boolean, onStep?: (message: string) => void }} [options]
+ * @returns {Promise<{ datasets: object[], failed: { id: string, created: boolean, error: string }|null, pending: string[],
+ *   resumeOnly: string[], apiKeys: object[], skippedApiKeys: string[], expiredApiKeys: string[] }>}
+ *   apiKeys holds the newly issued keys; they cannot be shown again. Keys that expired since the backup are not recreated.
+ */
+export async function restoreBackup({ manifest, readFile }, { only, apiKeys = true, onStep } = {}) {
+    let datasets = manifest.datasets;
+    if (only) {
+        const unknown = only.filter(id => !datasets.some(dataset => dataset.id === id));
+        if (unknown.length > 0) {
+            throw new Error(`Not in the backup: ${unknown.join(', ')}. It contains: ${datasets.map(d => d.id).join(', ') || '(no datasets)'}`);
+        }
+        datasets = datasets.filter(dataset => only.includes(dataset.id));
+    }
+
+    const existing = new Set((await api.listDatasetIds()) || []);
+    const conflicts = datasets.filter(dataset => existing.has(dataset.id)).map(dataset => dataset.id);
+    if (conflicts.length > 0) {
+        throw new Error(`These datasets already exist on the target server: ${conflicts.join(', ')}. Delete them first or leave them out with --only.`);
+    }
+
+    const result = { datasets: [], failed: null, pending: [], resumeOnly: [], apiKeys: [], skippedApiKeys: [], expiredApiKeys: [] };
+    for (const [index, entry] of datasets.entries()) {
+        let created = false;
+        try {
+            const meta = JSON.parse(await readFile(`${entry.dir}/meta.json`));
+            const items = (await readFile(`${entry.dir}/items.ndjson`)).split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+            onStep?.(`Restoring dataset '${meta.id}' (${items.length} items)...`);
+            await api.createDataset(meta.id, meta.name, meta.description, meta.idField, meta.nameField, toApiFields(meta.fields), {});
+            created = true;
+            for (let i = 0; i < items.length; i += BULK_BATCH_SIZE) {
+                const batch = items.slice(i, i + BULK_BATCH_SIZE);
+                await api.addDatasetItemsBulk(meta.id, batch.map(({ id, name, data }) => ({ id, name, data })));
+            }
+            const archived = items.filter(item => item.isArchived);
+            for (const item of archived) {
+                await api.archiveDatasetItem(meta.id, item.id);
+            }
+            result.datasets.push({ id: meta.id, items: items.length, archived: archived.length });
+        } catch (error) {
+            result.failed = { id: entry.id, created, error: error.message };
+            result.pending = datasets.slice(index + 1).map(dataset => dataset.id);
+            result.resumeOnly = [entry.id, ...result.pending];
+            return result;
+        }
+    }
+
+    if (apiKeys && manifest.apiKeys > 0) {
+        onStep?.('Recreating API keys...');
+        const keys = JSON.parse(await readFile(API_KEYS_FILE));
+        const existingNames = new Set(((await api.listApiKeys()) || []).map(key => key.name));
+        for (const key of keys) {
+            // Keys with the same name are left alone, e.g. the key used to run the restore
+            if (existingNames.has(key.name)) {
+                result.skippedApiKeys.push(key.name);
+                continue;
+            }
+            // Recreated keys keep their expiry; without one the server would grant its default lifetime
+            if (key.expiresAt && Date.parse(key.expiresAt) <= Date.now()) {
+                result.expiredApiKeys.push(key.name);
+                continue;
+            }
+            const created = await api.createApiKey(key.name, key.description, key.scopes || [], key.expiresAt ?? undefined);
+            result.apiKeys.push({ id: created.id, name: created.name ?? key.name, key: created.oneTimeDisplayKey, expiresAt: created.expiresAt ?? null });
+        }
+    }
+    return result;
+}
@@ -0,0 +1,190 @@
+import fs from 'fs';
+import path from 'path';
+import * as api from './apiClient.js';
+import { readJsonItems } from '../utils/itemStream.js';
+import { createValidationReport } from '../utils/validationReport.js';
+
+/**
+ * Default checkpoint location for an input file.
+ * @param {string} filePath
+ * @returns {string}
+ */
+export const defaultCheckpointPath = (filePath) => `${path.resolve(process.cwd(), filePath)}.checkpoint.json`;
+
+function loadCheckpoint(checkpointPath) {
+    try {
+        return JSON.parse(fs.readFileSync(checkpointPath, 'utf-8'));
+    } catch (error) {
+        throw new Error(`Cannot read checkpoint file ${checkpointPath}: ${error.message}`);
+    }
+}
+
+function saveCheckpoint(checkpointPath, checkpoint) {
+    checkpoint.updatedAt = new Date().toISOString();
+    fs.writeFileSync(checkpointPath, JSON.stringify(checkpoint, null, 2));
+}
+
+/**
+ * Upload items from a JSON array or NDJSON file in batches, with bounded concurrency.
+ *
+ * Every committed batch is recorded in a checkpoint file. With `resume`, batches already
+ * recorded there are skipped, so an interrupted upload continues where it stopped.
+ * The checkpoint is removed once every batch has been committed.
+ *
+ * @param {string} datasetId
+ * @param {string} filePath
+ * @param {object} options
+ * @param {number} options.batchSize
+ * @param {number} options.concurrency
+ * @param {number} options.timeoutMs - per-request timeout
+ * @param {string} options.checkpointPath
+ * @param {boolean} [options.resume]
+ * @param {(progress: { ratio: number, created: number, failed: number, skipped: number }) => void} [options.onProgress]
+ * @param {(message: string) => void} [options.onWarning]
+ * @returns {Promise<{ created: number, failed: number, skipped: number, batches: number, failedBatches: number[], checkpointPath: string|null }>}
+ */
+export async function uploadItemsInBatches(datasetId, filePath, { batchSize, concurrency, timeoutMs, checkpointPath, resume = false, onProgress, onWarning }) {
+    const absolutePath = path.resolve(process.cwd(), filePath);
+    const { size, mtimeMs } = fs.statSync(absolutePath);
+
+    let checkpoint = { datasetId, file: absolutePath, fileSize: size, fileModified: mtimeMs, batchSize, committedBatches: [] };
+    if (resume && fs.existsSync(checkpointPath)) {
+        const saved = loadCheckpoint(checkpointPath);
+        if (saved.datasetId !== datasetId || saved.file !== absolutePath || saved.batchSize !== batchSize) {
+            throw new Error(`Checkpoint ${checkpointPath} belongs to a different upload (dataset '${saved.datasetId}', batch size ${saved.batchSize}).`);
+        }
+        if (saved.fileSize !== size || saved.fileModified !== mtimeMs) {
+            throw new Error(`${filePath} has changed since the checkpoint was written. Remove ${checkpointPath} to start over.`);
+        }
+        checkpoint = saved;
+    } else if (resume) {
+        onWarning?.(`No checkpoint found at ${checkpointPath}. Starting from the beginning.`);
+    } else if (fs.existsSync(checkpointPath)) {
+        onWarning?.(`Ignoring the checkpoint of a previous run (${checkpointPath}). Use --resume to continue it.`);
+    }
+
+    saveCheckpoint(checkpointPath, checkpoint);
+
+    const committed = new Set(checkpoint.committedBatches);
+    const summary = { created: 0, failed: 0, skipped: 0, batches: 0, failedBatches: [] };
+    const inFlight = new Set();
+    let ratio = 0;
+
+    const reportProgress = () => onProgress?.({ ratio, created: summary.created, failed: summary.failed, skipped: summary.skipped });
+
+    const dispatch = async (batch, batchIndex) => {
+        summary.batches++;
+        if (committed.has(batchIndex)) {
+            summary.skipped += batch.length;
+            reportProgress();
+            return;
+        }
+
+        // Wait for a free slot before sending the next batch
+        while (inFlight.size >= concurrency) {
+            await Promise.race(inFlight);
+        }
+
+        const request = api.addDatasetItemsBulk(datasetId, batch, { timeout: timeoutMs })
+            .then((result) => {
+                summary.created += Array.isArray(result) ? result.length : batch.length;
+                committed.add(batchIndex);
+                checkpoint.committedBatches = Array.from(committed).sort((a, b) => a - b);
+                saveCheckpoint(checkpointPath, checkpoint);
+            })
+            .catch((error) => {
+                summary.failed += batch.length;
+                summary.failedBatches.push(batchIndex);
+                onWarning?.(`Batch ${batchIndex + 1} (${batch.length} items) failed: ${error.message}`);
+            })
+            .finally(() => {
+                inFlight.delete(request);
+                reportProgress();
+            });
+        inFlight.add(request);
+    };
+
+    let batch = [];
+    let batchIndex = 0;
+    let entryIndex = 0;
+    const entries = readJsonItems(filePath, {
+        onProgress: (bytesRead, totalBytes) => {
+            ratio = totalBytes > 0 ? bytesRead / totalBytes : 1;
+        },
+    });
+
+    for await (const entry of entries) {
+        entryIndex++;
+        if (typeof entry !== 'object' || entry === null || Array.isArray(entry)) {
+            summary.skipped++;
+            onWarning?.(`Skipping entry ${entryIndex}: not a JSON object.`);
+            continue;
+        }
+
+        batch.push(entry);
+        if (batch.length === batchSize) {
+            await dispatch(batch, batchIndex++);
+            batch = [];
+        }
+    }
+    if (batch.length > 0) {
+        await dispatch(batch, batchIndex++);
+    }
+    await Promise.all(inFlight);
+
+    ratio = 1;
+    reportProgress();
+
+    const isComplete = summary.failedBatches.length === 0;
+    if (isComplete && fs.existsSync(checkpointPath)) {
+        fs.unlinkSync(checkpointPath);
+    }
+    summary.failedBatches.sort((a, b) => a - b);
+
+    return { ...summary, checkpointPath: isComplete ? null : checkpointPath };
+}
+
+/**
+ * Validate a bulk upload file against the dataset's declared fields without sending anything
+ * (`item add-bulk --dry-run`). Reads the dataset metadata only.
+ *
+ * @param {string} datasetId
+ * @param {string} filePath
+ * @param {{ batchSize: number }} options
+ * @returns {Promise<object>} a validation report (utils/validationReport.js)
+ */
+export async function validateItemsFile(datasetId, filePath, { batchSize }) {
+    const meta = await api.getDatasetMeta(datasetId);
+    const report = createValidationReport({ command: 'item add-bulk', datasetId, fields: meta.fields || [] });
+    const payload = { bytes: 0, batches: 0, largestBatchBytes: 0 };
+
+    let batch = [];
+    const closeBatch = () => {
+        const bytes = Buffer.byteLength(JSON.stringify({ items: batch }));
+        payload.bytes += bytes;
+        payload.batches++;
+        payload.largestBatchBytes = Math.max(payload.largestBatchBytes, bytes);
+        batch = [];
+    };
+
+    let index = 0;
+    for await (const entry of readJsonItems(filePath)) {
+        if (typeof entry !== 'object' || entry === null || Array.isArray(entry)) {
+            report.skip(index++, 'Not a JSON object.');
+            continue;
+        }
+        const id = entry.id ?? entry.Id;
+        const name = entry.name ?? entry.Name;
+        const hasId = id !== null && id !== undefined && String(id) !== '';
+        if (!hasId || name === null || name === undefined) {
+            report.skip(index++, hasId ? 'Missing name.' : 'Missing id.', hasId ? String(id) : undefined);
+            continue;
+        }
+        report.addItem(entry, index++);
+        batch.push(entry);
+        if (batch.length === batchSize) closeBatch();
+    }
+    if (batch.length > 0) closeBatch();
+
+    return report.finish(payload);
+}
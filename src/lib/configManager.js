@@ -3,20 +3,37 @@ import chalk from 'chalk';
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import crypto from 'crypto';
+import { printLine } from '../utils/outputFormatter.js';
+import { createCredentialStore, writePrivateFile, ENV_VAR_PASSPHRASE, ENV_VAR_KEY_FILE } from './credentialStore.js';
 
 const ENV_VAR_URL = 'LISTSERV_URL';
 const ENV_VAR_API_KEY = 'LISTSERV_API_KEY';
 const ENV_VAR_STORE_URL = 'LISTSERV_STORE_URL';
+const ENV_VAR_PROFILE = 'REFWIRE_PROFILE';
 const DEFAULT_STORE_URL = 'stor.refwire.online';
+const DEFAULT_PROFILE = 'default';
 
 const CONFIG_DIR = path.join(os.homedir(), '.refwiredb');
 const CONFIG_FILE = path.join(CONFIG_DIR, 'config.json');
 
-let sessionConfig = {
-    serverUrl: process.env[ENV_VAR_URL] || null,
-    apiKey: process.env[ENV_VAR_API_KEY] || null,
-    storeUrl: process.env[ENV_VAR_STORE_URL] || null,
-};
+// Profile selected with the global --profile flag (takes precedence over env and config)
+let profileOverride = null;
+
+// Backend holding the API keys of saved profiles, created on first use
+let credentialStore = null;
+// Why the active profile's key could not be read from its backend, reported by getCredentials
+let credentialError = null;
+
+let sessionConfig = envConfig();
+
+function envConfig() {
+    return {
+        serverUrl: process.env[ENV_VAR_URL] || null,
+        apiKey: process.env[ENV_VAR_API_KEY] || null,
+        storeUrl: process.env[ENV_VAR_STORE_URL] || null,
+    };
+}
 
 function normalizeUrl(url) {
     if (!url) return url;
@@ -28,15 +45,162 @@ function normalizeUrl(url) {
     }
 }
 
+/**
+ * Read the config file as { activeProfile, profiles, credentialStore, http }.
+ * Legacy single-server files ({ serverUrl, apiKey, storeUrl }) are read as the default profile.
+ * @returns {{ activeProfile: string, profiles: Object<string, object>, credentialStore?: object, http?: object }}
+ */
+function readConfigFile() {
+    if (!fs.existsSync(CONFIG_FILE)) {
+        return { activeProfile: DEFAULT_PROFILE, profiles: {} };
+    }
+
+    const configData = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+    if (configData.profiles) {
+        return {
+            activeProfile: configData.activeProfile || DEFAULT_PROFILE,
+            profiles: configData.profiles,
+            credentialStore: configData.credentialStore,
+            http: configData.http,
+        };
+    }
+
+    // Legacy flat layout
+    const { serverUrl, apiKey, storeUrl } = configData;
+    const hasLegacyValues = serverUrl || apiKey || storeUrl;
+    return {
+        activeProfile: DEFAULT_PROFILE,
+        profiles: hasLegacyValues ? { [DEFAULT_PROFILE]: { serverUrl, apiKey, storeUrl } } : {},
+    };
+}
+
+function writeConfigFile(fileConfig) {
+    writePrivateFile(CONFIG_FILE, JSON.stringify(fileConfig, null, 2));
+}
+
+/**
+ * The backend holding the API keys of saved profiles (see credentialStore.js).
+ * @returns {object}
+ */
+export function getCredentialStore() {
+    if (!credentialStore) {
+        credentialStore = createCredentialStore(readConfigFile().credentialStore, { configDir: CONFIG_DIR });
+    }
+    return credentialStore;
+}
+
+// Profiles saved through a credential backend keep no apiKey in the config file
+function readProfileApiKey(name, profile) {
+    if (!profile.credentialBackend) return profile.apiKey ?? null;
+    const store = getCredentialStore();
+    if (store.name !== profile.credentialBackend) {
+        throw new Error(`The API key of profile '${name}' was saved with the ${profile.credentialBackend} credential backend, but ${store.name} is configured.`);
+    }
+    return store.get(name, profile);
+}
+
+// Profile fields to write for an API key: the key itself, or a marker when the backend holds it
+function withApiKey(name, profile, apiKey) {
+    const store = getCredentialStore();
+    if (store.name === 'plaintext' || !apiKey) {
+        return { ...profile, apiKey };
+    }
+    store.store(name, apiKey, profile);
+    return { ...profile, credentialBackend: store.name };
+}
+
+/**
+ * Ask for the passphrase of an encrypted credential file when it is needed and not set in the environment.
+ * @param {string} [profileName] - profile whose key is about to be read or removed (defaults to the active one)
+ * @param {{ forWrite?: boolean }} [options] - forWrite: a key is about to be saved, whatever the profile holds now
+ */
+export async function unlockCredentialStore(profileName = getActiveProfile().name, { forWrite = false } = {}) {
+    const store = getCredentialStore();
+    const needed = forWrite ? store.name !== 'plaintext' : Boolean(readConfigFile().profiles[profileName]?.credentialBackend);
+    if (!needed || !store.isLocked()) return;
+
+    if (!process.stdin.isTTY) {
+        throw new Error(`The credential file ${store.location} is locked. Set ${ENV_VAR_PASSPHRASE} or ${ENV_VAR_KEY_FILE}.`);
+    }
+    await inquirer.prompt([{
+        type: 'password',
+        name: 'passphrase',
+        mask: '*',
+        message: 'Passphrase for the RefWire credential file:',
+        validate: (input) => {
+            if (!input) return 'Passphrase cannot be empty.';
+            try {
+                store.unlock(input);
+                return true;
+            } catch (error) {
+                return error.message;
+            }
+        },
+    }]);
+}
+
+/**
+ * Move the API keys of all saved profiles to another credential backend and make it the configured one.
+ * Every key is read before anything is written, so a failure leaves the config file as it was.
+ * @param {{ backend: string, keyFile?: string, command?: string }} settings
+ * @param {{ passphrase?: string }} [options] - passphrase for an encrypted file without a key file
+ * @returns {{ backend: string, location: string|null, profiles: string[], cleanupError: string|null }}
+ */
+export function migrateCredentials(settings, { passphrase } = {}) {
+    const fileConfig = readConfigFile();
+    const source = getCredentialStore();
+    const target = createCredentialStore(settings, { configDir: CONFIG_DIR, passphrase });
+
+    const keys = {};
+    Object.entries(fileConfig.profiles).forEach(([name, profile]) => {
+        const apiKey = readProfileApiKey(name, profile);
+        if (apiKey) keys[name] = apiKey;
+    });
+
+    target.storeAll(keys, fileConfig.profiles);
+    Object.entries(fileConfig.profiles).forEach(([name, { apiKey, credentialBackend, ...profile }]) => {
+        if (!keys[name]) return;
+        fileConfig.profiles[name] = target.name === 'plaintext'
+            ? { ...profile, apiKey: keys[name] }
+            : { ...profile, credentialBackend: target.name };
+    });
+    fileConfig.credentialStore = target.name === 'plaintext' ? undefined : settings;
+    writeConfigFile(fileConfig);
+    credentialStore = target;
+
+    // The old backend is cleared last; a store rewritten in place has nothing left to clear
+    let cleanupError = null;
+    if (source.name !== 'plaintext' && source.location !== target.location) {
+        try {
+            Object.keys(keys).forEach(name => source.erase(name, fileConfig.profiles[name]));
+        } catch (error) {
+            cleanupError = error.message;
+        }
+    }
+    return { backend: target.name, location: target.location, profiles: Object.keys(keys), cleanupError };
+}
+
 function loadLocalConfig() {
     try {
-        if (fs.existsSync(CONFIG_FILE)) {
-            const configData = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+        const { profiles } = readConfigFile();
+        const profileName = getActiveProfile().name;
+        const profileData = profiles[profileName];
+        if (profileData) {
+            // A locked credential file is opened by getCredentials, which can prompt for the passphrase
+            let apiKey = null;
+            credentialError = null;
+            try {
+                const store = profileData.credentialBackend ? getCredentialStore() : null;
+                apiKey = store?.isLocked() ? null : readProfileApiKey(profileName, profileData);
+            } catch (err) {
+                credentialError = err;
+            }
             sessionConfig = {
                 ...sessionConfig,
-                ...configData,
-                serverUrl: normalizeUrl(configData.serverUrl) || sessionConfig.serverUrl,
-                storeUrl: normalizeUrl(configData.storeUrl) || sessionConfig.storeUrl,
+                ...profileData,
+                apiKey: apiKey || sessionConfig.apiKey,
+                serverUrl: normalizeUrl(profileData.serverUrl) || sessionConfig.serverUrl,
+                storeUrl: normalizeUrl(profileData.storeUrl) || sessionConfig.storeUrl,
             };
             return true;
         }
@@ -48,10 +212,14 @@ function loadLocalConfig() {
 
 function saveLocalConfig(config) {
     try {
-        if (!fs.existsSync(CONFIG_DIR)) {
-            fs.mkdirSync(CONFIG_DIR, { recursive: true });
-        }
-        fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
+        const fileConfig = readConfigFile();
+        const name = getActiveProfile().name;
+        fileConfig.profiles[name] = withApiKey(name, {
+            serverUrl: config.serverUrl,
+            storeUrl: config.storeUrl,
+            ...(config.http ? { http: config.http } : {}),
+        }, config.apiKey);
+        writeConfigFile(fileConfig);
         return true;
     } catch (err) {
         console.error(chalk.dim('Error saving configuration:', err.message));
@@ -59,10 +227,154 @@ function saveLocalConfig(config) {
     }
 }
 
+/**
+ * Select the profile for this session, e.g. from the global --profile flag.
+ * Clears any configuration already loaded for the previous profile.
+ * @param {string} name
+ */
+export function useProfile(name) {
+    if (!name) return;
+    profileOverride = name;
+    sessionConfig = envConfig();
+}
+
+/**
+ * Resolve the active profile name and where it came from.
+ * Order: --profile flag, REFWIRE_PROFILE env var, activeProfile in the config file, then 'default'.
+ * @returns {{ name: string, source: 'flag' | 'env' | 'config' | 'default' }}
+ */
+export function getActiveProfile() {
+    if (profileOverride) return { name: profileOverride, source: 'flag' };
+    if (process.env[ENV_VAR_PROFILE]) return { name: process.env[ENV_VAR_PROFILE], source: 'env' };
+
+    try {
+        const fileConfig = readConfigFile();
+        if (fileConfig.activeProfile !== DEFAULT_PROFILE) {
+            return { name: fileConfig.activeProfile, source: 'config' };
+        }
+    } catch {
+        // Fall through to the default profile; loadLocalConfig reports unreadable files
+    }
+    return { name: DEFAULT_PROFILE, source: 'default' };
+}
+
+export function listProfiles() {
+    const { activeProfile, profiles } = readConfigFile();
+    return Object.entries(profiles).map(([name, profile]) => ({
+        name,
+        ...profile,
+        isDefault: name === activeProfile,
+    }));
+}
+
+export function getProfile(name) {
+    const { profiles } = readConfigFile();
+    return profiles[name] ? { name, ...profiles[name] } : null;
+}
+
+export function saveProfile(name, { serverUrl, apiKey, storeUrl, http }) {
+    const fileConfig = readConfigFile();
+    fileConfig.profiles[name] = withApiKey(name, {
+        serverUrl: normalizeUrl(serverUrl),
+        storeUrl: normalizeUrl(storeUrl) || DEFAULT_STORE_URL,
+        ...(http ? { http } : {}),
+    }, apiKey);
+    writeConfigFile(fileConfig);
+}
+
+export function setDefaultProfile(name) {
+    const fileConfig = readConfigFile();
+    if (!fileConfig.profiles[name]) {
+        throw new Error(`Profile '${name}' does not exist. Run 'refwire profile list' to see saved profiles.`);
+    }
+    fileConfig.activeProfile = name;
+    writeConfigFile(fileConfig);
+}
+
+/**
+ * Remove a saved profile. Deletes the config file when nothing else is left in it.
+ * @param {string} name
+ * @returns {boolean} false if the profile did not exist
+ */
+export function removeProfile(name) {
+    const fileConfig = readConfigFile();
+    const profile = fileConfig.profiles[name];
+    if (!profile) return false;
+
+    if (profile.credentialBackend) {
+        getCredentialStore().erase(name, profile);
+    }
+    delete fileConfig.profiles[name];
+    // The credential backend and HTTP settings outlive the profiles, so new keys are not saved in plain text
+    if (Object.keys(fileConfig.profiles).length === 0 && !fileConfig.credentialStore && !fileConfig.http) {
+        fs.unlinkSync(CONFIG_FILE);
+        return true;
+    }
+    if (fileConfig.activeProfile === name) {
+        fileConfig.activeProfile = DEFAULT_PROFILE;
+    }
+    writeConfigFile(fileConfig);
+    return true;
+}
+
+// Recorded details of a profile's API key are tied to a fingerprint of the key,
+// so they no longer apply once the key is replaced or overridden by LISTSERV_API_KEY
+const fingerprint = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 16);
+
+/**
+ * Details recorded for the API key in use, e.g. by `api-key rotate --update-profile` or `api-key whoami`.
+ * @returns {{ id: string, expiresAt: string|null, scopes: string[]|null } | null} null when nothing is recorded for this key
+ */
+export function getApiKeyInfo() {
+    const { apiKey } = _resolveConfig();
+    if (!apiKey) return null;
+    try {
+        const info = readConfigFile().profiles[getActiveProfile().name]?.apiKeyInfo;
+        return info?.fingerprint === fingerprint(apiKey) ? { id: info.id, expiresAt: info.expiresAt ?? null, scopes: info.scopes ?? null } : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Record the ID, expiry and scopes of an API key on the active profile.
+ * @param {string} apiKey
+ * @param {{ id: string, expiresAt?: string, scopes?: string[] }} info
+ * @returns {boolean} false when the active profile is not saved in the config file
+ */
+export function saveApiKeyInfo(apiKey, { id, expiresAt, scopes }) {
+    const fileConfig = readConfigFile();
+    const profile = fileConfig.profiles[getActiveProfile().name];
+    if (!profile) return false;
+    profile.apiKeyInfo = { fingerprint: fingerprint(apiKey), id, expiresAt: expiresAt ?? null, scopes: scopes ?? null };
+    writeConfigFile(fileConfig);
+    return true;
+}
+
+/**
+ * HTTP settings (timeout, retries, proxy, noProxy, caCert, insecure) from the config file;
+ * the active profile's `http` section overrides the top-level one.
+ * @returns {object}
+ */
+export function getHttpConfig() {
+    try {
+        const fileConfig = readConfigFile();
+        return { ...fileConfig.http, ...fileConfig.profiles[getActiveProfile().name]?.http };
+    } catch {
+        return {}; // loadLocalConfig reports unreadable files
+    }
+}
+
 export async function getCredentials() {
     if (!sessionConfig.serverUrl || !sessionConfig.apiKey) {
         loadLocalConfig();
     }
+    if (!sessionConfig.apiKey && sessionConfig.credentialBackend) {
+        await unlockCredentialStore();
+        loadLocalConfig();
+        // Prompting for a new key would hide a wrong passphrase or a failing helper
+        if (credentialError) throw credentialError;
+    }
 
     const questions = [];
     if (!sessionConfig.serverUrl) {
@@ -116,8 +428,9 @@ export async function getCredentials() {
         if (answers.apiKey) sessionConfig.apiKey = answers.apiKey;
         if (answers.storeUrl) sessionConfig.storeUrl = normalizeUrl(answers.storeUrl);
 
+        await unlockCredentialStore(undefined, { forWrite: true });
         saveLocalConfig(sessionConfig);
-        console.log(chalk.green('Credentials saved for future sessions.'));
+        printLine(chalk.green(`Credentials saved to profile '${getActiveProfile().name}' for future sessions.`));
     }
 
     return sessionConfig;
@@ -131,7 +444,7 @@ function _resolveConfig() {
     let config = {
         serverUrl: envUrl || sessionConfig.serverUrl,
         apiKey: envApiKey || sessionConfig.apiKey,
-        storeUrl: envStoreUrl || sessionConfig.storeUrl || DEFAULT_STORE_URL,
+        storeUrl: envStoreUrl || sessionConfig.storeUrl,
     };
 
     if (!config.serverUrl || !config.apiKey || !config.storeUrl) {
@@ -141,6 +454,9 @@ function _resolveConfig() {
         config.storeUrl = config.storeUrl || sessionConfig.storeUrl;
     }
 
+    // Applied after the profile is loaded so a saved store URL is not shadowed by the default
+    config.storeUrl = config.storeUrl || DEFAULT_STORE_URL;
+
     config.serverUrl = normalizeUrl(config.serverUrl);
     config.storeUrl = normalizeUrl(config.storeUrl);
 
@@ -163,6 +479,11 @@ export const constants = {
     ENV_VAR_URL,
     ENV_VAR_API_KEY,
     ENV_VAR_STORE_URL,
+    ENV_VAR_PROFILE,
+    ENV_VAR_PASSPHRASE,
+    ENV_VAR_KEY_FILE,
     DEFAULT_STORE_URL,
+    DEFAULT_PROFILE,
+    CONFIG_DIR,
     CONFIG_FILE
 };
@@ -0,0 +1,209 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { spawnSync } from 'child_process';
+
+/**
+ * Backends for the API keys of saved profiles:
+ *
+ *   plaintext       keys stay in config.json (the default, and how older versions stored them)
+ *   encrypted-file  AES-256-GCM file next to config.json, unlocked with a passphrase or a key file
+ *   helper          an external command, like git's credential helpers
+ *
+ * Helpers are run as `<command> get|store|erase` and talk key=value lines on stdin/stdout,
+ * ended by a blank line: the CLI sends `profile` and `server` (and `apikey` on store),
+ * and `get` answers with `apikey=<key>`, or nothing when it has no key for the profile.
+ */
+export const CREDENTIAL_BACKENDS = ['plaintext', 'encrypted-file', 'helper'];
+
+export const ENV_VAR_PASSPHRASE = 'REFWIRE_CREDENTIALS_PASSPHRASE';
+export const ENV_VAR_KEY_FILE = 'REFWIRE_CREDENTIALS_KEY_FILE';
+
+const CREDENTIALS_FILE = 'credentials.enc';
+const CREDENTIALS_FORMAT = 'refwire-credentials';
+const HELPER_TIMEOUT_MS = 30000;
+
+/**
+ * Write a file only the current user can read (0600). Missing directories are created 0700.
+ * @param {string} filePath
+ * @param {string} content
+ */
+export function writePrivateFile(filePath, content) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(filePath, content, { mode: 0o600 });
+    // The mode option only applies when the file is created
+    fs.chmodSync(filePath, 0o600);
+}
+
+function createPlaintextStore() {
+    return {
+        name: 'plaintext',
+        location: null,
+        isLocked: () => false,
+        unlock: () => {},
+        get: () => null,
+        storeAll: () => {},
+        erase: () => {},
+    };
+}
+
+function createEncryptedFileStore(settings, { configDir, passphrase: initialPassphrase }) {
+    const file = path.join(configDir, CREDENTIALS_FILE);
+    let passphrase = initialPassphrase || null;
+    let entries = null;
+
+    const keyFile = () => process.env[ENV_VAR_KEY_FILE] || settings.keyFile;
+
+    function secret() {
+        if (passphrase) return Buffer.from(passphrase, 'utf8');
+        if (keyFile()) {
+            try {
+                const content = fs.readFileSync(keyFile());
+                if (content.length > 0) return content;
+            } catch (error) {
+                throw new Error(`Cannot read the credential key file ${keyFile()}: ${error.message}`);
+            }
+            throw new Error(`The credential key file ${keyFile()} is empty.`);
+        }
+        if (process.env[ENV_VAR_PASSPHRASE]) return Buffer.from(process.env[ENV_VAR_PASSPHRASE], 'utf8');
+        throw new Error(`The credential file ${file} is locked. Set ${ENV_VAR_PASSPHRASE} or ${ENV_VAR_KEY_FILE}, or run the command in a terminal to enter the passphrase.`);
+    }
+
+    function read() {
+        if (entries) return entries;
+        if (!fs.existsSync(file)) return (entries = {});
+
+        const envelope = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (envelope.format !== CREDENTIALS_FORMAT) {
+            throw new Error(`${file} is not a RefWire credential file.`);
+        }
+        const salt = Buffer.from(envelope.salt, 'base64');
+        const key = crypto.scryptSync(secret(), salt, 32);
+        try {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+            decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+            const plain = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+            return (entries = JSON.parse(plain.toString('utf8')));
+        } catch {
+            throw new Error(`Cannot decrypt ${file}: wrong passphrase or key file.`);
+        }
+    }
+
+    function write(next) {
+        if (Object.keys(next).length === 0) {
+            if (fs.existsSync(file)) fs.unlinkSync(file);
+            entries = {};
+            return;
+        }
+        const salt = crypto.randomBytes(16);
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', crypto.scryptSync(secret(), salt, 32), iv);
+        const data = Buffer.concat([cipher.update(JSON.stringify(next), 'utf8'), cipher.final()]);
+        writePrivateFile(file, `${JSON.stringify({
+            format: CREDENTIALS_FORMAT,
+            version: 1,
+            cipher: 'aes-256-gcm',
+            kdf: 'scrypt',
+            salt: salt.toString('base64'),
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64'),
+        }, null, 2)}\n`);
+        entries = next;
+    }
+
+    return {
+        name: 'encrypted-file',
+        location: file,
+        keySource: keyFile() ? 'key file' : 'passphrase',
+        isLocked: () => !passphrase && !keyFile() && !process.env[ENV_VAR_PASSPHRASE],
+        /**
+         * Use a passphrase for this session. Throws when it does not open the existing file.
+         * @param {string} value
+         */
+        unlock(value) {
+            passphrase = value;
+            entries = null;
+            try {
+                read();
+            } catch (error) {
+                passphrase = null;
+                throw error;
+            }
+        },
+        get: (profile) => read()[profile] ?? null,
+        /** Replace the whole file, e.g. when migrating to a new passphrase. */
+        storeAll: (keys) => write({ ...keys }),
+        store: (profile, apiKey) => write({ ...read(), [profile]: apiKey }),
+        erase(profile) {
+            const current = read();
+            if (!(profile in current)) return;
+            const { [profile]: removed, ...rest } = current;
+            write(rest);
+        },
+    };
+}
+
+function createHelperStore(settings) {
+    const { command } = settings;
+    if (!command) {
+        throw new Error("The 'helper' credential backend needs a helper command.");
+    }
+
+    function run(action, fields) {
+        const input = `${Object.entries(fields).filter(([, value]) => value).map(([name, value]) => `${name}=${value}`).join('\n')}\n\n`;
+        // Like git, the command is run through the shell so it can carry its own arguments
+        const result = spawnSync(`${command} ${action}`, {
+            shell: true,
+            input,
+            encoding: 'utf8',
+            timeout: HELPER_TIMEOUT_MS,
+            stdio: ['pipe', 'pipe', 'inherit'],
+        });
+        if (result.error) {
+            throw new Error(`Credential helper '${command}' failed: ${result.error.message}`);
+        }
+        if (result.status !== 0) {
+            throw new Error(`Credential helper '${command} ${action}' exited with code ${result.status}.`);
+        }
+        return Object.fromEntries(result.stdout.split(/\r?\n/)
+            .filter(line => line.includes('='))
+            .map(line => [line.slice(0, line.indexOf('=')), line.slice(line.indexOf('=') + 1)]));
+    }
+
+    const store = (profile, apiKey, { serverUrl } = {}) => run('store', { profile, server: serverUrl, apikey: apiKey });
+
+    return {
+        name: 'helper',
+        location: command,
+        isLocked: () => false,
+        unlock: () => {},
+        get: (profile, { serverUrl } = {}) => run('get', { profile, server: serverUrl }).apikey || null,
+        store,
+        storeAll: (keys, profiles = {}) => Object.entries(keys).forEach(([profile, apiKey]) => store(profile, apiKey, profiles[profile])),
+        erase: (profile, { serverUrl } = {}) => {
+            run('erase', { profile, server: serverUrl });
+        },
+    };
+}
+
+/**
+ * Create the credential store described by the `credentialStore` settings of config.json.
+ * @param {{ backend?: string, keyFile?: string, command?: string } | undefined} settings - plaintext when missing
+ * @param {{ configDir: string, passphrase?: string }} options - passphrase: for a new encrypted file,
+ *   used as is (unlock() instead checks it against the existing file)
+ * @returns {object} store with name, location, isLocked(), unlock(passphrase), get(profile, profileData),
+ *   store(profile, apiKey, profileData), storeAll(keys, profilesData) and erase(profile, profileData)
+ */
+export function createCredentialStore(settings, { configDir, passphrase }) {
+    switch (settings?.backend ?? 'plaintext') {
+        case 'plaintext':
+            return createPlaintextStore();
+        case 'encrypted-file':
+            return createEncryptedFileStore(settings, { configDir, passphrase });
+        case 'helper':
+            return createHelperStore(settings);
+        default:
+            throw new Error(`Unknown credential backend '${settings.backend}' in the config file. Use one of: ${CREDENTIAL_BACKENDS.join(', ')}.`);
+    }
+}
@@ -0,0 +1,152 @@
+import fs from 'fs';
+import path from 'path';
+import * as api from './apiClient.js';
+import * as listStorApi from './listStorClient.js';
+import * as jsonProcessor from '../utils/jsonProcessor.js';
+import { loadManifest } from './datasetSync.js';
+import { readJsonItems } from '../utils/itemStream.js';
+import { normalizeItem } from '../utils/datasetDiff.js';
+
+const SOURCE_FORMS = 'server:<id>, file:<path> or liststor:<id>[@<version>]';
+
+/**
+ * Parse a dataset source reference.
+ * @param {string} spec - server:<id>, file:<path> or liststor:<id>[@<version>]
+ * @returns {{ type: 'server'|'file'|'liststor', id?: string, path?: string, version?: string, label: string }}
+ */
+export function parseSourceSpec(spec) {
+    const separator = spec.indexOf(':');
+    const type = separator > 0 ? spec.slice(0, separator) : '';
+    const value = separator > 0 ? spec.slice(separator + 1) : '';
+    if (!value) {
+        throw new Error(`Invalid source '${spec}'. Expected ${SOURCE_FORMS}.`);
+    }
+
+    switch (type) {
+        case 'server':
+            return { type, id: value, label: spec };
+        case 'file':
+            return { type, path: value, label: spec };
+        case 'liststor': {
+            const [id, version] = value.split('@');
+            if (version && !/^\d+\.\d+\.\d+$/.test(version)) {
+                throw new Error(`Invalid version '${version}' in '${spec}'. Expected format x.y.z`);
+            }
+            return { type, id, version, label: spec };
+        }
+        default:
+            throw new Error(`Unknown source type '${type}' in '${spec}'. Expected ${SOURCE_FORMS}.`);
+    }
+}
+
+/**
+ * Load the schema and items of a dataset source into a common shape.
+ *
+ * Files may be a manifest (.yaml/.yml), a dataset definition ({ fields, items }), an item list
+ * ([{ id, name, data }], JSON or NDJSON) or raw records; raw records need `idField`/`nameField`.
+ *
+ * @param {object} source - from parseSourceSpec
+ * @param {{ idField?: string, nameField?: string, includeArchived?: boolean }} [options]
+ * @returns {Promise<{ label: string, fields: object[]|null, idField: string|null, nameField: string|null, items: object[], skipped: number }>}
+ */
+export async function loadDatasetSource(source, { idField, nameField, includeArchived = false } = {}) {
+    switch (source.type) {
+        case 'server':
+            return loadServerSource(source, includeArchived);
+        case 'liststor':
+            return loadListStorSource(source);
+        default:
+            return loadFileSource(source, { idField, nameField });
+    }
+}
+
+async function loadServerSource(source, includeArchived) {
+    const meta = await api.getDatasetMeta(source.id);
+    const items = [];
+    for await (const item of api.iterateDatasetItems(source.id, { includeArchived })) {
+        items.push(normalizeItem(item));
+    }
+    return { label: source.label, fields: meta.fields || [], idField: meta.idField, nameField: meta.nameField, items, skipped: 0 };
+}
+
+async function loadListStorSource(source) {
+    const { data, meta } = await listStorApi.getDataset(source.id, source.version);
+    const state = { jsonContent: data };
+    if (!jsonProcessor.validateAndProcessJson(state)) {
+        throw new Error(`ListStor package '${source.label}' does not contain a valid JSON array.`);
+    }
+    const { items, skipped } = jsonProcessor.recordsToItems(state.parsedJson, meta.idField, meta.nameField);
+    return { label: source.label, fields: markKeyFields(state.fields, meta.idField, meta.nameField), idField: meta.idField, nameField: meta.nameField, items, skipped };
+}
+
+// Inferred schemas know nothing about keys; flag the ID/name fields the way the wizard does
+function markKeyFields(fields, idField, nameField) {
+    return fields.map(field => {
+        const isId = field.name === idField;
+        const isName = field.name === nameField;
+        return { ...field, isId, isName, isRequired: Boolean(field.isRequired) || isId || isName };
+    });
+}
+
+// A dataset definition (dataset create / export --definition) is a single, usually pretty-printed, object
+function readDefinition(absolutePath) {
+    const content = fs.readFileSync(absolutePath, 'utf-8').replace(/^\uFEFF/, '');
+    if (!content.trimStart().startsWith('{')) return null;
+    try {
+        const parsed = JSON.parse(content);
+        return parsed && Array.isArray(parsed.fields) ? parsed : null;
+    } catch {
+        return null; // NDJSON
+    }
+}
+
+async function loadFileSource(source, { idField, nameField }) {
+    const absolutePath = path.resolve(process.cwd(), source.path);
+    if (!fs.existsSync(absolutePath)) {
+        throw new Error(`File not found: ${source.path}`);
+    }
+
+    if (/\.ya?ml$/i.test(absolutePath)) {
+        const manifest = await loadManifest(absolutePath);
+        return {
+            label: source.label,
+            fields: manifest.fields,
+            idField: manifest.idField,
+            nameField: manifest.nameField,
+            items: (manifest.items || []).map(normalizeItem),
+            skipped: 0,
+        };
+    }
+
+    const definition = readDefinition(absolutePath);
+    if (definition) {
+        const definitionItems = Array.isArray(definition.items) ? definition.items : Object.values(definition.items || {});
+        return {
+            label: source.label,
+            fields: definition.fields,
+            idField: definition.idField,
+            nameField: definition.nameField,
+            items: definitionItems.map(normalizeItem),
+            skipped: 0,
+        };
+    }
+
+    const entries = [];
+    for await (const entry of readJsonItems(absolutePath)) {
+        entries.push(entry);
+    }
+
+    // Item lists carry their own id/name; anything else is treated as raw records
+    const isItemList = entries.every(entry => entry && (entry.id ?? entry.Id) !== undefined && typeof (entry.data ?? entry.Data) === 'object');
+    if (isItemList) {
+        return { label: source.label, fields: null, idField: null, nameField: null, items: entries.map(normalizeItem), skipped: 0 };
+    }
+
+    if (!idField || !nameField) {
+        throw new Error(`${source.label} contains raw records. Use --id-field and --name-field to say which fields identify them.`);
+    }
+    const state = {};
+    const fields = jsonProcessor.processRecords(state, entries) ? markKeyFields(state.fields, idField, nameField) : null;
+    const { items, skipped } = jsonProcessor.recordsToItems(entries, idField, nameField);
+    return { label: source.label, fields, idField, nameField, items, skipped };
+}
@@ -0,0 +1,287 @@
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import * as api from './apiClient.js';
+import { readJsonItems } from '../utils/itemStream.js';
+import { diffFields, diffItems, normalizeField, normalizeItem } from '../utils/datasetDiff.js';
+
+const BULK_BATCH_SIZE = 500;
+
+/**
+ * Load a dataset manifest (YAML or JSON).
+ *
+ * A manifest holds the dataset metadata and field definitions, and optionally its items,
+ * either inline (`items`) or in a JSON array / NDJSON file (`itemsFile`, relative to the manifest).
+ * When items are given they are authoritative: server items missing from the manifest are archived.
+ * Every item needs an id and a name, and IDs must be unique.
+ *
+ * @param {string} filePath
+ * @returns {Promise<{ id: string, name: string, description: string, idField: string, nameField: string, fields: object[], items: object[]|null }>}
+ */
+export async function loadManifest(filePath) {
+    const absolutePath = path.resolve(process.cwd(), filePath);
+    let manifest;
+    try {
+        const content = fs.readFileSync(absolutePath, 'utf-8');
+        manifest = /\.ya?ml$/i.test(absolutePath) ? YAML.parse(content) : JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Failed to read manifest ${filePath}: ${error.message}`);
+    }
+
+    const missing = ['id', 'name', 'idField', 'nameField', 'fields'].filter(key => !manifest?.[key]);
+    if (missing.length > 0) {
+        throw new Error(`Manifest is missing required properties: ${missing.join(', ')}`);
+    }
+    if (!Array.isArray(manifest.fields)) {
+        throw new Error('Manifest "fields" must be a list of field definitions.');
+    }
+    if (manifest.items && manifest.itemsFile) {
+        throw new Error('Manifest can define either "items" or "itemsFile", not both.');
+    }
+
+    const fields = manifest.fields.map(field => {
+        const normalized = normalizeField(field);
+        const isId = normalized.name === manifest.idField;
+        const isName = normalized.name === manifest.nameField;
+        return {
+            ...normalized,
+            isId,
+            isName,
+            isRequired: (field.isRequired ?? field.IsRequired) ?? (isId || isName),
+            sampleValues: field.sampleValues ?? field.SampleValues,
+        };
+    });
+    const fieldNames = fields.map(f => f.name);
+    [manifest.idField, manifest.nameField].forEach(fieldName => {
+        if (!fieldNames.includes(fieldName)) {
+            throw new Error(`Manifest field '${fieldName}' is not defined in "fields".`);
+        }
+    });
+
+    let items = null;
+    if (manifest.itemsFile) {
+        items = [];
+        const itemsPath = path.resolve(path.dirname(absolutePath), manifest.itemsFile);
+        for await (const item of readJsonItems(itemsPath)) {
+            items.push(item);
+        }
+    } else if (manifest.items) {
+        if (!Array.isArray(manifest.items)) {
+            throw new Error('Manifest "items" must be a list of { id, name, data } objects.');
+        }
+        items = manifest.items;
+    }
+    if (items) {
+        validateManifestItems(items);
+    }
+
+    return {
+        id: String(manifest.id).toLowerCase(),
+        name: manifest.name,
+        description: manifest.description || '',
+        idField: manifest.idField,
+        nameField: manifest.nameField,
+        fields,
+        items,
+    };
+}
+
+const MAX_REPORTED_ITEM_PROBLEMS = 10;
+
+// Items need an ID and a name, and IDs must be unique: the server would otherwise get "undefined" IDs or duplicates
+function validateManifestItems(items) {
+    const problems = [];
+    const firstIndexes = new Map();
+    items.forEach((item, index) => {
+        const id = item?.id ?? item?.Id;
+        const name = item?.name ?? item?.Name;
+        if (id === null || id === undefined || id === '' || name === null || name === undefined) {
+            problems.push(`Item at index ${index} is missing its id or name.`);
+            return;
+        }
+        const key = String(id);
+        if (firstIndexes.has(key)) {
+            problems.push(`Item at index ${index} repeats ID '${key}' (first used at index ${firstIndexes.get(key)}).`);
+            return;
+        }
+        firstIndexes.set(key, index);
+    });
+    if (problems.length > 0) {
+        const more = problems.length > MAX_REPORTED_ITEM_PROBLEMS ? `\n  ... (+${problems.length - MAX_REPORTED_ITEM_PROBLEMS} more)` : '';
+        throw new Error(`Manifest items are invalid:\n  ${problems.slice(0, MAX_REPORTED_ITEM_PROBLEMS).join('\n  ')}${more}`);
+    }
+}
+
+/**
+ * Compute the changes needed to bring the server in line with a manifest.
+ * @param {object} manifest - from loadManifest
+ * @param {{ archiveMissing?: boolean, includeArchived?: boolean }} [options] - with `includeArchived`,
+ *   archived server items are compared too (and stay archived), so they are not re-created;
+ *   those still in the manifest are listed in `items.archived`
+ * @returns {Promise<object>} plan (see toPlanReport for its public shape)
+ */
+export async function buildPlan(manifest, { archiveMissing = true, includeArchived = false } = {}) {
+    const datasetIds = await api.listDatasetIds();
+    const exists = (datasetIds || []).some(id => id.toLowerCase() === manifest.id);
+
+    if (!exists) {
+        return {
+            datasetId: manifest.id,
+            exists: false,
+            currentFields: [],
+            metadata: [],
+            unsupported: [],
+            fields: diffFields([], manifest.fields),
+            items: manifest.items ? diffItems([], manifest.items) : null,
+        };
+    }
+
+    const meta = await api.getDatasetMeta(manifest.id);
+    const metadata = [];
+    if (meta.name !== manifest.name) {
+        metadata.push({ property: 'name', from: meta.name, to: manifest.name });
+    }
+
+    // The update endpoint only takes a name and fields; other metadata needs a re-create
+    const unsupported = ['description', 'idField', 'nameField']
+        .filter(property => (meta[property] || '') !== (manifest[property] || ''))
+        .map(property => ({ property, from: meta[property], to: manifest[property] }));
+
+    let items = null;
+    if (manifest.items) {
+        const currentItems = [];
+        for await (const item of api.iterateDatasetItems(manifest.id, { includeArchived })) {
+            currentItems.push(item);
+        }
+        items = diffItems(currentItems, manifest.items);
+        items.removed = items.removed.filter(item => !item.isArchived);
+        // The API cannot un-archive items: these get their values updated but stay archived
+        const archivedIds = new Set(currentItems.map(normalizeItem).filter(item => item.isArchived).map(item => item.id));
+        items.archived = manifest.items.map(item => normalizeItem(item).id).filter(id => archivedIds.has(id));
+        if (!archiveMissing) {
+            items.retained = items.removed.length;
+            items.removed = [];
+        }
+    }
+
+    return {
+        datasetId: manifest.id,
+        exists: true,
+        currentFields: meta.fields || [],
+        metadata,
+        unsupported,
+        fields: diffFields(meta.fields || [], manifest.fields),
+        items,
+    };
+}
+
+const hasFieldChanges = (fields) =>
+    fields.added.length + fields.removed.length + fields.retyped.length + fields.changed.length > 0;
+
+/**
+ * Whether applying the plan would change anything.
+ * @param {object} plan
+ * @returns {boolean}
+ */
+export function planHasChanges(plan) {
+    if (!plan.exists) return true;
+    const itemChanges = plan.items
+        ? plan.items.added.length + plan.items.changed.length + plan.items.removed.length
+        : 0;
+    return plan.metadata.length > 0 || hasFieldChanges(plan.fields) || itemChanges > 0;
+}
+
+/**
+ * The plan as printed by `dataset plan` (item IDs and value changes, not full items).
+ * @param {object} plan
+ * @returns {object}
+ */
+export function toPlanReport(plan) {
+    return {
+        datasetId: plan.datasetId,
+        action: !plan.exists ? 'create' : (planHasChanges(plan) ? 'update' : 'none'),
+        metadata: plan.metadata,
+        unsupported: plan.unsupported,
+        fields: plan.fields,
+        items: plan.items ? {
+            create: plan.items.added.map(item => item.id),
+            update: plan.items.changed.map(({ id, changes }) => ({ id, changes })),
+            archive: plan.items.removed.map(item => item.id),
+            unchanged: plan.items.unchanged,
+            retained: plan.items.retained || 0,
+            archived: plan.items.archived || [],
+        } : null,
+        hasChanges: planHasChanges(plan),
+    };
+}
+
+// Field definitions in the shape the create/update endpoints expect (see the import wizard)
+function toApiFields(fields, currentFields) {
+    const currentSamples = new Map(currentFields.map(f => [f.name ?? f.Name, f.sampleValues ?? f.SampleValues]));
+    return fields.map(f => ({
+        Name: f.name,
+        DataType: f.dataType,
+        IsId: f.isId,
+        IsName: f.isName,
+        IsRequired: f.isRequired,
+        IsIncluded: true,
+        SampleValues: f.sampleValues || currentSamples.get(f.name) || [],
+    }));
+}
+
+/**
+ * Execute a plan against the server.
+ * @param {object} plan - from buildPlan
+ * @param {object} manifest - from loadManifest
+ * @param {{ onStep?: (message: string) => void }} [options]
+ * @returns {Promise<{ datasetCreated: boolean, schemaUpdated: boolean, created: number, updated: number, archived: number }>}
+ */
+export async function applyPlan(plan, manifest, { onStep } = {}) {
+    const result = { datasetCreated: false, schemaUpdated: false, created: 0, updated: 0, archived: 0 };
+    const fields = toApiFields(manifest.fields, plan.currentFields);
+
+    if (!plan.exists) {
+        onStep?.(`Creating dataset '${manifest.id}'...`);
+        const itemsPayload = {};
+        (plan.items?.added || []).forEach(item => {
+            itemsPayload[item.id] = { Id: item.id, Name: String(item.name), Data: item.data, IsArchived: false };
+        });
+        await api.createDataset(manifest.id, manifest.name, manifest.description, manifest.idField, manifest.nameField, fields, itemsPayload);
+        result.datasetCreated = true;
+        result.created = Object.keys(itemsPayload).length;
+        return result;
+    }
+
+    if (plan.metadata.length > 0 || hasFieldChanges(plan.fields)) {
+        onStep?.('Updating dataset name and fields...');
+        await api.updateDataset(manifest.id, manifest.name, fields);
+        result.schemaUpdated = true;
+    }
+
+    if (!plan.items) return result;
+
+    for (let i = 0; i < plan.items.added.length; i += BULK_BATCH_SIZE) {
+        const batch = plan.items.added.slice(i, i + BULK_BATCH_SIZE);
+        onStep?.(`Creating items ${i + 1}-${i + batch.length} of ${plan.items.added.length}...`);
+        await api.addDatasetItemsBulk(manifest.id, batch.map(({ id, name, data }) => ({ id, name, data })));
+        result.created += batch.length;
+    }
+
+    if (plan.items.changed.length > 0) {
+        onStep?.(`Updating ${plan.items.changed.length} items...`);
+    }
+    for (const { id, after } of plan.items.changed) {
+        await api.updateDatasetItem(manifest.id, id, after.name, after.data);
+        result.updated++;
+    }
+
+    if (plan.items.removed.length > 0) {
+        onStep?.(`Archiving ${plan.items.removed.length} items...`);
+    }
+    for (const item of plan.items.removed) {
+        await api.archiveDatasetItem(manifest.id, item.id);
+        result.archived++;
+    }
+
+    return result;
+}
@@ -0,0 +1,257 @@
+import axios from 'axios';
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import tls from 'tls';
+import { getHttpConfig } from './configManager.js';
+import { printWarning } from '../utils/outputFormatter.js';
+
+/**
+ * Shared HTTP layer of the RefWire server and ListStor clients: timeouts, retries with
+ * exponential backoff, proxies and custom CA bundles.
+ *
+ * Settings come from the global flags, then environment variables, then the `http` section
+ * of the active profile and of config.json, then the defaults below.
+ */
+const DEFAULTS = {
+    timeout: 15, // seconds; 0 disables the timeout
+    retries: 3,
+    proxy: null,
+    noProxy: null,
+    caCert: null,
+    insecure: false,
+};
+
+const ENV_VARS = {
+    timeout: 'REFWIRE_HTTP_TIMEOUT',
+    retries: 'REFWIRE_HTTP_RETRIES',
+    proxy: 'REFWIRE_PROXY',
+    caCert: 'REFWIRE_CA_CERT',
+    insecure: 'REFWIRE_INSECURE',
+};
+
+const RETRY_BASE_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 60000;
+
+// Requests that can be repeated without side effects
+const IDEMPOTENT_METHODS = new Set(['get', 'head', 'options', 'put', 'delete']);
+// Network errors worth retrying; the first group never reached the server, so any request may be repeated
+const UNSENT_ERROR_CODES = new Set(['ECONNREFUSED', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH']);
+const RETRYABLE_ERROR_CODES = new Set([...UNSENT_ERROR_CODES, 'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'ERR_NETWORK']);
+
+// Settings from the global flags, set before any command runs
+let flagSettings = {};
+// Clients are created per API call; the --insecure warning is printed once per process
+let insecureWarningShown = false;
+
+/**
+ * Apply the global HTTP flags (--http-timeout, --retries, --proxy, --ca-cert, --insecure).
+ * @param {{ httpTimeout?: number, retries?: number, proxy?: string, caCert?: string, insecure?: boolean }} options
+ */
+export function setHttpOptions({ httpTimeout, retries, proxy, caCert, insecure } = {}) {
+    flagSettings = Object.fromEntries(Object.entries({ timeout: httpTimeout, retries, proxy, caCert, insecure })
+        .filter(([, value]) => value !== undefined));
+}
+
+function envSettings() {
+    const env = process.env;
+    const settings = {
+        timeout: env[ENV_VARS.timeout],
+        retries: env[ENV_VARS.retries],
+        proxy: env[ENV_VARS.proxy],
+        caCert: env[ENV_VARS.caCert],
+        insecure: env[ENV_VARS.insecure] ? ['1', 'true', 'yes'].includes(env[ENV_VARS.insecure].toLowerCase()) : undefined,
+        noProxy: env.NO_PROXY ?? env.no_proxy,
+    };
+    return Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined && value !== ''));
+}
+
+const toCount = (value, name) => {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+        throw new Error(`Invalid HTTP ${name} '${value}': use a number of 0 or more.`);
+    }
+    return number;
+};
+
+/**
+ * The HTTP settings in effect.
+ * @returns {{ timeout: number, retries: number, proxy: string|null, noProxy: string|null, caCert: string|null, insecure: boolean }}
+ *   timeout in seconds
+ */
+export function resolveHttpSettings() {
+    const settings = { ...DEFAULTS, ...getHttpConfig(), ...envSettings(), ...flagSettings };
+    return {
+        ...settings,
+        timeout: toCount(settings.timeout, 'timeout'),
+        retries: Math.floor(toCount(settings.retries, 'retries')),
+        insecure: Boolean(settings.insecure),
+    };
+}
+
+// Standard proxy variables, used when no proxy is configured for RefWire itself
+function proxyFor(url, settings) {
+    const env = process.env;
+    const proxy = settings.proxy || (url.protocol === 'https:'
+        ? env.HTTPS_PROXY || env.https_proxy || env.HTTP_PROXY || env.http_proxy
+        : env.HTTP_PROXY || env.http_proxy);
+    if (!proxy || bypassesProxy(url, settings.noProxy)) return null;
+    return new URL(proxy.includes('://') ? proxy : `http://${proxy}`);
+}
+
+// NO_PROXY: comma-separated hosts, domain suffixes (.example.com or example.com) and optional ports, or *
+function bypassesProxy(url, noProxy) {
+    if (!noProxy) return false;
+    const host = url.hostname.toLowerCase();
+    const port = url.port || (url.protocol === 'https:' ? '443' : '80');
+    return noProxy.split(/[\s,]+/).filter(Boolean).some(entry => {
+        if (entry === '*') return true;
+        const [entryHost, entryPort] = entry.toLowerCase().replace(/^\*?\./, '.').split(':');
+        if (entryPort && entryPort !== port) return false;
+        const domain = entryHost.replace(/^\./, '');
+        return host === domain || host.endsWith(`.${domain}`);
+    });
+}
+
+function tlsOptions(settings) {
+    const options = {};
+    if (settings.caCert) {
+        let bundle;
+        try {
+            bundle = fs.readFileSync(settings.caCert, 'utf8');
+        } catch (error) {
+            throw new Error(`Cannot read the CA bundle ${settings.caCert}: ${error.message}`);
+        }
+        // Custom CAs are trusted in addition to the built-in ones
+        options.ca = [...tls.rootCertificates, bundle];
+    }
+    if (settings.insecure) {
+        options.rejectUnauthorized = false;
+    }
+    return options;
+}
+
+/**
+ * HTTPS agent that reaches its targets through a CONNECT tunnel on an HTTP(S) proxy.
+ * @param {URL} proxy
+ * @param {object} options - TLS options for the target
+ * @returns {https.Agent}
+ */
+function createTunnelAgent(proxy, options) {
+    const agent = new https.Agent(options);
+    const auth = proxy.username
+        ? `Basic ${Buffer.from(`${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`).toString('base64')}`
+        : null;
+
+    agent.createConnection = (connectOptions, callback) => {
+        const target = `${connectOptions.host}:${connectOptions.port}`;
+        const request = (proxy.protocol === 'https:' ? https : http).request({
+            host: proxy.hostname,
+            port: proxy.port || (proxy.protocol === 'https:' ? 443 : 80),
+            method: 'CONNECT',
+            path: target,
+            headers: { Host: target, ...(auth ? { 'Proxy-Authorization': auth } : {}) },
+        });
+        request.once('connect', (response, socket) => {
+            if (response.statusCode !== 200) {
+                socket.destroy();
+                callback(new Error(`Proxy ${proxy.host} refused the tunnel to ${target} (HTTP ${response.statusCode}).`));
+                return;
+            }
+            const { path, ...targetOptions } = connectOptions;
+            // SNI takes host names only
+            const servername = connectOptions.servername || (net.isIP(connectOptions.host) ? undefined : connectOptions.host);
+            callback(null, tls.connect({ ...targetOptions, socket, servername }));
+        });
+        request.once('error', callback);
+        request.end();
+    };
+    return agent;
+}
+
+// Proxy and TLS settings for one request, chosen by its final URL (requests may leave the base URL)
+function applyConnectionSettings(config, settings, { options, httpsAgent }) {
+    const url = new URL(axios.getUri(config));
+    const proxy = proxyFor(url, settings);
+
+    // axios's own proxy handling is replaced: it cannot tunnel HTTPS through a proxy
+    config.proxy = false;
+    if (url.protocol === 'https:') {
+        config.httpsAgent = proxy ? createTunnelAgent(proxy, options) : httpsAgent;
+    } else if (proxy) {
+        config.proxy = {
+            protocol: proxy.protocol.replace(':', ''),
+            host: proxy.hostname,
+            port: Number(proxy.port) || (proxy.protocol === 'https:' ? 443 : 80),
+            ...(proxy.username ? { auth: { username: decodeURIComponent(proxy.username), password: decodeURIComponent(proxy.password) } } : {}),
+        };
+    }
+    return config;
+}
+
+function shouldRetry(error) {
+    const method = (error.config?.method || 'get').toLowerCase();
+    const status = error.response?.status;
+    if (status === 429) return true;
+    if (status >= 500) return IDEMPOTENT_METHODS.has(method);
+    if (!error.response && error.code) {
+        return IDEMPOTENT_METHODS.has(method) ? RETRYABLE_ERROR_CODES.has(error.code) : UNSENT_ERROR_CODES.has(error.code);
+    }
+    return false;
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function retryAfterMs(header) {
+    if (!header) return null;
+    if (/^\d+$/.test(header.trim())) return Number(header) * 1000;
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+const backoffMs = (attempt) => {
+    const delay = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+    // Up to 25% jitter so parallel requests do not retry in lockstep
+    return delay + Math.random() * delay * 0.25;
+};
+
+// Retries run inside the adapter, below the interceptors, so callers' error handlers see only the final outcome
+function withRetries(adapter, settings) {
+    return async (config) => {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await adapter(config);
+            } catch (error) {
+                if (attempt > settings.retries || !shouldRetry(error)) throw error;
+
+                const delay = Math.min(retryAfterMs(error.response?.headers?.['retry-after']) ?? backoffMs(attempt), MAX_RETRY_DELAY_MS);
+                const reason = error.response ? `HTTP ${error.response.status}` : error.code;
+                printWarning(`${config.method.toUpperCase()} ${axios.getUri(config)} failed (${reason}); retry ${attempt} of ${settings.retries} in ${(delay / 1000).toFixed(1)}s.`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    };
+}
+
+/**
+ * Create an axios instance using the shared HTTP settings.
+ * @param {import('axios').CreateAxiosDefaults} options - baseURL, headers, responseType, ...
+ * @returns {import('axios').AxiosInstance}
+ */
+export function createHttpClient(options) {
+    const settings = resolveHttpSettings();
+    if (settings.insecure && !insecureWarningShown) {
+        insecureWarningShown = true;
+        printWarning('TLS certificate verification is disabled (--insecure).');
+    }
+    const connection = { options: tlsOptions(settings) };
+    connection.httpsAgent = Object.keys(connection.options).length > 0 ? new https.Agent(connection.options) : undefined;
+
+    const instance = axios.create({
+        ...options,
+        timeout: settings.timeout * 1000,
+        adapter: withRetries(axios.getAdapter(axios.defaults.adapter), settings),
+    });
+    instance.interceptors.request.use((config) => applyConnectionSettings(config, settings, connection));
+    return instance;
+}
@@ -0,0 +1,43 @@
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+
+const isYaml = (filePath) => /\.ya?ml$/i.test(filePath);
+
+/**
+ * Load a saved import answers file (JSON or YAML). The data file path inside it
+ * is relative to the answers file, so answers can be replayed from any directory.
+ * @param {string} filePath
+ * @returns {object}
+ */
+export function loadImportAnswers(filePath) {
+    const absolutePath = path.resolve(process.cwd(), filePath);
+    let answers;
+    try {
+        const content = fs.readFileSync(absolutePath, 'utf-8');
+        answers = isYaml(absolutePath) ? YAML.parse(content) : JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Failed to read answers file ${filePath}: ${error.message}`);
+    }
+    if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+        throw new Error(`Answers file ${filePath} must contain an object.`);
+    }
+    if (answers.file) {
+        answers.file = path.resolve(path.dirname(absolutePath), answers.file);
+    }
+    return answers;
+}
+
+/**
+ * Save import answers for replay with `dataset import --answers`.
+ * @param {string} filePath
+ * @param {object} answers - with `file` relative to the working directory or absolute
+ */
+export function saveImportAnswers(filePath, answers) {
+    const absolutePath = path.resolve(process.cwd(), filePath);
+    const saved = {
+        ...answers,
+        file: answers.file ? path.relative(path.dirname(absolutePath), path.resolve(process.cwd(), answers.file)) : undefined,
+    };
+    fs.writeFileSync(absolutePath, isYaml(absolutePath) ? YAML.stringify(saved) : `${JSON.stringify(saved, null, 2)}\n`);
+}
@@ -1,15 +1,9 @@
-import axios from 'axios';
-import https from 'https';
 import JSZip from 'jszip';
-import { getConfig } from './configManager.js';
+import { getSilentConfig } from './configManager.js';
+import { createHttpClient } from './httpClient.js';
 import chalk from 'chalk';
-
-console.log(chalk.blue('[INIT] Loading ListStor client module...'));
-
-// HTTPS agent to ignore self-signed certificates in local development
-const insecureHttpsAgent = new https.Agent({
-    rejectUnauthorized: false,
-});
+import { printLine } from '../utils/outputFormatter.js';
+import * as packageCache from './packageCache.js';
 
 /**
  * Initialize an Axios client for ListStor API.
@@ -17,22 +11,17 @@ const insecureHttpsAgent = new https.Agent({
  * @returns {import('axios').AxiosInstance}
  */
 export const getListStorClient = (binary = false) => {
-    console.log(chalk.blue('[CLIENT INIT] Fetching configuration...'));
-    const config = getConfig();
-    console.log(chalk.green('[CLIENT INIT] Configuration loaded:'), config);
+    printLine(chalk.blue('[CLIENT INIT] Fetching configuration...'));
+    // ListStor is public, so browsing it does not need RefWire server credentials
+    const config = getSilentConfig();
 
     const rawUrl = config.storeUrl;
     const baseURL = rawUrl.startsWith('http') ? rawUrl : `https://${rawUrl}`;
-    console.log(chalk.green('[CLIENT INIT] Normalized store URL:'), baseURL);
-
-    const isLocalDev = /^https:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?/.test(baseURL);
-    console.log(chalk.yellow('[CLIENT INIT] Is Local Dev ='), isLocalDev);
+    printLine(chalk.green('[CLIENT INIT] Normalized store URL:'), baseURL);
 
-    return axios.create({
+    return createHttpClient({
         baseURL,
         headers: { 'Content-Type': 'application/json' },
-        timeout: 15000,
-        httpsAgent: isLocalDev ? insecureHttpsAgent : undefined,
         responseType: binary ? 'arraybuffer' : 'json',
     });
 };
@@ -43,11 +32,11 @@ export const getListStorClient = (binary = false) => {
  * @returns {Promise<object>}
  */
 export const getDatasetMeta = async (datasetId) => {
-    console.log(chalk.blue(`[getDatasetMeta] Fetching metadata for ID: ${datasetId}`));
+    printLine(chalk.blue(`[getDatasetMeta] Fetching metadata for ID: ${datasetId}`));
     const client = getListStorClient();
     try {
         const res = await client.get(`/datasets/${encodeURIComponent(datasetId)}/meta`);
-        console.log(chalk.green(`[getDatasetMeta] Success: ${res.status}`));
+        printLine(chalk.green(`[getDatasetMeta] Success: ${res.status}`));
         return res.data;
     } catch (err) {
         console.error(chalk.red(`[getDatasetMeta] Failed to fetch metadata for ID: ${datasetId}`));
@@ -57,52 +46,149 @@ export const getDatasetMeta = async (datasetId) => {
 };
 
 /**
- * Download, unzip, and parse a dataset package.
+ * Download a dataset package zip.
  * @param {string} datasetId
  * @param {string} [version]
- * @returns {Promise<{ data: any; meta: any }>}
+ * @returns {Promise<Buffer>}
  */
-export const getDataset = async (datasetId, version) => {
-    console.log(chalk.blue(`[getDataset] Fetching dataset ID: ${datasetId}, version: ${version || 'latest'}`));
+export const downloadPackage = async (datasetId, version) => {
+    printLine(chalk.blue(`[downloadPackage] Fetching dataset ID: ${datasetId}, version: ${version || 'latest'}`));
     const client = getListStorClient(true);
     const query = version ? `?version=${encodeURIComponent(version)}` : '';
     const endpoint = `/packages/${encodeURIComponent(datasetId)}${query}`;
-    console.log(chalk.blue(`[getDataset] Requesting: ${endpoint}`));
+    printLine(chalk.blue(`[downloadPackage] Requesting: ${endpoint}`));
 
+    const res = await client.get(endpoint);
+    printLine(chalk.green(`[downloadPackage] Downloaded: ${res.status}`));
+
+    const contentType = res.headers['content-type'];
+    printLine(chalk.blue(`[downloadPackage] Content-Type: ${contentType}`));
+    if (!contentType || !contentType.includes('application/zip')) {
+        throw new Error(`Unexpected content-type: ${contentType}`);
+    }
+    return Buffer.from(res.data);
+};
+
+/**
+ * Unzip and parse a dataset package (data.json and data.meta.json).
+ * @param {Buffer} buffer
+ * @returns {Promise<{ data: string; meta: any }>}
+ */
+export const parsePackage = async (buffer) => {
+    printLine(chalk.blue('[parsePackage] Unzipping payload...'));
+    let zip;
     try {
-        const res = await client.get(endpoint);
-        console.log(chalk.green(`[getDataset] Downloaded: ${res.status}`));
+        zip = await JSZip.loadAsync(buffer);
+    } catch (err) {
+        throw new Error(`Not a valid package zip: ${err.message}`);
+    }
 
-        const contentType = res.headers['content-type'];
-        console.log(chalk.blue(`[getDataset] Content-Type: ${contentType}`));
-        if (!contentType || !contentType.includes('application/zip')) {
-            throw new Error(`Unexpected content-type: ${contentType}`);
-        }
+    const dataEntry = zip.file('data.json');
+    const metaEntry = zip.file('data.meta.json');
+    if (!dataEntry || !metaEntry) {
+        throw new Error('Zip is missing data.json or data.meta.json');
+    }
 
-        console.log(chalk.blue('[getDataset] Unzipping payload...'));
-        const zip = await JSZip.loadAsync(res.data);
+    const [dataStr, metaStr] = await Promise.all([
+        dataEntry.async('string'),
+        metaEntry.async('string'),
+    ]);
 
-        const dataEntry = zip.file('data.json');
-        const metaEntry = zip.file('data.meta.json');
-        if (!dataEntry || !metaEntry) {
-            throw new Error('Zip is missing data.json or data.meta.json');
-        }
+    printLine(chalk.green('[parsePackage] Extraction and parsing complete'));
 
-        const [dataStr, metaStr] = await Promise.all([
-            dataEntry.async('string'),
-            metaEntry.async('string'),
-        ]);
+    // Log the meta
+    printLine(chalk.blue('[parsePackage] Metadata:'), metaStr);
 
-        console.log(chalk.green('[getDataset] Extraction and parsing complete'));
+    return { data: dataStr, meta: JSON.parse(metaStr) };
+};
 
-        // Log the meta
-        console.log(chalk.blue('[getDataset] Metadata:'), metaStr);
-        
-        return { data: dataStr, meta: JSON.parse(metaStr) };
+/**
+ * Get and parse a dataset package, using the local package cache.
+ *
+ * Pinned versions are served from the cache when present. The latest version is always
+ * requested from ListStor; if ListStor cannot be reached, the newest cached version is used.
+ * Every download with a known version is added to the cache.
+ *
+ * @param {string} datasetId
+ * @param {string} [version]
+ * @param {{ useCache?: boolean }} [options]
+ * @returns {Promise<{ data: string; meta: any; buffer: Buffer; version: string|null; fromCache: boolean }>}
+ */
+export const getDataset = async (datasetId, version, { useCache = true } = {}) => {
+    const fromCache = async (cachedVersion) => {
+        const cached = packageCache.readPackage(datasetId, cachedVersion);
+        if (!cached) return null;
+        printLine(chalk.green(`[getDataset] Using cached package ${datasetId}@${cachedVersion}`));
+        return { ...(await parsePackage(cached.buffer)), buffer: cached.buffer, version: cachedVersion, fromCache: true };
+    };
+
+    if (useCache && version) {
+        const cached = await fromCache(version);
+        if (cached) return cached;
+    }
+
+    let buffer;
+    try {
+        buffer = await downloadPackage(datasetId, version);
     } catch (err) {
+        // Only a missing connection falls back to the cache; HTTP errors are real answers
+        const offlineVersion = useCache && !version && err.isAxiosError && !err.response
+            ? packageCache.latestCachedVersion(datasetId)
+            : null;
+        const cached = offlineVersion ? await fromCache(offlineVersion) : null;
+        if (cached) {
+            printLine(chalk.yellow(`[getDataset] ListStor unreachable (${err.message}). Using the newest cached version.`));
+            return cached;
+        }
         console.error(chalk.red(`[getDataset] Error fetching dataset: ${err.message}`));
         throw err;
     }
+
+    const parsed = await parsePackage(buffer);
+    const resolvedVersion = version || parsed.meta.version || null;
+    if (useCache && resolvedVersion) {
+        packageCache.savePackage(datasetId, resolvedVersion, buffer);
+    }
+    return { ...parsed, buffer, version: resolvedVersion, fromCache: false };
+};
+
+/**
+ * Search the ListStor catalog by ID, title or description.
+ * @param {string} term
+ * @returns {Promise<object[]>} dataset metadata entries
+ */
+export const searchDatasets = async (term) => {
+    printLine(chalk.blue(`[searchDatasets] Searching catalog for: ${term}`));
+    const client = getListStorClient();
+    try {
+        const res = await client.get('/datasets/search', { params: { term } });
+        printLine(chalk.green(`[searchDatasets] Success: ${res.status}`));
+        // Accept both a bare list and a paged { items } envelope
+        return Array.isArray(res.data) ? res.data : (res.data?.items || []);
+    } catch (err) {
+        console.error(chalk.red(`[searchDatasets] Failed to search for: ${term}`));
+        console.error(chalk.red(err.message));
+        throw new Error(`searchDatasets error: ${err.message}`);
+    }
+};
+
+/**
+ * List the published versions of a dataset.
+ * @param {string} datasetId
+ * @returns {Promise<Array<string|object>>} version strings or { version, ... } entries
+ */
+export const getDatasetVersions = async (datasetId) => {
+    printLine(chalk.blue(`[getDatasetVersions] Fetching versions for ID: ${datasetId}`));
+    const client = getListStorClient();
+    try {
+        const res = await client.get(`/datasets/${encodeURIComponent(datasetId)}/versions`);
+        printLine(chalk.green(`[getDatasetVersions] Success: ${res.status}`));
+        return Array.isArray(res.data) ? res.data : (res.data?.versions || []);
+    } catch (err) {
+        console.error(chalk.red(`[getDatasetVersions] Failed to fetch versions for ID: ${datasetId}`));
+        console.error(chalk.red(err.message));
+        throw new Error(`getDatasetVersions error: ${err.message}`);
+    }
 };
 
 /**
@@ -110,8 +196,8 @@ export const getDataset = async (datasetId, version) => {
  * @returns {string}
  */
 export const GetStorUrl = () => {
-    console.log(chalk.blue('[GetStorUrl] Retrieving base URL.'));
-    const config = getConfig();
+    printLine(chalk.blue('[GetStorUrl] Retrieving base URL.'));
+    const config = getSilentConfig();
     return config.storeUrl.startsWith('http')
         ? config.storeUrl
         : `https://${config.storeUrl}`;
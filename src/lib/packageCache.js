@@ -0,0 +1,147 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { constants } from './configManager.js';
+import { compareSemver } from '../utils/semver.js';
+
+const CACHE_DIR = path.join(constants.CONFIG_DIR, 'packages');
+
+/**
+ * SHA-256 checksum of a package zip, as recorded in the cache.
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+export const checksum = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Package IDs and versions become path segments, so keep them to safe characters
+const safeSegment = (value) => String(value).replace(/[^a-zA-Z0-9._-]/g, '_');
+
+function entryPaths(datasetId, version) {
+    const dir = path.join(CACHE_DIR, safeSegment(datasetId));
+    return {
+        dir,
+        zipPath: path.join(dir, `${safeSegment(version)}.zip`),
+        infoPath: path.join(dir, `${safeSegment(version)}.json`),
+    };
+}
+
+function removeEntry(entry) {
+    const { dir, zipPath, infoPath } = entryPaths(entry.id, entry.version);
+    [zipPath, infoPath].forEach(file => fs.rmSync(file, { force: true }));
+    if (fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+        fs.rmdirSync(dir);
+    }
+}
+
+/**
+ * Store a downloaded package zip with its checksum.
+ * @param {string} datasetId
+ * @param {string} version
+ * @param {Buffer} buffer
+ * @returns {object} the cache entry
+ */
+export function savePackage(datasetId, version, buffer) {
+    const { dir, zipPath, infoPath } = entryPaths(datasetId, version);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const entry = {
+        id: datasetId,
+        version,
+        size: buffer.length,
+        sha256: checksum(buffer),
+        downloadedAt: new Date().toISOString(),
+        path: zipPath,
+    };
+    fs.writeFileSync(zipPath, buffer);
+    fs.writeFileSync(infoPath, JSON.stringify(entry, null, 2));
+    return entry;
+}
+
+/**
+ * Read a cached package, verifying its checksum. Corrupt entries are removed and treated as missing.
+ * @param {string} datasetId
+ * @param {string} version
+ * @returns {{ entry: object, buffer: Buffer }|null}
+ */
+export function readPackage(datasetId, version) {
+    const { zipPath, infoPath } = entryPaths(datasetId, version);
+    if (!fs.existsSync(zipPath) || !fs.existsSync(infoPath)) {
+        return null;
+    }
+
+    try {
+        const entry = JSON.parse(fs.readFileSync(infoPath, 'utf8'));
+        const buffer = fs.readFileSync(zipPath);
+        if (checksum(buffer) === entry.sha256) {
+            return { entry, buffer };
+        }
+    } catch {
+        // Unreadable metadata is handled like a checksum mismatch
+    }
+    removeEntry({ id: datasetId, version });
+    return null;
+}
+
+/**
+ * List cached packages, newest version first within each dataset.
+ * @param {string} [datasetId] - only this dataset
+ * @returns {object[]} cache entries
+ */
+export function listCachedPackages(datasetId) {
+    if (!fs.existsSync(CACHE_DIR)) {
+        return [];
+    }
+
+    const dirs = datasetId ? [safeSegment(datasetId)] : fs.readdirSync(CACHE_DIR);
+    const entries = [];
+    dirs.forEach(dirName => {
+        const dir = path.join(CACHE_DIR, dirName);
+        if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) return;
+        fs.readdirSync(dir)
+            .filter(file => file.endsWith('.json'))
+            .forEach(file => {
+                try {
+                    entries.push(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+                } catch {
+                    // Skip half-written entries; readPackage cleans them up on use
+                }
+            });
+    });
+
+    return entries.sort((a, b) => a.id.localeCompare(b.id) || compareSemver(b.version, a.version));
+}
+
+/**
+ * The newest cached version of a dataset, used when ListStor cannot be reached.
+ * @param {string} datasetId
+ * @returns {string|null}
+ */
+export function latestCachedVersion(datasetId) {
+    return listCachedPackages(datasetId)[0]?.version || null;
+}
+
+/**
+ * Remove cached packages.
+ * @param {{ datasetId?: string, keep?: number, olderThanDays?: number }} [options] - `keep` newest versions
+ *   per dataset are always kept (0 removes everything matched); `olderThanDays` only removes older downloads
+ * @returns {object[]} the removed entries
+ */
+export function pruneCache({ datasetId, keep = 0, olderThanDays } = {}) {
+    const cutoff = olderThanDays !== undefined ? Date.now() - olderThanDays * 24 * 60 * 60 * 1000 : null;
+    const keptPerDataset = new Map();
+    const removed = [];
+
+    listCachedPackages(datasetId).forEach(entry => {
+        const kept = keptPerDataset.get(entry.id) || 0;
+        if (kept < keep) {
+            keptPerDataset.set(entry.id, kept + 1);
+            return;
+        }
+        if (cutoff !== null && new Date(entry.downloadedAt).getTime() > cutoff) {
+            return;
+        }
+        removeEntry(entry);
+        removed.push(entry);
+    });
+    return removed;
+}
@@ -0,0 +1,164 @@
+/**
+ * API key scopes known to this CLI. Umbrella scopes imply others; `admin` implies every scope.
+ * The server defines the real scopes and may add its own, so this catalog only drives
+ * validation hints and warnings, never access decisions.
+ */
+const SCOPES = {
+    read: { description: 'Read-only access to datasets and items', implies: ['datasets:read', 'items:read'] },
+    write: { description: 'Read and change datasets and items', implies: ['read', 'datasets:write', 'items:write'] },
+    admin: { description: 'Full access, including API keys, instances and health' },
+    'datasets:read': { description: 'List datasets and view their metadata, API specs and the system state' },
+    'datasets:write': { description: 'Create, import, pull, update and delete datasets', implies: ['datasets:read'] },
+    'items:read': { description: 'Get, list, search and export items' },
+    'items:write': { description: 'Add, update, bulk-load and archive items', implies: ['items:read'] },
+    'apikeys:manage': { description: 'Create, update, rotate and revoke API keys' },
+    'instances:manage': { description: 'List and remove app instances' },
+    'health:read': { description: 'View health reports' },
+};
+
+/**
+ * Scopes each CLI command needs. Commands that are not listed need no server scope.
+ */
+const COMMAND_SCOPES = {
+    'api-key create': ['apikeys:manage'],
+    'api-key list': ['apikeys:manage'],
+    'api-key get': ['apikeys:manage'],
+    'api-key update': ['apikeys:manage'],
+    'api-key revoke': ['apikeys:manage'],
+    'api-key rotate': ['apikeys:manage'],
+    'api-key expiring': ['apikeys:manage'],
+    'dataset list-ids': ['datasets:read'],
+    'dataset get-meta': ['datasets:read'],
+    'dataset get-api': ['datasets:read'],
+    'dataset schema': ['datasets:read'],
+    'dataset openapi': ['datasets:read'],
+    'dataset codegen': ['datasets:read'],
+    'dataset get-state': ['datasets:read'],
+    'dataset delete': ['datasets:write'],
+    'dataset create': ['datasets:write'],
+    'dataset update': ['datasets:write'],
+    'dataset import': ['datasets:write'],
+    'dataset pull': ['datasets:write', 'items:write'],
+    'dataset export': ['datasets:read', 'items:read'],
+    'dataset diff': ['datasets:read', 'items:read'],
+    'dataset plan': ['datasets:read', 'items:read'],
+    'dataset apply': ['datasets:write', 'items:write'],
+    'item get': ['items:read'],
+    'item list': ['items:read'],
+    'item search': ['items:read'],
+    'item validate': ['datasets:read'],
+    'item add': ['items:write'],
+    'item add-bulk': ['items:write'],
+    'item update': ['items:write'],
+    'item archive': ['items:write'],
+    'health report': ['health:read'],
+    'instance list': ['instances:manage'],
+    'instance remove': ['instances:manage'],
+    'backup create': ['datasets:read', 'items:read', 'apikeys:manage'],
+    'backup restore': ['datasets:write', 'items:write', 'apikeys:manage'],
+};
+
+/**
+ * The scope catalog.
+ * @returns {{ name: string, description: string, implies: string[] }[]}
+ */
+export const getScopeCatalog = () => Object.entries(SCOPES).map(([name, { description, implies = [] }]) => ({ name, description, implies }));
+
+/**
+ * Whether a scope is in the catalog (case-insensitive).
+ * @param {string} scope
+ * @returns {boolean}
+ */
+export const isKnownScope = (scope) => Object.hasOwn(SCOPES, String(scope).toLowerCase());
+
+/**
+ * All scopes granted by a list of scopes, following implications. Names are lowercased.
+ * @param {string[]} scopes
+ * @returns {Set<string>}
+ */
+export function expandScopes(scopes) {
+    const granted = new Set();
+    const visit = (name) => {
+        const scope = String(name).toLowerCase();
+        if (granted.has(scope)) return;
+        granted.add(scope);
+        if (scope === 'admin') Object.keys(SCOPES).forEach(visit);
+        (SCOPES[scope]?.implies || []).forEach(visit);
+    };
+    (scopes || []).forEach(visit);
+    return granted;
+}
+
+/**
+ * Scopes a command needs, by its path (e.g. "dataset create").
+ * @param {string} commandPath
+ * @returns {string[]}
+ */
+export const getCommandScopes = (commandPath) => COMMAND_SCOPES[commandPath] || [];
+
+/**
+ * Required scopes of a command that the given scopes do not grant.
+ * @param {string} commandPath
+ * @param {string[]} scopes
+ * @returns {string[]}
+ */
+export function missingScopes(commandPath, scopes) {
+    const granted = expandScopes(scopes);
+    return getCommandScopes(commandPath).filter(scope => !granted.has(scope));
+}
+
+/**
+ * Commands the given scopes allow, and those they don't.
+ * @param {string[]} scopes
+ * @returns {{ allowed: string[], denied: { command: string, missing: string[] }[] }}
+ */
+export function describeCommandAccess(scopes) {
+    const allowed = [];
+    const denied = [];
+    Object.keys(COMMAND_SCOPES).forEach(command => {
+        const missing = missingScopes(command, scopes);
+        missing.length === 0 ? allowed.push(command) : denied.push({ command, missing });
+    });
+    return { allowed, denied };
+}
+
+function editDistance(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = previous[j];
+            previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+            diagonal = above;
+        }
+    }
+    return previous[b.length];
+}
+
+/**
+ * Check scopes against the catalog. A unique prefix completes to the full name ("items:w" -> "items:write").
+ * @param {string[]} scopes
+ * @param {{ allowUnknown?: boolean }} [options] - keep unknown scopes, for servers with custom scopes
+ * @returns {string[]} the resolved scopes, without duplicates
+ */
+export function resolveScopes(scopes, { allowUnknown = false } = {}) {
+    const names = Object.keys(SCOPES);
+    const resolved = (scopes || []).map(scope => {
+        const value = scope.trim().toLowerCase();
+        if (SCOPES[value]) return value;
+
+        const completions = names.filter(name => name.startsWith(value));
+        if (completions.length === 1) return completions[0];
+        if (allowUnknown) return scope.trim();
+        if (completions.length > 1) {
+            throw new Error(`Scope '${scope}' is ambiguous: ${completions.join(', ')}.`);
+        }
+        const [closest] = names
+            .map(name => ({ name, distance: editDistance(value, name) }))
+            .sort((a, b) => a.distance - b.distance);
+        const hint = closest.distance <= 3 ? ` Did you mean '${closest.name}'?` : '';
+        throw new Error(`Unknown scope '${scope}'.${hint} Run 'refwire api-key scopes' for the list, or pass --allow-unknown-scopes.`);
+    });
+    return [...new Set(resolved)];
+}
@@ -0,0 +1,49 @@
+import fs from 'fs';
+import path from 'path';
+import { constants } from './configManager.js';
+
+// Sync history is local to this machine: the server does not record which package a dataset came from,
+// so upgrades run elsewhere (another machine, CI) start without it. It is informational only.
+
+const SYNC_STATE_FILE = path.join(constants.CONFIG_DIR, 'sync-state.json');
+
+function readSyncState() {
+    if (!fs.existsSync(SYNC_STATE_FILE)) {
+        return {};
+    }
+    try {
+        return JSON.parse(fs.readFileSync(SYNC_STATE_FILE, 'utf8'));
+    } catch {
+        return {}; // A corrupt state file only loses the sync history
+    }
+}
+
+// Dataset IDs are only unique per server
+const serverKey = (serverUrl) => String(serverUrl || '').replace(/\/+$/, '').toLowerCase();
+
+/**
+ * The ListStor package a dataset was last pulled or upgraded from.
+ * @param {string} serverUrl
+ * @param {string} datasetId
+ * @returns {{ source: string, version: string|null, syncedAt: string }|null}
+ */
+export function getSyncRecord(serverUrl, datasetId) {
+    return readSyncState()[serverKey(serverUrl)]?.[datasetId] || null;
+}
+
+/**
+ * Remember which ListStor package a dataset was synced from.
+ * @param {string} serverUrl
+ * @param {string} datasetId
+ * @param {{ source: string, version: string|null }} record
+ */
+export function recordSync(serverUrl, datasetId, { source, version }) {
+    const state = readSyncState();
+    const key = serverKey(serverUrl);
+    state[key] = { ...state[key], [datasetId]: { source, version, syncedAt: new Date().toISOString() } };
+
+    if (!fs.existsSync(constants.CONFIG_DIR)) {
+        fs.mkdirSync(constants.CONFIG_DIR, { recursive: true });
+    }
+    fs.writeFileSync(SYNC_STATE_FILE, JSON.stringify(state, null, 2));
+}
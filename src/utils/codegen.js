@@ -0,0 +1,430 @@
+import { normalizeField } from './datasetDiff.js';
+
+/**
+ * Client code generation for `dataset codegen`: item types from the dataset's field
+ * definitions and a small client for its public read endpoints (list, get by ID,
+ * search and search by IDs). Output is deterministic so regenerated files diff cleanly.
+ */
+
+const ENDPOINTS = ['listItemsUrl', 'getItemByIdUrl', 'searchItemsUrl', 'searchItemsByIdsUrl'];
+
+// "country-codes" -> "CountryCodes", "2024 data" -> "_2024Data"
+export function toPascalCase(text) {
+    const name = String(text)
+        .split(/[^A-Za-z0-9]+/)
+        .filter(Boolean)
+        .map(word => word[0].toUpperCase() + word.slice(1))
+        .join('');
+    if (!name) return 'Field';
+    return /^\d/.test(name) ? `_${name}` : name;
+}
+
+const header = (comment, meta, lang) => [
+    `${comment} Generated by refwire from dataset '${meta.id}'. Do not edit by hand;`,
+    `${comment} regenerate with: refwire dataset codegen ${meta.id} --lang ${lang}`,
+];
+
+const describeField = (field) => [
+    field.dataType,
+    field.isId && 'ID field',
+    field.isName && 'Name field',
+    field.isRequired && !field.isId && !field.isName && 'required',
+].filter(Boolean).join(', ');
+
+const isRequired = (field) => Boolean(field.isRequired || field.isId || field.isName);
+
+const endpointDefaults = (apiSpec) => ENDPOINTS.map(key => [key, apiSpec?.[key] || null]);
+
+// --- TypeScript / JavaScript ---
+
+const TS_TYPES = {
+    Text: 'string',
+    Number: 'number',
+    Boolean: 'boolean',
+    Date: 'string',
+    List: 'unknown[]',
+};
+
+const tsKey = (name) => (/^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name));
+
+const tsFieldType = (field) => {
+    const type = TS_TYPES[field.dataType] || 'unknown';
+    return isRequired(field) || type === 'unknown' ? type : `${type} | null`;
+};
+
+// Method bodies shared by the TypeScript and JavaScript clients
+const fetchHelpers = (typed) => {
+    const t = (annotation) => (typed ? annotation : '');
+    return [
+        `const unwrap = (body${t(': any')})${t(': any[]')} => (Array.isArray(body) ? body : body?.items ?? []);`,
+        '',
+        '// Item URLs are either templates ("/items/{id}") or a base URL to append the ID to',
+        `function fillItemUrl(template${t(': string')}, id${t(': string')})${t(': string')} {`,
+        '    const encoded = encodeURIComponent(id);',
+        '    if (/\\{(id|itemId)\\}/i.test(template)) return template.replace(/\\{(id|itemId)\\}/gi, encoded);',
+        '    return `${template.replace(/\\/+$/, \'\')}/${encoded}`;',
+        '}',
+    ];
+};
+
+const clientMethods = (meta, { typed, itemType }) => {
+    const t = (annotation) => (typed ? annotation : '');
+    const doc = (lines) => (typed ? [] : ['    /**', ...lines.map(line => `     * ${line}`), '     */']);
+    return [
+        `    ${typed ? 'private ' : ''}endpoint(key${t(': keyof Endpoints')})${t(': string')} {`,
+        '        const url = this.endpoints[key];',
+        `        if (!url) throw new Error(\`Dataset '${meta.id}' does not expose the \${key} endpoint.\`);`,
+        '        return url;',
+        '    }',
+        '',
+        `    ${typed ? 'private async ' : 'async '}request(url${t(': string')}, init${t(': RequestInit')} = {})${t(': Promise<any>')} {`,
+        '        const headers = { Accept: \'application/json\', ...(this.apiKey ? { \'X-Api-Key\': this.apiKey } : {}), ...(init.body ? { \'Content-Type\': \'application/json\' } : {}) };',
+        '        const response = await this.fetch(url, { ...init, headers });',
+        `        if (!response.ok) throw new Error(\`\${init.method || 'GET'} \${url} failed: \${response.status} \${response.statusText}\`);`,
+        '        return response.json();',
+        '    }',
+        '',
+        ...doc(['List items, one page at a time.', '@param {{ skip?: number, limit?: number, includeArchived?: boolean }} [options]', `@returns {Promise<${itemType}[]>}`]),
+        `    async list({ skip = 0, limit = 100, includeArchived = false }${t(': { skip?: number; limit?: number; includeArchived?: boolean }')} = {})${t(`: Promise<${itemType}[]>`)} {`,
+        '        const url = new URL(this.endpoint(\'listItemsUrl\'));',
+        '        url.search = new URLSearchParams({ skip: String(skip), limit: String(limit), includeArchived: String(includeArchived) }).toString();',
+        '        return unwrap(await this.request(url.toString()));',
+        '    }',
+        '',
+        ...doc(['Get one item by ID.', '@param {string} id', `@returns {Promise<${itemType}>}`]),
+        `    async get(id${t(': string')})${t(`: Promise<${itemType}>`)} {`,
+        '        return this.request(fillItemUrl(this.endpoint(\'getItemByIdUrl\'), id));',
+        '    }',
+        '',
+        ...doc(['Search items by term.', '@param {string} searchTerm', '@param {{ skip?: number, limit?: number }} [options]', `@returns {Promise<${itemType}[]>}`]),
+        `    async search(searchTerm${t(': string')}, { skip = 0, limit = 100 }${t(': { skip?: number; limit?: number }')} = {})${t(`: Promise<${itemType}[]>`)} {`,
+        '        const url = new URL(this.endpoint(\'searchItemsUrl\'));',
+        '        url.search = new URLSearchParams({ searchTerm, skip: String(skip), limit: String(limit) }).toString();',
+        '        return unwrap(await this.request(url.toString()));',
+        '    }',
+        '',
+        ...doc(['Get several items by ID.', '@param {string[]} ids', `@returns {Promise<${itemType}[]>}`]),
+        `    async getByIds(ids${t(': string[]')})${t(`: Promise<${itemType}[]>`)} {`,
+        '        return unwrap(await this.request(this.endpoint(\'searchItemsByIdsUrl\'), { method: \'POST\', body: JSON.stringify({ ids }) }));',
+        '    }',
+    ];
+};
+
+function generateTypeScript(meta, apiSpec, fields) {
+    const baseName = toPascalCase(meta.id);
+    const dataType = `${baseName}Data`;
+    const itemType = `${baseName}Item`;
+    const clientName = `${baseName}Client`;
+
+    const types = [
+        ...header('//', meta, 'ts'),
+        '',
+        `/** Fields of an item in dataset '${meta.id}'${meta.name ? ` (${meta.name})` : ''}. */`,
+        `export interface ${dataType} {`,
+        ...fields.flatMap(field => [
+            `    /** ${describeField(field)} */`,
+            `    ${tsKey(field.name)}${isRequired(field) ? '' : '?'}: ${tsFieldType(field)};`,
+        ]),
+        '}',
+        '',
+        `export interface ${itemType} {`,
+        '    id: string;',
+        '    name: string;',
+        `    data: ${dataType};`,
+        '    isArchived?: boolean;',
+        '}',
+        '',
+    ];
+
+    const client = [
+        ...header('//', meta, 'ts'),
+        `import type { ${itemType} } from './types';`,
+        '',
+        'export interface Endpoints {',
+        ...ENDPOINTS.map(key => `    ${key}: string | null;`),
+        '}',
+        '',
+        'export const defaultEndpoints: Endpoints = {',
+        ...endpointDefaults(apiSpec).map(([key, url]) => `    ${key}: ${JSON.stringify(url)},`),
+        '};',
+        '',
+        `export interface ${clientName}Options {`,
+        '    /** Sent as X-Api-Key when the endpoints require a key */',
+        '    apiKey?: string;',
+        '    /** Override endpoint URLs, e.g. for another environment */',
+        '    endpoints?: Partial<Endpoints>;',
+        '    fetch?: typeof fetch;',
+        '}',
+        '',
+        ...fetchHelpers(true),
+        '',
+        `export class ${clientName} {`,
+        '    private readonly apiKey?: string;',
+        '    private readonly endpoints: Endpoints;',
+        '    private readonly fetch: typeof fetch;',
+        '',
+        `    constructor(options: ${clientName}Options = {}) {`,
+        '        this.apiKey = options.apiKey;',
+        '        this.endpoints = { ...defaultEndpoints, ...options.endpoints };',
+        '        this.fetch = options.fetch ?? globalThis.fetch.bind(globalThis);',
+        '    }',
+        '',
+        ...clientMethods(meta, { typed: true, itemType }),
+        '}',
+        '',
+    ];
+
+    const index = [
+        ...header('//', meta, 'ts'),
+        'export * from \'./types\';',
+        'export * from \'./client\';',
+        '',
+    ];
+
+    return [
+        { fileName: 'types.ts', content: types.join('\n') },
+        { fileName: 'client.ts', content: client.join('\n') },
+        { fileName: 'index.ts', content: index.join('\n') },
+    ];
+}
+
+function generateJavaScript(meta, apiSpec, fields) {
+    const baseName = toPascalCase(meta.id);
+    const dataType = `${baseName}Data`;
+    const itemType = `${baseName}Item`;
+    const clientName = `${baseName}Client`;
+
+    const client = [
+        ...header('//', meta, 'js'),
+        '',
+        '/**',
+        ` * Fields of an item in dataset '${meta.id}'${meta.name ? ` (${meta.name})` : ''}.`,
+        ` * @typedef {object} ${dataType}`,
+        ...fields.map(field => {
+            const name = isRequired(field) ? tsKey(field.name) : `[${tsKey(field.name)}]`;
+            return ` * @property {${tsFieldType(field)}} ${name} - ${describeField(field)}`;
+        }),
+        ' */',
+        '',
+        '/**',
+        ` * @typedef {object} ${itemType}`,
+        ' * @property {string} id',
+        ' * @property {string} name',
+        ` * @property {${dataType}} data`,
+        ' * @property {boolean} [isArchived]',
+        ' */',
+        '',
+        'export const defaultEndpoints = {',
+        ...endpointDefaults(apiSpec).map(([key, url]) => `    ${key}: ${JSON.stringify(url)},`),
+        '};',
+        '',
+        ...fetchHelpers(false),
+        '',
+        `export class ${clientName} {`,
+        '    /**',
+        '     * @param {object} [options]',
+        '     * @param {string} [options.apiKey] - sent as X-Api-Key when the endpoints require a key',
+        '     * @param {Partial<typeof defaultEndpoints>} [options.endpoints] - override endpoint URLs, e.g. for another environment',
+        '     * @param {typeof fetch} [options.fetch]',
+        '     */',
+        '    constructor(options = {}) {',
+        '        this.apiKey = options.apiKey;',
+        '        this.endpoints = { ...defaultEndpoints, ...options.endpoints };',
+        '        this.fetch = options.fetch ?? globalThis.fetch.bind(globalThis);',
+        '    }',
+        '',
+        ...clientMethods(meta, { typed: false, itemType }),
+        '}',
+        '',
+    ];
+
+    return [{ fileName: 'client.js', content: client.join('\n') }];
+}
+
+// --- C# ---
+
+const CSHARP_TYPES = {
+    Text: { type: 'string', reference: true },
+    Number: { type: 'double' },
+    Boolean: { type: 'bool' },
+    Date: { type: 'DateTimeOffset' },
+    List: { type: 'List<JsonElement>', reference: true },
+};
+
+const csharpString = (value) => (value === null ? 'null' : `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`);
+
+const csharpProperties = (fields, className) => {
+    const used = new Set([className]);
+    return fields.map(field => {
+        let name = toPascalCase(field.name);
+        if (used.has(name)) {
+            let suffix = 2;
+            while (used.has(`${name}${suffix}`)) suffix++;
+            name = `${name}${suffix}`;
+        }
+        used.add(name);
+
+        const mapped = CSHARP_TYPES[field.dataType] || { type: 'JsonElement?' };
+        const required = isRequired(field) && CSHARP_TYPES[field.dataType];
+        const type = required ? mapped.type : `${mapped.type.replace(/\?$/, '')}?`;
+        const initializer = required && mapped.reference ? ` = ${mapped.type === 'string' ? '""' : 'new()'};` : '';
+        return [
+            `        /// <summary>${describeField(field)}</summary>`,
+            `        [JsonPropertyName(${csharpString(field.name)})]`,
+            `        public ${type} ${name} { get; set; }${initializer}`,
+        ];
+    });
+};
+
+function generateCSharp(meta, apiSpec, fields, { namespace = 'RefWire.Datasets' } = {}) {
+    const baseName = toPascalCase(meta.id).replace(/^_/, 'Dataset');
+    const dataType = `${baseName}Data`;
+    const itemType = `${baseName}Item`;
+    const clientName = `${baseName}Client`;
+
+    const types = [
+        ...header('//', meta, 'csharp'),
+        '#nullable enable',
+        'using System;',
+        'using System.Collections.Generic;',
+        'using System.Text.Json;',
+        'using System.Text.Json.Serialization;',
+        '',
+        `namespace ${namespace}`,
+        '{',
+        `    /// <summary>Fields of an item in dataset '${meta.id}'.</summary>`,
+        `    public class ${dataType}`,
+        '    {',
+        ...csharpProperties(fields, dataType).flatMap((lines, index) => (index > 0 ? ['', ...lines] : lines)),
+        '    }',
+        '',
+        `    public class ${itemType}`,
+        '    {',
+        '        [JsonPropertyName("id")]',
+        '        public string Id { get; set; } = "";',
+        '',
+        '        [JsonPropertyName("name")]',
+        '        public string Name { get; set; } = "";',
+        '',
+        '        [JsonPropertyName("data")]',
+        `        public ${dataType} Data { get; set; } = new();`,
+        '',
+        '        [JsonPropertyName("isArchived")]',
+        '        public bool IsArchived { get; set; }',
+        '    }',
+        '}',
+        '',
+    ];
+
+    const defaults = Object.fromEntries(endpointDefaults(apiSpec));
+    const client = [
+        ...header('//', meta, 'csharp'),
+        '#nullable enable',
+        'using System;',
+        'using System.Collections.Generic;',
+        'using System.Net.Http;',
+        'using System.Net.Http.Json;',
+        'using System.Text.Json;',
+        'using System.Text.RegularExpressions;',
+        'using System.Threading;',
+        'using System.Threading.Tasks;',
+        '',
+        `namespace ${namespace}`,
+        '{',
+        `    public class ${clientName}Endpoints`,
+        '    {',
+        ...ENDPOINTS.map(key => `        public string? ${toPascalCase(key)} { get; set; } = ${csharpString(defaults[key])};`),
+        '    }',
+        '',
+        `    /// <summary>Client for the public read endpoints of dataset '${meta.id}'.</summary>`,
+        `    public class ${clientName}`,
+        '    {',
+        '        private static readonly JsonSerializerOptions JsonOptions = new(JsonSerializerDefaults.Web);',
+        '        private readonly HttpClient _http;',
+        `        private readonly ${clientName}Endpoints _endpoints;`,
+        '',
+        '        /// <param name="apiKey">Sent as X-Api-Key when the endpoints require a key.</param>',
+        `        public ${clientName}(HttpClient http, string? apiKey = null, ${clientName}Endpoints? endpoints = null)`,
+        '        {',
+        '            _http = http;',
+        `            _endpoints = endpoints ?? new ${clientName}Endpoints();`,
+        '            if (apiKey != null) _http.DefaultRequestHeaders.Add("X-Api-Key", apiKey);',
+        '        }',
+        '',
+        `        public async Task<List<${itemType}>> ListAsync(int skip = 0, int limit = 100, bool includeArchived = false, CancellationToken cancellationToken = default)`,
+        '        {',
+        '            var url = $"{Endpoint(_endpoints.ListItemsUrl, "list items")}?skip={skip}&limit={limit}&includeArchived={includeArchived.ToString().ToLowerInvariant()}";',
+        '            return Unwrap(await _http.GetFromJsonAsync<JsonElement>(url, JsonOptions, cancellationToken));',
+        '        }',
+        '',
+        `        public async Task<${itemType}?> GetAsync(string id, CancellationToken cancellationToken = default)`,
+        '        {',
+        '            var url = FillItemUrl(Endpoint(_endpoints.GetItemByIdUrl, "get item"), id);',
+        `            return await _http.GetFromJsonAsync<${itemType}>(url, JsonOptions, cancellationToken);`,
+        '        }',
+        '',
+        `        public async Task<List<${itemType}>> SearchAsync(string searchTerm, int skip = 0, int limit = 100, CancellationToken cancellationToken = default)`,
+        '        {',
+        '            var url = $"{Endpoint(_endpoints.SearchItemsUrl, "search")}?searchTerm={Uri.EscapeDataString(searchTerm)}&skip={skip}&limit={limit}";',
+        '            return Unwrap(await _http.GetFromJsonAsync<JsonElement>(url, JsonOptions, cancellationToken));',
+        '        }',
+        '',
+        `        public async Task<List<${itemType}>> GetByIdsAsync(IEnumerable<string> ids, CancellationToken cancellationToken = default)`,
+        '        {',
+        '            var response = await _http.PostAsJsonAsync(Endpoint(_endpoints.SearchItemsByIdsUrl, "search by IDs"), new { ids }, JsonOptions, cancellationToken);',
+        '            response.EnsureSuccessStatusCode();',
+        '            return Unwrap(await response.Content.ReadFromJsonAsync<JsonElement>(JsonOptions, cancellationToken));',
+        '        }',
+        '',
+        '        private static string Endpoint(string? url, string operation) =>',
+        `            url ?? throw new InvalidOperationException($"Dataset '${meta.id}' does not expose a {operation} endpoint.");`,
+        '',
+        '        // Item URLs are either templates ("/items/{id}") or a base URL to append the ID to',
+        '        private static string FillItemUrl(string template, string id)',
+        '        {',
+        '            var encoded = Uri.EscapeDataString(id);',
+        '            var pattern = new Regex(@"\\{(id|itemId)\\}", RegexOptions.IgnoreCase);',
+        '            return pattern.IsMatch(template) ? pattern.Replace(template, encoded) : $"{template.TrimEnd(\'/\')}/{encoded}";',
+        '        }',
+        '',
+        '        // Accept both a plain array and a paged wrapper ({ "items": [...] })',
+        `        private static List<${itemType}> Unwrap(JsonElement body)`,
+        '        {',
+        '            var items = body.ValueKind == JsonValueKind.Object && body.TryGetProperty("items", out var wrapped) ? wrapped : body;',
+        `            return items.ValueKind == JsonValueKind.Array ? items.Deserialize<List<${itemType}>>(JsonOptions) ?? new() : new();`,
+        '        }',
+        '    }',
+        '}',
+        '',
+    ];
+
+    return [
+        { fileName: `${itemType}.cs`, content: types.join('\n') },
+        { fileName: `${clientName}.cs`, content: client.join('\n') },
+    ];
+}
+
+const GENERATORS = {
+    ts: generateTypeScript,
+    js: generateJavaScript,
+    csharp: generateCSharp,
+};
+
+export const getCodegenLanguages = () => Object.keys(GENERATORS);
+
+/**
+ * Generate client files for a dataset.
+ * @param {string} lang - ts, js or csharp
+ * @param {object} meta - dataset metadata (dataset get-meta)
+ * @param {object} apiSpec - endpoint URLs (dataset get-api)
+ * @param {{ namespace?: string }} [options] - C# namespace
+ * @returns {{ fileName: string, content: string }[]}
+ */
+export function generateClient(lang, meta, apiSpec, options = {}) {
+    const generate = GENERATORS[lang];
+    if (!generate) {
+        throw new Error(`Unsupported language '${lang}'. Expected one of: ${getCodegenLanguages().join(', ')}`);
+    }
+    const fields = (meta.fields || []).map(normalizeField);
+    return generate(meta, apiSpec, fields, options);
+}
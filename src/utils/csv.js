@@ -0,0 +1,91 @@
+/**
+ * Quote a single CSV cell (RFC 4180). Objects and arrays are written as JSON.
+ * @param {any} value
+ * @returns {string}
+ */
+export function formatCsvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Collect the column names of a list of rows, in order of first appearance.
+ * @param {object[]} rows
+ * @returns {string[]}
+ */
+export function collectCsvColumns(rows) {
+    const columns = new Set();
+    rows.forEach(row => Object.keys(row).forEach(key => columns.add(key)));
+    return Array.from(columns);
+}
+
+/**
+ * Serialize data as CSV. Arrays of objects become one row per element, a single
+ * object becomes one row, and primitives are written under a "value" column.
+ * @param {any} data
+ * @param {string[]} [columns] - explicit column order (defaults to all keys seen)
+ * @returns {string}
+ */
+export function toCsv(data, columns) {
+    const list = Array.isArray(data) ? data : [data];
+    const rows = list.map(entry => (entry !== null && typeof entry === 'object' && !Array.isArray(entry))
+        ? entry
+        : { value: entry });
+    const header = columns || collectCsvColumns(rows);
+
+    const lines = [header.map(formatCsvCell).join(',')];
+    rows.forEach(row => lines.push(header.map(column => formatCsvCell(row[column])).join(',')));
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180: quoted cells may contain delimiters,
+ * doubled quotes and line breaks). Blank lines are skipped.
+ * @param {string} text
+ * @param {{ delimiter?: string }} [options]
+ * @returns {string[][]}
+ */
+export function parseCsv(text, { delimiter = ',' } = {}) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    const endRow = () => {
+        row.push(cell);
+        if (row.length > 1 || row[0] !== '') rows.push(row);
+        row = [];
+        cell = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+    if (inQuotes) {
+        throw new Error('Unterminated quoted cell at end of input.');
+    }
+    if (cell !== '' || row.length > 0) endRow();
+
+    return rows;
+}
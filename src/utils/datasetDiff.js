@@ -0,0 +1,133 @@
+/**
+ * JSON.stringify with object keys sorted, so equal values always serialize the same way.
+ * @param {any} value
+ * @returns {string}
+ */
+export function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+/**
+ * Read a field definition in either camelCase (API responses, manifests) or PascalCase (create payloads).
+ * @param {object} field
+ * @returns {{ name: string, dataType: string, isId: boolean, isName: boolean, isRequired: boolean }}
+ */
+export function normalizeField(field) {
+    return {
+        name: field.name ?? field.Name,
+        dataType: field.dataType ?? field.DataType ?? 'Unknown',
+        isId: Boolean(field.isId ?? field.IsId),
+        isName: Boolean(field.isName ?? field.IsName),
+        isRequired: Boolean(field.isRequired ?? field.IsRequired),
+    };
+}
+
+/**
+ * Compare two field lists by name.
+ * @param {object[]} currentFields
+ * @param {object[]} desiredFields
+ * @returns {{ added: object[], removed: object[], retyped: { name: string, from: string, to: string }[], changed: { name: string, property: string, from: any, to: any }[] }}
+ */
+export function diffFields(currentFields = [], desiredFields = []) {
+    const current = new Map(currentFields.map(normalizeField).map(f => [f.name, f]));
+    const desired = new Map(desiredFields.map(normalizeField).map(f => [f.name, f]));
+    const result = { added: [], removed: [], retyped: [], changed: [] };
+
+    desired.forEach((field, name) => {
+        const existing = current.get(name);
+        if (!existing) {
+            result.added.push(field);
+            return;
+        }
+        if (existing.dataType !== field.dataType) {
+            result.retyped.push({ name, from: existing.dataType, to: field.dataType });
+        }
+        ['isId', 'isName', 'isRequired'].forEach(property => {
+            if (existing[property] !== field[property]) {
+                result.changed.push({ name, property, from: existing[property], to: field[property] });
+            }
+        });
+    });
+    current.forEach((field, name) => {
+        if (!desired.has(name)) result.removed.push(field);
+    });
+
+    return result;
+}
+
+/**
+ * Read a dataset item in either camelCase or PascalCase.
+ * @param {object} item
+ * @returns {{ id: string, name: string, data: object, isArchived: boolean }}
+ */
+export function normalizeItem(item) {
+    return {
+        id: String(item.id ?? item.Id),
+        name: item.name ?? item.Name ?? '',
+        data: item.data ?? item.Data ?? {},
+        isArchived: Boolean(item.isArchived ?? item.IsArchived),
+    };
+}
+
+/**
+ * List the value differences between two versions of an item, as paths ("name", "data.population").
+ * @param {object} before - normalized item
+ * @param {object} after - normalized item
+ * @returns {{ path: string, from: any, to: any }[]}
+ */
+export function diffItemValues(before, after) {
+    const changes = [];
+    if (before.name !== after.name) {
+        changes.push({ path: 'name', from: before.name, to: after.name });
+    }
+    const keys = new Set([...Object.keys(before.data), ...Object.keys(after.data)]);
+    keys.forEach(key => {
+        if (stableStringify(before.data[key]) !== stableStringify(after.data[key])) {
+            changes.push({ path: `data.${key}`, from: before.data[key], to: after.data[key] });
+        }
+    });
+    return changes;
+}
+
+/**
+ * Compare two item collections by ID.
+ * @param {Iterable<object>} currentItems
+ * @param {Iterable<object>} desiredItems
+ * @returns {{ added: object[], removed: object[], changed: { id: string, before: object, after: object, changes: object[] }[], unchanged: number }}
+ */
+export function diffItems(currentItems, desiredItems) {
+    const current = new Map();
+    for (const item of currentItems) {
+        const normalized = normalizeItem(item);
+        current.set(normalized.id, normalized);
+    }
+
+    const result = { added: [], removed: [], changed: [], unchanged: 0 };
+    const seen = new Set();
+    for (const item of desiredItems) {
+        const after = normalizeItem(item);
+        seen.add(after.id);
+        const before = current.get(after.id);
+        if (!before) {
+            result.added.push(after);
+            continue;
+        }
+        const changes = diffItemValues(before, after);
+        if (changes.length > 0) {
+            result.changed.push({ id: after.id, before, after, changes });
+        } else {
+            result.unchanged++;
+        }
+    }
+    current.forEach((item, id) => {
+        if (!seen.has(id)) result.removed.push(item);
+    });
+
+    return result;
+}
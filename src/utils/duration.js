@@ -0,0 +1,66 @@
+const UNITS = {
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000,
+    y: 365 * 24 * 60 * 60 * 1000,
+};
+
+const DURATION_RE = /^(\d+(?:\.\d+)?)\s*(m|h|d|w|y)$/i;
+
+/**
+ * Parse a duration such as "90m", "12h", "7d", "2w" or "1y" (m is minutes). A bare number is days.
+ * @param {string} value
+ * @returns {number} milliseconds
+ */
+export function parseDuration(value) {
+    const text = String(value).trim();
+    if (/^\d+(\.\d+)?$/.test(text)) return Number(text) * UNITS.d;
+    const match = text.match(DURATION_RE);
+    if (!match) {
+        throw new Error(`Invalid duration '${value}'. Use a number with a unit, e.g. 90m, 12h, 7d, 2w or 1y.`);
+    }
+    return Number(match[1]) * UNITS[match[2].toLowerCase()];
+}
+
+/**
+ * Short, rounded description of a time span: "45m", "5h", "3d", "2w", "1y".
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatDuration(ms) {
+    const abs = Math.abs(ms);
+    if (abs < UNITS.h) return `${Math.max(1, Math.round(abs / UNITS.m))}m`;
+    if (abs < UNITS.d) return `${Math.round(abs / UNITS.h)}h`;
+    if (abs < 4 * UNITS.w) return `${Math.round(abs / UNITS.d)}d`;
+    if (abs < 52 * UNITS.w) return `${Math.round(abs / UNITS.w)}w`;
+    return `${Math.round(abs / UNITS.y)}y`;
+}
+
+/**
+ * Describe an expiry date relative to now: "expires in 3d", "expired 2h ago" or "no expiry".
+ * @param {string|null} expiresAt - ISO date
+ * @param {number} [now]
+ * @returns {string}
+ */
+export function describeExpiry(expiresAt, now = Date.now()) {
+    const time = expiresAt ? Date.parse(expiresAt) : NaN;
+    if (Number.isNaN(time)) return 'no expiry';
+    const remaining = time - now;
+    return remaining <= 0 ? `expired ${formatDuration(remaining)} ago` : `expires in ${formatDuration(remaining)}`;
+}
+
+// Default window for API key expiry warnings (api-key expiring, auth status)
+export const EXPIRY_WARNING_WINDOW = '7d';
+
+/**
+ * Whether an expiry date falls within a window from now (already expired counts).
+ * @param {string|null} expiresAt - ISO date
+ * @param {number} windowMs
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function isExpiringWithin(expiresAt, windowMs, now = Date.now()) {
+    const time = expiresAt ? Date.parse(expiresAt) : NaN;
+    return !Number.isNaN(time) && time - now <= windowMs;
+}
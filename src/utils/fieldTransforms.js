@@ -0,0 +1,229 @@
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+
+/**
+ * Transform steps run in order over each record before fields are discovered:
+ *
+ *   { op: 'rename', field, to }              move a field to a new name, keeping its position
+ *   { op: 'trim' | 'lowercase' | 'uppercase', field }   field '*' applies to every text value
+ *   { op: 'cast', field, to }                to Number ("1,234"), Boolean, Date, Text or List
+ *   { op: 'default', field, value }          fill missing, null or empty values
+ *   { op: 'compute', field, template }       e.g. template '{iso2}-{iso3}'
+ *
+ * Inline steps use the form `op:field[=argument]`, e.g. `rename:Country_Name=name`.
+ */
+const OPERATIONS = {
+    rename: { argument: 'to', required: true },
+    trim: {},
+    lowercase: {},
+    uppercase: {},
+    cast: { argument: 'to', required: true },
+    default: { argument: 'value', required: true },
+    compute: { argument: 'template', required: true },
+};
+
+export const CAST_TYPES = ['Number', 'Boolean', 'Date', 'Text', 'List'];
+
+export const getTransformOperations = () => Object.keys(OPERATIONS);
+
+/**
+ * Check a transform step and normalize it (cast types are matched case-insensitively).
+ * @param {object} step
+ * @returns {object}
+ */
+export function normalizeTransform(step) {
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+        throw new Error(`Invalid transform ${JSON.stringify(step)}: expected an object with 'op' and 'field'.`);
+    }
+    const operation = OPERATIONS[step.op];
+    if (!operation) {
+        throw new Error(`Unknown transform '${step.op}'. Expected one of: ${getTransformOperations().join(', ')}`);
+    }
+    if (typeof step.field !== 'string' || !step.field) {
+        throw new Error(`Transform '${step.op}' needs a 'field'.`);
+    }
+    if (step.field === '*' && !['trim', 'lowercase', 'uppercase'].includes(step.op)) {
+        throw new Error(`Transform '${step.op}' cannot be applied to every field ('*').`);
+    }
+    if (operation.required && (step[operation.argument] === undefined || step[operation.argument] === '')) {
+        throw new Error(`Transform '${step.op}' on '${step.field}' needs '${operation.argument}'.`);
+    }
+
+    const normalized = { op: step.op, field: step.field };
+    if (operation.argument) normalized[operation.argument] = step[operation.argument];
+    if (step.op === 'cast') {
+        normalized.to = CAST_TYPES.find(type => type.toLowerCase() === String(step.to).toLowerCase());
+        if (!normalized.to) {
+            throw new Error(`Cannot cast '${step.field}' to '${step.to}'. Expected one of: ${CAST_TYPES.join(', ')}`);
+        }
+    }
+    return normalized;
+}
+
+/**
+ * Parse an inline transform, `op:field[=argument]`.
+ * @param {string} spec
+ * @returns {object}
+ */
+export function parseTransform(spec) {
+    const separator = spec.indexOf(':');
+    if (separator <= 0) {
+        throw new Error(`Invalid transform '${spec}'. Expected op:field[=argument], e.g. rename:Country_Name=name`);
+    }
+    const op = spec.slice(0, separator);
+    const rest = spec.slice(separator + 1);
+    const equals = rest.indexOf('=');
+    const field = equals >= 0 ? rest.slice(0, equals) : rest;
+    const argument = equals >= 0 ? rest.slice(equals + 1) : undefined;
+
+    const step = { op, field };
+    const argumentName = OPERATIONS[op]?.argument;
+    if (argumentName) {
+        // Inline defaults are text unless they are clearly a number or boolean
+        step[argumentName] = op === 'default' && argument !== undefined && /^(-?\d+(\.\d+)?|true|false)$/.test(argument)
+            ? JSON.parse(argument)
+            : argument;
+    }
+    return normalizeTransform(step);
+}
+
+/**
+ * The inline form of a transform step, for listings and saved answers.
+ * @param {object} step
+ * @returns {string}
+ */
+export function describeTransform(step) {
+    const argumentName = OPERATIONS[step.op]?.argument;
+    return argumentName ? `${step.op}:${step.field}=${step[argumentName]}` : `${step.op}:${step.field}`;
+}
+
+/**
+ * Load transform steps from a mapping file (JSON or YAML): a list of steps,
+ * or an object with a `transforms` list.
+ * @param {string} filePath
+ * @returns {object[]}
+ */
+export function loadTransformFile(filePath) {
+    const absolutePath = path.resolve(process.cwd(), filePath);
+    let parsed;
+    try {
+        const content = fs.readFileSync(absolutePath, 'utf-8');
+        parsed = /\.ya?ml$/i.test(absolutePath) ? YAML.parse(content) : JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Failed to read mapping file ${filePath}: ${error.message}`);
+    }
+    const steps = Array.isArray(parsed) ? parsed : parsed?.transforms;
+    if (!Array.isArray(steps)) {
+        throw new Error(`Mapping file ${filePath} must contain a list of transforms or a 'transforms' list.`);
+    }
+    return steps.map(normalizeTransform);
+}
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+function castValue(value, type) {
+    switch (type) {
+        case 'Number': {
+            if (typeof value === 'number') return value;
+            // Thousands separators and spaces: "1,234", "1 234", "1_234"
+            const text = String(value).trim().replace(/[,_\s](?=\d{3}(\D|$))/g, '');
+            const number = text === '' ? NaN : Number(text);
+            if (Number.isNaN(number)) throw new Error('not a number');
+            return number;
+        }
+        case 'Boolean': {
+            if (typeof value === 'boolean') return value;
+            const text = String(value).trim().toLowerCase();
+            if (['true', 'yes', 'y', '1'].includes(text)) return true;
+            if (['false', 'no', 'n', '0'].includes(text)) return false;
+            throw new Error('not a boolean');
+        }
+        case 'Date': {
+            const text = String(value).trim();
+            const time = Date.parse(text);
+            if (Number.isNaN(time)) throw new Error('not a date');
+            const iso = new Date(time).toISOString();
+            // Keep plain dates as dates; Date.parse reads them as midnight UTC
+            return /^\d{4}-\d{2}-\d{2}$/.test(text) || iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+        }
+        case 'List':
+            return Array.isArray(value) ? value : String(value).split(',').map(part => part.trim()).filter(Boolean);
+        default:
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+}
+
+// Rebuild the record so a renamed field keeps its position
+function renameKey(record, from, to) {
+    if (!Object.hasOwnProperty.call(record, from) || from === to) return record;
+    const renamed = {};
+    Object.keys(record).forEach(key => {
+        if (key === from) renamed[to] = record[from];
+        else if (key !== to) renamed[key] = record[key];
+    });
+    return renamed;
+}
+
+function applyTextOperation(record, field, change) {
+    const fields = field === '*' ? Object.keys(record) : [field];
+    fields.forEach(name => {
+        if (typeof record[name] === 'string') record[name] = change(record[name]);
+    });
+}
+
+/**
+ * Run transform steps over records. The input records are not modified.
+ * Values that cannot be cast are left unchanged and reported once per step.
+ * @param {object[]} records
+ * @param {object[]} steps - normalized transform steps
+ * @returns {{ records: object[], warnings: string[] }}
+ */
+export function applyTransforms(records, steps) {
+    if (!steps || steps.length === 0 || !Array.isArray(records)) return { records, warnings: [] };
+    const failures = steps.map(() => ({ count: 0, first: null }));
+
+    const transformed = records.map((original, index) => {
+        if (!original || typeof original !== 'object' || Array.isArray(original)) return original;
+        let record = { ...original };
+        steps.forEach((step, stepIndex) => {
+            switch (step.op) {
+                case 'rename':
+                    record = renameKey(record, step.field, step.to);
+                    break;
+                case 'trim':
+                    applyTextOperation(record, step.field, value => value.trim());
+                    break;
+                case 'lowercase':
+                    applyTextOperation(record, step.field, value => value.toLowerCase());
+                    break;
+                case 'uppercase':
+                    applyTextOperation(record, step.field, value => value.toUpperCase());
+                    break;
+                case 'cast':
+                    if (isEmpty(record[step.field])) break;
+                    try {
+                        record[step.field] = castValue(record[step.field], step.to);
+                    } catch {
+                        failures[stepIndex].count++;
+                        failures[stepIndex].first ??= index;
+                    }
+                    break;
+                case 'default':
+                    if (isEmpty(record[step.field])) record[step.field] = step.value;
+                    break;
+                case 'compute': {
+                    const value = step.template.replace(/\{([^{}]+)\}/g, (_, name) => (isEmpty(record[name]) ? '' : String(record[name])));
+                    if (value !== '') record[step.field] = value;
+                    break;
+                }
+            }
+        });
+        return record;
+    });
+
+    const warnings = failures.flatMap(({ count, first }, stepIndex) => (count > 0
+        ? [`${describeTransform(steps[stepIndex])}: ${count} value(s) could not be converted and were left unchanged (first at index ${first}).`]
+        : []));
+    return { records: transformed, warnings };
+}
@@ -0,0 +1,159 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { parseCsv } from './csv.js';
+import { readXlsxRows, readXlsxSheetNames } from './xlsxReader.js';
+
+const readers = new Map();
+
+/**
+ * Register a reader that turns a file into an array of records for field discovery.
+ * @param {string} format - name used with --format
+ * @param {{ extensions: string[], read: (absolutePath: string, options: object) => Promise<any> }} reader
+ */
+export function registerInputReader(format, { extensions, read }) {
+    readers.set(format, { extensions: extensions.map(ext => ext.toLowerCase()), read });
+}
+
+/**
+ * Names of the registered input formats.
+ * @returns {string[]}
+ */
+export const getInputFormats = () => Array.from(readers.keys());
+
+/**
+ * Guess the input format from the file extension (JSON when unknown).
+ * @param {string} filePath
+ * @returns {string}
+ */
+export function detectInputFormat(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    for (const [format, reader] of readers) {
+        if (reader.extensions.includes(extension)) return format;
+    }
+    return 'json';
+}
+
+/**
+ * Read a data file into records.
+ * @param {string} filePath
+ * @param {object} [options]
+ * @param {string} [options.format] - defaults to detectInputFormat
+ * @param {string} [options.delimiter] - CSV/TSV cell delimiter (CSV auto-detects , ; | or tab)
+ * @param {boolean} [options.header=true] - CSV/TSV/XLSX: first row holds column names
+ * @param {string} [options.encoding='utf-8'] - text encoding (any WHATWG label, e.g. latin1, utf-16le)
+ * @param {string} [options.sheet] - XLSX worksheet name (defaults to the first sheet)
+ * @returns {Promise<any>} normally an array of objects; validated by jsonProcessor.processRecords
+ */
+export async function readRecords(filePath, options = {}) {
+    const format = options.format || detectInputFormat(filePath);
+    const reader = readers.get(format);
+    if (!reader) {
+        throw new Error(`Unsupported input format '${format}'. Supported formats: ${getInputFormats().join(', ')}`);
+    }
+    const absolutePath = path.resolve(process.cwd(), filePath);
+    return reader.read(absolutePath, { header: true, encoding: 'utf-8', ...options });
+}
+
+/**
+ * Worksheet names of an XLSX file, for choosing one to import.
+ * @param {string} filePath
+ * @returns {Promise<string[]>}
+ */
+export async function listSheets(filePath) {
+    return readXlsxSheetNames(await fs.readFile(path.resolve(process.cwd(), filePath)));
+}
+
+async function readText(absolutePath, encoding) {
+    let decoder;
+    try {
+        decoder = new TextDecoder(encoding); // Strips a byte order mark
+    } catch {
+        throw new Error(`Unsupported encoding '${encoding}'.`);
+    }
+    return decoder.decode(await fs.readFile(absolutePath));
+}
+
+// CSV cells are text; turn unambiguous numbers and booleans back into values.
+// Numbers with leading zeros (postcodes, codes) stay text.
+function coerceCell(value) {
+    if (/^(true|false)$/i.test(value)) return value.toLowerCase() === 'true';
+    if (/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(value)) {
+        const number = Number(value);
+        if (Number.isFinite(number) && (!Number.isInteger(number) || Number.isSafeInteger(number))) return number;
+    }
+    return value;
+}
+
+/**
+ * Turn rows of cells into records keyed by column name. Empty cells are left out,
+ * so field discovery sees them as missing.
+ * @param {any[][]} rows
+ * @param {{ header?: boolean, coerce?: boolean }} [options]
+ * @returns {object[]}
+ */
+export function rowsToRecords(rows, { header = true, coerce = false } = {}) {
+    const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+    const seen = new Map();
+    const columns = Array.from({ length: width }, (_, index) => {
+        let name = header && rows[0][index] !== null && rows[0][index] !== undefined ? String(rows[0][index]).trim() : '';
+        if (!name) name = `column${index + 1}`;
+        const count = (seen.get(name) || 0) + 1;
+        seen.set(name, count);
+        return count > 1 ? `${name}_${count}` : name;
+    });
+
+    return (header ? rows.slice(1) : rows).map(row => {
+        const record = {};
+        columns.forEach((column, index) => {
+            const value = row[index];
+            if (value === null || value === undefined || value === '') return;
+            record[column] = coerce && typeof value === 'string' ? coerceCell(value) : value;
+        });
+        return record;
+    });
+}
+
+function detectDelimiter(text) {
+    const firstLine = text.slice(0, text.search(/\r?\n|$/));
+    const candidates = [',', ';', '\t', '|'];
+    const counts = candidates.map(candidate => firstLine.split(candidate).length - 1);
+    const best = counts.indexOf(Math.max(...counts));
+    return counts[best] > 0 ? candidates[best] : ',';
+}
+
+const readDelimited = (defaultDelimiter) => async (absolutePath, { delimiter, header, encoding }) => {
+    const text = await readText(absolutePath, encoding);
+    const rows = parseCsv(text, { delimiter: delimiter || defaultDelimiter || detectDelimiter(text) });
+    return rowsToRecords(rows, { header, coerce: true });
+};
+
+registerInputReader('json', {
+    extensions: ['.json'],
+    read: async (absolutePath, { encoding }) => JSON.parse(await readText(absolutePath, encoding)),
+});
+
+registerInputReader('ndjson', {
+    extensions: ['.ndjson', '.jsonl'],
+    read: async (absolutePath, { encoding }) => {
+        const lines = (await readText(absolutePath, encoding)).split(/\r?\n/);
+        const records = [];
+        lines.forEach((line, index) => {
+            if (!line.trim()) return;
+            try {
+                records.push(JSON.parse(line));
+            } catch (error) {
+                throw new Error(`Invalid JSON at line ${index + 1}: ${error.message}`);
+            }
+        });
+        return records;
+    },
+});
+
+registerInputReader('csv', { extensions: ['.csv'], read: readDelimited() });
+
+registerInputReader('tsv', { extensions: ['.tsv', '.tab'], read: readDelimited('\t') });
+
+registerInputReader('xlsx', {
+    extensions: ['.xlsx'],
+    read: async (absolutePath, { header, sheet }) => rowsToRecords(await readXlsxRows(await fs.readFile(absolutePath), sheet), { header }),
+});
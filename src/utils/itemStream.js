@@ -0,0 +1,120 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Stream the entries of a JSON array file or an NDJSON file without loading it into memory.
+ * The format is detected from the first non-whitespace character ('[' means a JSON array).
+ *
+ * @param {string} filePath
+ * @param {{ onProgress?: (bytesRead: number, totalBytes: number) => void }} [options]
+ * @returns {AsyncGenerator<any>} parsed entries in file order
+ */
+export async function* readJsonItems(filePath, { onProgress } = {}) {
+    const absolutePath = path.resolve(process.cwd(), filePath);
+    const totalBytes = fs.statSync(absolutePath).size;
+    const stream = fs.createReadStream(absolutePath, { encoding: 'utf-8' });
+
+    let format = null;
+    let bytesRead = 0;
+    const parser = { buffer: '', depth: 0, inString: false, escaped: false, line: 1, entryCount: 0 };
+
+    for await (const chunk of stream) {
+        bytesRead += Buffer.byteLength(chunk, 'utf-8');
+
+        let text = chunk;
+        if (!format) {
+            text = text.replace(/^\uFEFF/, '');
+            const firstChar = text.trimStart()[0];
+            if (!firstChar) continue;
+            format = firstChar === '[' ? 'array' : 'ndjson';
+            if (format === 'array') {
+                text = text.trimStart().slice(1);
+            }
+        }
+
+        const entries = format === 'array'
+            ? splitArrayEntries(parser, text)
+            : splitLines(parser, text);
+        for (const entry of entries) {
+            yield entry;
+        }
+        if (onProgress) onProgress(bytesRead, totalBytes);
+    }
+
+    // NDJSON files don't need a trailing newline
+    if (format === 'ndjson' && parser.buffer.trim()) {
+        yield parseEntry(parser.buffer, `line ${parser.line}`);
+    } else if (format === 'array' && parser.depth !== -1) {
+        throw new Error('Invalid JSON: the array is not closed.');
+    }
+}
+
+function parseEntry(text, location) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid JSON at ${location}: ${error.message}`);
+    }
+}
+
+function splitLines(parser, text) {
+    const entries = [];
+    const lines = (parser.buffer + text).split('\n');
+    parser.buffer = lines.pop();
+    for (const line of lines) {
+        if (line.trim()) {
+            entries.push(parseEntry(line, `line ${parser.line}`));
+        }
+        parser.line++;
+    }
+    return entries;
+}
+
+// Collect top-level array elements character by character; depth -1 marks the closing bracket
+function splitArrayEntries(parser, text) {
+    const entries = [];
+    let start = 0;
+    let index = 0;
+
+    const flush = (end) => {
+        const entryText = (parser.buffer + text.slice(start, end)).trim();
+        parser.buffer = '';
+        start = end + 1;
+        if (entryText) {
+            parser.entryCount++;
+            entries.push(parseEntry(entryText, `array element ${parser.entryCount}`));
+        }
+    };
+
+    for (; index < text.length; index++) {
+        const char = text[index];
+        if (parser.depth === -1) {
+            if (!/\s/.test(char)) throw new Error('Invalid JSON: unexpected content after the closing bracket.');
+            continue;
+        }
+        if (parser.inString) {
+            if (parser.escaped) parser.escaped = false;
+            else if (char === '\\') parser.escaped = true;
+            else if (char === '"') parser.inString = false;
+            continue;
+        }
+        if (char === '"') parser.inString = true;
+        else if (char === '{' || char === '[') parser.depth++;
+        else if (char === '}') parser.depth--;
+        else if (char === ']') {
+            if (parser.depth === 0) {
+                flush(index);
+                parser.depth = -1;
+                continue;
+            }
+            parser.depth--;
+        } else if (char === ',' && parser.depth === 0) {
+            flush(index);
+        }
+    }
+
+    if (parser.depth !== -1) {
+        parser.buffer += text.slice(start);
+    }
+    return entries;
+}
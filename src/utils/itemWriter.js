@@ -0,0 +1,123 @@
+import fs from 'fs';
+import path from 'path';
+import { formatCsvCell } from './csv.js';
+
+export const EXPORT_FORMATS = ['json', 'ndjson', 'csv'];
+
+/**
+ * Normalize a dataset item from the API into the shape accepted by `item add-bulk`.
+ * @param {object} item
+ * @param {boolean} includeArchived - keep the isArchived flag
+ * @returns {{ id: string, name: string, data: object, isArchived?: boolean }}
+ */
+export function toPortableItem(item, includeArchived) {
+    const portable = {
+        id: item.id ?? item.Id,
+        name: item.name ?? item.Name,
+        data: item.data ?? item.Data ?? {},
+    };
+    if (includeArchived) {
+        portable.isArchived = Boolean(item.isArchived ?? item.IsArchived);
+    }
+    return portable;
+}
+
+/**
+ * Create a streaming writer for dataset items.
+ *
+ * - json: an array of items, or a full `dataset create` definition when `definition` is given
+ * - ndjson: one item per line
+ * - csv: id, name (and isArchived) followed by one column per data field
+ *
+ * Items go to a temporary file next to `filePath`, which replaces it on end(); abort() removes it,
+ * so a failed export never leaves a truncated file or clobbers an existing one.
+ *
+ * @param {string} filePath
+ * @param {string} format - one of EXPORT_FORMATS
+ * @param {{ columns?: string[], includeArchived?: boolean, definition?: object }} [options]
+ * @returns {{ write: (item: object) => Promise<void>, end: () => Promise<void>, abort: () => Promise<void> }}
+ */
+export function createItemWriter(filePath, format, { columns = [], includeArchived = false, definition } = {}) {
+    const absolutePath = path.resolve(process.cwd(), filePath);
+    const tempPath = path.join(path.dirname(absolutePath), `.${path.basename(absolutePath)}.${process.pid}.tmp`);
+    let count = 0;
+
+    // Respect backpressure so large exports don't buffer in memory
+    const push = (chunk) => new Promise((resolve, reject) => {
+        stream.once('error', reject);
+        if (stream.write(chunk)) {
+            stream.off('error', reject);
+            resolve();
+        } else {
+            stream.once('drain', () => {
+                stream.off('error', reject);
+                resolve();
+            });
+        }
+    });
+
+    const baseColumns = includeArchived ? ['id', 'name', 'isArchived'] : ['id', 'name'];
+
+    const writers = {
+        json: {
+            start: () => definition
+                ? `${JSON.stringify(definition, null, 2).replace(/\n}$/, '')},\n  "items": {`
+                : '[',
+            item: (item) => {
+                const separator = count > 0 ? ',' : '';
+                if (definition) {
+                    const entry = { Id: item.id, Name: item.name, Data: item.data, IsArchived: Boolean(item.isArchived) };
+                    return `${separator}\n    ${JSON.stringify(String(item.id))}: ${JSON.stringify(entry)}`;
+                }
+                return `${separator}\n  ${JSON.stringify(item)}`;
+            },
+            end: () => definition ? '\n  }\n}\n' : '\n]\n',
+        },
+        ndjson: {
+            start: () => '',
+            item: (item) => `${JSON.stringify(item)}\n`,
+            end: () => '',
+        },
+        csv: {
+            start: () => `${[...baseColumns, ...columns].map(formatCsvCell).join(',')}\n`,
+            item: (item) => {
+                const cells = baseColumns.map(column => item[column])
+                    .concat(columns.map(column => item.data[column]));
+                return `${cells.map(formatCsvCell).join(',')}\n`;
+            },
+            end: () => '',
+        },
+    };
+
+    const writer = writers[format];
+    if (!writer) {
+        throw new Error(`Unsupported format '${format}'. Expected one of: ${EXPORT_FORMATS.join(', ')}`);
+    }
+    const stream = fs.createWriteStream(tempPath, { encoding: 'utf-8' });
+
+    let started = false;
+    return {
+        async write(item) {
+            if (!started) {
+                started = true;
+                await push(writer.start());
+            }
+            await push(writer.item(item));
+            count++;
+        },
+        async end() {
+            if (!started) await push(writer.start());
+            await push(writer.end());
+            await new Promise((resolve, reject) => {
+                stream.once('error', reject);
+                stream.end(resolve);
+            });
+            await fs.promises.rename(tempPath, absolutePath);
+        },
+        async abort() {
+            // Let pending writes finish; errors no longer matter as the file is discarded
+            if (!stream.closed) await new Promise(resolve => stream.on('error', () => {}).once('close', resolve).end());
+            await fs.promises.rm(tempPath, { force: true });
+        },
+    };
+}
@@ -1,23 +1,40 @@
+import { printError } from './outputFormatter.js';
+
 export function validateAndProcessJson(state) {
     if (!state.jsonContent) {
         printError("No JSON content provided or downloaded.");
         return false;
     }
+    let parsed;
     try {
-        const parsed = JSON.parse(state.jsonContent);
+        parsed = JSON.parse(state.jsonContent);
+    } catch (e) {
+        printError(`JSON Parsing Error: ${e.message}`);
+        return false;
+    }
+    return processRecords(state, parsed);
+}
 
+/**
+ * Validate already-parsed records (from any input reader) and discover their fields.
+ * Sets state.parsedJson, state.itemCount and state.fields.
+ * @param {object} state - wizard state
+ * @param {any} parsed - should be a non-empty array of objects
+ * @returns {boolean}
+ */
+export function processRecords(state, parsed) {
+    try {
         if (!Array.isArray(parsed)) {
             printError('Validation Error: Input must be a JSON array.');
             return false;
         }
         if (parsed.length === 0) {
-            printError('Validation Error: JSON array cannot be empty.');
+            printError('Validation Error: The input contains no records.');
             return false;
         }
 
         state.parsedJson = parsed; // Store the parsed array for later use
         state.itemCount = parsed.length;
-        const fieldsDict = new Map(); // Use Map for efficient property checking and storage
 
         for (let i = 0; i < parsed.length; i++) {
             const item = parsed[i];
@@ -26,84 +43,235 @@ export function validateAndProcessJson(state) {
                 printError(`Validation Error: Item at index ${i} is not a valid JSON object.`);
                 return false;
             }
-
-            // Discover fields and collect samples from this item
-            for (const key in item) {
-                if (Object.hasOwnProperty.call(item, key)) {
-                    const value = item[key];
-                    if (!fieldsDict.has(key)) {
-                        // Initialize field definition on first encounter
-                        fieldsDict.set(key, {
-                            name: key,
-                            dataType: determineDataType(value),
-                            sampleValues: new Set(), // Use Set for unique samples
-                            isId: false,
-                            isName: false,
-                            isIncluded: true, // Default to included
-                        });
-                    }
-                    const field = fieldsDict.get(key);
-
-                    // Collect up to 3 unique, non-empty sample values
-                    if (field.sampleValues.size < 3) {
-                        const sample = getSampleValue(value);
-                        if (sample !== null && sample !== undefined && sample !== '') {
-                            field.sampleValues.add(sample);
-                        }
-                    }
-
-                    // Basic type consistency check (can be expanded)
-                    const currentType = determineDataType(value);
-                    if (field.dataType === 'Unknown' && currentType !== 'Unknown') {
-                        field.dataType = currentType;
-                    }
-                }
-            }
         }
 
-        if (fieldsDict.size === 0) {
-            printError('Validation Error: No fields found across all items in the JSON array.');
+        state.fields = profileFields(parsed).map(field => ({
+            ...field,
+            isId: false,
+            isName: false,
+            isIncluded: true, // Default to included
+        }));
+
+        if (state.fields.length === 0) {
+            printError('Validation Error: No fields found across all records.');
             return false;
         }
 
-        // Convert the collected field definitions (from Map values) to an array
-        // Also convert the Set of sampleValues to an array for easier use
-        state.fields = Array.from(fieldsDict.values()).map(f => ({
-            ...f,
-            sampleValues: Array.from(f.sampleValues)
-        }));
-
         return true; // Validation and processing successful
 
     } catch (e) {
-        printError(`JSON Parsing Error: ${e.message}`);
+        printError(`Processing Error: ${e.message}`);
         return false;
     }
 }
 
-// Helper to determine data type, mirroring Blazor logic
-export function determineDataType(value) {
-    const type = typeof value;
-    switch (type) {
-        case 'string':
-            // Basic date check
-            if (/\d{4}-\d{2}-\d{2}/.test(value) && !isNaN(Date.parse(value))) {
-                return 'Date';
-            }
-            return 'Text';
-        case 'number':
-            return 'Number';
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const DATE_LIKE_RE = /^(\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}|\d{1,2}\s+[a-z]{3,9}\.?\s+\d{4}|[a-z]{3,9}\.?\s+\d{1,2},?\s+\d{4})$/i;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const URL_RE = /^https?:\/\/\S+$/i;
+const MAX_NESTING_DEPTH = 3;
+
+/**
+ * Classify a single value for field profiling.
+ * @param {any} value
+ * @returns {'null'|'boolean'|'integer'|'decimal'|'isoDate'|'dateLike'|'email'|'url'|'text'|'list'|'object'}
+ */
+export function classifyValue(value) {
+    if (value === null || value === undefined || value === '') return 'null';
+    switch (typeof value) {
         case 'boolean':
-            return 'Boolean';
+            return 'boolean';
+        case 'number':
+            return Number.isInteger(value) ? 'integer' : 'decimal';
+        case 'string':
+            if (ISO_DATE_RE.test(value) && !isNaN(Date.parse(value))) return 'isoDate';
+            if (DATE_LIKE_RE.test(value.trim())) return 'dateLike';
+            if (EMAIL_RE.test(value)) return 'email';
+            if (URL_RE.test(value)) return 'url';
+            return 'text';
         case 'object':
-            if (value === null) return 'Unknown'; // Treat null as Unknown for type determination initially
-            if (Array.isArray(value)) return 'List';
-            return 'Unknown'; // Treat generic objects as Unknown type for now
+            return Array.isArray(value) ? 'list' : 'object';
         default:
-            return 'Unknown';
+            return 'text';
     }
 }
 
+const KIND_TYPES = {
+    boolean: 'Boolean',
+    integer: 'Number',
+    decimal: 'Number',
+    isoDate: 'Date',
+    dateLike: 'Text',
+    email: 'Text',
+    url: 'Text',
+    text: 'Text',
+    list: 'List',
+    object: 'Unknown',
+};
+
+/**
+ * Recommend a data type from the kinds of values seen in a field.
+ * A single type wins outright; numbers mixed with text, or any other scalar mix, fall back to Text,
+ * and mixes involving lists or objects are Unknown.
+ * @param {Object<string, number>} kinds - counts per classifyValue kind, without 'null'
+ * @returns {string}
+ */
+export function recommendDataType(kinds) {
+    const types = new Set(Object.keys(kinds).map(kind => KIND_TYPES[kind]));
+    if (types.size === 0) return 'Unknown';
+    if (types.size === 1) return [...types][0];
+    return types.has('List') || types.has('Unknown') ? 'Unknown' : 'Text';
+}
+
+/**
+ * Profile every field of a list of records by scanning all values: kinds of values seen,
+ * missing and empty counts, a recommended data type and whether the field is always present.
+ * Nested objects are described by profiling their own keys.
+ * @param {object[]} records
+ * @param {number} [depth]
+ * @returns {{ name: string, dataType: string, isRequired: boolean, sampleValues: string[], profile: object }[]}
+ */
+export function profileFields(records, depth = 0) {
+    const stats = new Map();
+    records.forEach(record => {
+        Object.keys(record).forEach(key => {
+            if (!stats.has(key)) {
+                stats.set(key, { present: 0, empty: 0, kinds: {}, samples: new Set(), objects: [], values: new Set(), length: 0 });
+            }
+            const field = stats.get(key);
+            const value = record[key];
+            const kind = classifyValue(value);
+            field.present++;
+            if (kind === 'null') {
+                field.empty++;
+            } else {
+                field.kinds[kind] = (field.kinds[kind] || 0) + 1;
+                if (kind === 'object') field.objects.push(value);
+                if (typeof value !== 'object') {
+                    field.values.add(String(value));
+                    field.length += String(value).length;
+                }
+            }
+
+            // Collect up to 3 unique, non-empty sample values
+            if (field.samples.size < 3) {
+                const sample = getSampleValue(value);
+                if (sample !== null && sample !== undefined && sample !== '') {
+                    field.samples.add(sample);
+                }
+            }
+        });
+    });
+
+    return Array.from(stats, ([name, field]) => {
+        const missing = records.length - field.present;
+        const nested = field.objects.length > 0 && depth < MAX_NESTING_DEPTH ? profileFields(field.objects, depth + 1) : null;
+        return {
+            name,
+            dataType: recommendDataType(field.kinds),
+            isRequired: missing === 0 && field.empty === 0,
+            sampleValues: Array.from(field.samples),
+            profile: {
+                total: records.length,
+                missing,
+                empty: field.empty,
+                // Cardinality of scalar values, for ID/Name suggestions
+                distinct: field.values.size,
+                unique: field.values.size === field.present - field.empty && !field.kinds.list && !field.kinds.object,
+                averageLength: field.values.size > 0 ? field.length / (field.present - field.empty) : 0,
+                kinds: field.kinds,
+                // More than one data type seen (integer/decimal or email/text mixes are not)
+                mixed: new Set(Object.keys(field.kinds).map(kind => KIND_TYPES[kind])).size > 1,
+                nestedFields: nested?.map(({ name: nestedName, dataType, isRequired, profile }) => ({
+                    name: nestedName, dataType, isRequired, nestedFields: profile.nestedFields,
+                })),
+            },
+        };
+    });
+}
+
+const ID_NAME_RE = /(^|[_-])(id|code|key|slug|iso\w*)$|[a-z](Id|Code|Key)$/i;
+const NAME_NAME_RE = /name|title|label/i;
+const NAME_MIN_DISTINCT_RATIO = 0.9;
+
+/**
+ * Suggest the ID and Name fields from field profiles. The ID is the shortest unique, always-present
+ * text or integer field (names like `id` or `code` win ties); the Name is a mostly distinct text field,
+ * preferring names like `name` or `title`.
+ * @param {object[]} fields - from profileFields
+ * @returns {{ idField: string|null, nameField: string|null }}
+ */
+export function suggestKeyFields(fields) {
+    const profiled = fields.filter(f => f.profile);
+    const idField = profiled
+        .filter(({ dataType, profile }) => profile.unique && profile.missing === 0 && profile.empty === 0
+            && (dataType === 'Text' || (dataType === 'Number' && !profile.kinds.decimal)))
+        .sort((a, b) => (ID_NAME_RE.test(b.name) - ID_NAME_RE.test(a.name)) || (a.profile.averageLength - b.profile.averageLength))[0];
+
+    const distinctRatio = ({ profile }) => profile.distinct / profile.total;
+    const nameField = profiled
+        .filter(f => f !== idField && f.profile.kinds.text && f.dataType === 'Text' && distinctRatio(f) >= NAME_MIN_DISTINCT_RATIO)
+        .sort((a, b) => (NAME_NAME_RE.test(b.name) - NAME_NAME_RE.test(a.name))
+            || (distinctRatio(b) - distinctRatio(a))
+            || (b.profile.averageLength - a.profile.averageLength))[0];
+
+    return { idField: idField?.name ?? null, nameField: nameField?.name ?? null };
+}
+
+/**
+ * Find the records that would be skipped when saving: empty or repeated IDs and missing names.
+ * @param {object[]} records
+ * @param {string} idField
+ * @param {string} nameField
+ * @returns {{ emptyIds: number[], duplicateIds: { id: string, indexes: number[] }[], missingNames: number[], count: number }}
+ *   record indexes (zero-based); `count` is the number of records affected
+ */
+export function findKeyProblems(records, idField, nameField) {
+    const emptyIds = [];
+    const missingNames = [];
+    const seen = new Map();
+    records.forEach((record, index) => {
+        const idValue = record[idField];
+        const nameValue = record[nameField];
+        if (nameValue === null || nameValue === undefined) missingNames.push(index);
+        if (idValue === null || idValue === undefined || String(idValue) === '') {
+            emptyIds.push(index);
+            return;
+        }
+        const id = String(idValue);
+        seen.has(id) ? seen.get(id).push(index) : seen.set(id, [index]);
+    });
+    const duplicateIds = Array.from(seen, ([id, indexes]) => ({ id, indexes })).filter(({ indexes }) => indexes.length > 1);
+    const affected = new Set([...emptyIds, ...missingNames, ...duplicateIds.flatMap(({ indexes }) => indexes.slice(1))]);
+    return { emptyIds, duplicateIds, missingNames, count: affected.size };
+}
+
+const KIND_LABELS = { isoDate: 'ISO date', dateLike: 'date-like', integer: 'int' };
+
+/**
+ * One-line summary of a field profile for tables and warnings,
+ * e.g. "int 98%, text 2% · 3% empty" or "object {city, zip}".
+ * @param {object} profile - from profileFields
+ * @returns {string}
+ */
+export function describeFieldProfile(profile) {
+    const valueCount = Object.values(profile.kinds).reduce((sum, count) => sum + count, 0);
+    const percent = (count, total) => `${Math.round((count / total) * 100)}%`;
+    const kinds = Object.entries(profile.kinds)
+        .sort(([, a], [, b]) => b - a)
+        .map(([kind, count]) => {
+            const label = KIND_LABELS[kind] || kind;
+            if (kind === 'object' && profile.nestedFields) {
+                return `${label} {${profile.nestedFields.map(f => f.name).join(', ')}}`;
+            }
+            return Object.keys(profile.kinds).length > 1 ? `${label} ${percent(count, valueCount)}` : label;
+        });
+    const empty = profile.missing + profile.empty;
+    const parts = [kinds.join(', ') || 'no values'];
+    if (empty > 0) parts.push(`${percent(empty, profile.total)} empty`);
+    return parts.join(' · ');
+}
+
 // Helper to get a representative sample value string, mirroring Blazor logic
 export function getSampleValue(value) {
     if (value === null) return 'null';
@@ -124,4 +292,107 @@ export function getSampleValue(value) {
             // Fallback for unexpected types
             return String(value).substring(0, 30);
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Turn raw records (e.g. a ListStor data.json) into dataset items keyed by the ID field.
+ * Records without an ID or name, and repeated IDs, are skipped (the first occurrence wins).
+ * @param {object[]} records
+ * @param {string} idField
+ * @param {string} nameField
+ * @returns {{ items: { id: string, name: string, data: object }[], skipped: number }}
+ */
+export function recordsToItems(records, idField, nameField) {
+    const items = [];
+    const seen = new Set();
+    let skipped = 0;
+    records.forEach(record => {
+        const idValue = record?.[idField];
+        const nameValue = record?.[nameField];
+        if (idValue === null || idValue === undefined || idValue === '' || nameValue === null || nameValue === undefined) {
+            skipped++;
+            return;
+        }
+        const id = String(idValue);
+        if (seen.has(id)) {
+            skipped++;
+            return;
+        }
+        seen.add(id);
+        items.push({ id, name: String(nameValue), data: record });
+    });
+    return { items, skipped };
+}
+
+/**
+ * Build the create-dataset payload from a configured wizard state: items keyed by ID holding
+ * the included fields only, and the included field definitions. Shared by the import wizard,
+ * headless import, `dataset create --data` and `dataset pull`.
+ *
+ * Records with a missing/empty ID or name, and repeated IDs, are skipped (the first occurrence wins).
+ *
+ * @param {{ parsedJson: object[], fields: object[] }} state
+ * @param {{ onSkip?: (message: string, details: { index: number, id?: string }) => void }} [options] - called once per skipped record
+ * @returns {{ idField: object, nameField: object, fields: object[], items: Object<string, object>, sourceIndexes: Object<string, number>, skippedCount: number }}
+ *   `sourceIndexes` maps each item ID to the index of its record
+ */
+export function buildDatasetPayload(state, { onSkip } = {}) {
+    const idField = state.fields.find(f => f.isId);
+    const nameField = state.fields.find(f => f.isName);
+    if (!idField || !nameField) {
+        throw new Error('Select an ID field and a Name field before saving.');
+    }
+    if (!idField.isIncluded || !nameField.isIncluded) {
+        throw new Error('The ID and Name fields cannot be excluded.');
+    }
+    const includedFields = state.fields.filter(f => f.isIncluded);
+
+    const items = {};
+    const sourceIndexes = {};
+    let skippedCount = 0;
+    const skip = (message, details) => {
+        skippedCount++;
+        onSkip?.(message, details);
+    };
+
+    state.parsedJson.forEach((record, index) => {
+        const idValue = record[idField.name];
+        const nameValue = record[nameField.name];
+        if (idValue === null || idValue === undefined || nameValue === null || nameValue === undefined) {
+            skip(`Skipping item at index ${index} due to missing ID ('${idField.name}') or Name ('${nameField.name}') field.`, { index });
+            return;
+        }
+
+        const id = String(idValue);
+        if (!id) {
+            skip(`Skipping item at index ${index} due to empty ID ('${idField.name}') field.`, { index });
+            return;
+        }
+        if (items[id]) {
+            skip(`Skipping item at index ${index}: Duplicate item ID '${id}' already processed. Using first occurrence.`, { index, id });
+            return;
+        }
+
+        const data = {};
+        includedFields.forEach(field => {
+            if (Object.hasOwnProperty.call(record, field.name)) {
+                data[field.name] = record[field.name];
+            }
+        });
+        items[id] = { Id: id, Name: String(nameValue), Data: data, IsArchived: false };
+        sourceIndexes[id] = index;
+    });
+
+    // Field definitions in the shape of RefWireDB.Core.Models.DatasetField
+    const fields = includedFields.map(f => ({
+        Name: f.name,
+        DataType: f.dataType,
+        IsId: f.isId,
+        IsName: f.isName,
+        IsRequired: Boolean(f.isId || f.isName || f.isRequired),
+        IsIncluded: true,
+        SampleValues: f.sampleValues,
+    }));
+
+    return { idField, nameField, fields, items, sourceIndexes, skippedCount };
+}
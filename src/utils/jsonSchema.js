@@ -0,0 +1,214 @@
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { normalizeField } from './datasetDiff.js';
+import { readJsonItems } from './itemStream.js';
+
+const JSON_SCHEMA_DRAFT = 'https://json-schema.org/draft/2020-12/schema';
+
+// Text accepts any scalar (the server stores values as given); Unknown accepts anything
+const TYPE_SCHEMAS = {
+    Text: { type: ['string', 'number', 'boolean'] },
+    Number: { type: 'number' },
+    Boolean: { type: 'boolean' },
+    Date: { type: 'string', anyOf: [{ format: 'date' }, { format: 'date-time' }] },
+    List: { type: 'array' },
+};
+
+/**
+ * Build a JSON Schema (draft 2020-12) for the items of a dataset, `{ id, name, data, isArchived }`,
+ * from its field metadata. Required, ID and Name fields must be present in `data` and not null;
+ * other fields may be null.
+ * @param {object} meta - dataset metadata (dataset get-meta)
+ * @returns {object}
+ */
+export function toJsonSchema(meta) {
+    const fields = (meta.fields || []).map(normalizeField);
+    const properties = {};
+    const required = [];
+    fields.forEach(field => {
+        const typeSchema = TYPE_SCHEMAS[field.dataType] || {};
+        const mustHave = field.isRequired || field.isId || field.isName;
+        if (mustHave) required.push(field.name);
+        properties[field.name] = {
+            ...typeSchema,
+            ...(!mustHave && typeSchema.type ? { type: [...[typeSchema.type].flat(), 'null'] } : {}),
+            'x-refwire-dataType': field.dataType,
+        };
+    });
+
+    return {
+        $schema: JSON_SCHEMA_DRAFT,
+        $id: `refwire:dataset:${meta.id}`,
+        title: meta.name || meta.id,
+        ...(meta.description ? { description: meta.description } : {}),
+        type: 'object',
+        required: ['id', 'name', 'data'],
+        properties: {
+            id: { type: ['string', 'number'], minLength: 1 },
+            name: { type: 'string' },
+            isArchived: { type: 'boolean' },
+            data: { type: 'object', required, properties },
+        },
+        'x-refwire-idField': meta.idField,
+        'x-refwire-nameField': meta.nameField,
+    };
+}
+
+const FORMATS = {
+    date: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+    'date-time': (value) => /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/.test(value) && !Number.isNaN(Date.parse(value)),
+    email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    uri: (value) => {
+        try {
+            return Boolean(new URL(value));
+        } catch {
+            return false;
+        }
+    },
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+const matchesType = (value, type) => {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+};
+
+const describe = (value) => {
+    const text = JSON.stringify(value);
+    return text === undefined ? String(value) : (text.length > 40 ? `${text.slice(0, 37)}...` : text);
+};
+
+/**
+ * Validate a value against a JSON Schema. Supports the keywords used by toJsonSchema and the
+ * common ones in hand-written schemas: type, enum, const, required, properties,
+ * additionalProperties, items, anyOf, oneOf, allOf, format (date, date-time, email, uri),
+ * minimum, maximum, minLength, maxLength, pattern, minItems and maxItems. Other keywords are ignored.
+ * @param {any} value
+ * @param {object} schema
+ * @param {string} [path] - location of the value, used in error paths
+ * @returns {{ path: string, message: string }[]}
+ */
+export function validateAgainstSchema(value, schema, path = '') {
+    if (schema === true || schema === undefined) return [];
+    if (schema === false) return [{ path, message: 'is not allowed' }];
+    const errors = [];
+    const fail = (message, at = path) => errors.push({ path: at, message });
+
+    if (schema.type !== undefined) {
+        const types = [schema.type].flat();
+        if (!types.some(type => matchesType(value, type))) {
+            fail(`expected ${types.join(' or ')}, got ${typeOf(value) === 'integer' ? 'number' : typeOf(value)} ${describe(value)}`);
+            return errors; // Further keywords would only repeat the type error
+        }
+    }
+    if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+        fail(`must be one of ${schema.enum.map(describe).join(', ')}`);
+    }
+    if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+        fail(`must be ${describe(schema.const)}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must be at least ${schema.minLength} character(s) long`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} character(s) long`);
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) fail(`must match ${schema.pattern}`);
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) fail(`${describe(value)} is not a valid ${schema.format}`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} item(s)`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} item(s)`);
+        if (schema.items && typeof schema.items === 'object') {
+            value.forEach((entry, index) => errors.push(...validateAgainstSchema(entry, schema.items, `${path}[${index}]`)));
+        }
+    }
+    if (typeOf(value) === 'object') {
+        const join = (key) => (path ? `${path}.${key}` : key);
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) fail('is required', join(key));
+        });
+        const properties = schema.properties || {};
+        Object.keys(value).forEach(key => {
+            if (properties[key] !== undefined) {
+                errors.push(...validateAgainstSchema(value[key], properties[key], join(key)));
+            } else if (schema.additionalProperties === false) {
+                fail('is not a declared field', join(key));
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateAgainstSchema(value[key], schema.additionalProperties, join(key)));
+            }
+        });
+    }
+
+    if (schema.allOf) {
+        schema.allOf.forEach(subschema => errors.push(...validateAgainstSchema(value, subschema, path)));
+    }
+    if (schema.anyOf && !schema.anyOf.some(subschema => validateAgainstSchema(value, subschema, path).length === 0)) {
+        // Report the closest alternative
+        const attempts = schema.anyOf.map(subschema => validateAgainstSchema(value, subschema, path));
+        errors.push(...attempts.reduce((best, attempt) => (attempt.length < best.length ? attempt : best)));
+    }
+    if (schema.oneOf) {
+        const matches = schema.oneOf.filter(subschema => validateAgainstSchema(value, subschema, path).length === 0).length;
+        if (matches !== 1) fail(matches === 0 ? 'matches none of the allowed shapes' : 'matches more than one of the allowed shapes');
+    }
+    return errors;
+}
+
+/**
+ * Load a JSON Schema from a JSON or YAML file.
+ * @param {string} filePath
+ * @returns {object}
+ */
+export function loadSchemaFile(filePath) {
+    const absolutePath = path.resolve(process.cwd(), filePath);
+    let schema;
+    try {
+        const content = fs.readFileSync(absolutePath, 'utf-8');
+        schema = /\.ya?ml$/i.test(absolutePath) ? YAML.parse(content) : JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Failed to read schema file ${filePath}: ${error.message}`);
+    }
+    if (typeof schema !== 'boolean' && (!schema || typeof schema !== 'object' || Array.isArray(schema))) {
+        throw new Error(`Schema file ${filePath} must contain a JSON Schema object.`);
+    }
+    return schema;
+}
+
+// 'data.population' -> 'population', 'data.tags[2]' -> 'tags', 'id' -> 'id'
+const fieldOf = (errorPath) => {
+    const [first, second] = errorPath.split('.');
+    return (first === 'data' && second !== undefined ? second : first).replace(/\[\d+\]$/, '') || '(item)';
+};
+
+/**
+ * Validate every item of a JSON array or NDJSON file against a schema (`item validate`).
+ * @param {string} filePath
+ * @param {object} schema
+ * @returns {Promise<{ items: { total: number, valid: number, invalid: number }, errors: object[] }>}
+ *   errors are `{ index, id, field, path, message }`, in file order
+ */
+export async function validateItemFile(filePath, schema) {
+    const result = { items: { total: 0, valid: 0, invalid: 0 }, errors: [] };
+    let index = 0;
+    for await (const item of readJsonItems(filePath)) {
+        const errors = validateAgainstSchema(item, schema);
+        const id = item?.id ?? item?.Id;
+        result.items.total++;
+        result.items[errors.length > 0 ? 'invalid' : 'valid']++;
+        errors.forEach(({ path: errorPath, message }) => {
+            result.errors.push({ index, id: id === undefined ? null : String(id), field: fieldOf(errorPath), path: errorPath, message });
+        });
+        index++;
+    }
+    return result;
+}
@@ -0,0 +1,151 @@
+import { toJsonSchema } from './jsonSchema.js';
+import { toPascalCase } from './codegen.js';
+
+/**
+ * OpenAPI 3.1 documents for the public read endpoints of datasets (`dataset openapi`).
+ * 3.1 schemas are JSON Schema 2020-12, so item schemas come straight from toJsonSchema.
+ */
+
+const OPENAPI_VERSION = '3.1.0';
+
+const paging = [
+    { name: 'skip', in: 'query', schema: { type: 'integer', minimum: 0, default: 0 }, description: 'Number of items to skip' },
+    { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, default: 100 }, description: 'Maximum number of items to return' },
+];
+
+// Absolute endpoint URL -> { server, path }; get-by-ID URLs without a template get "/{id}" appended
+function splitUrl(url, { itemTemplate = false } = {}) {
+    const parsed = new URL(url);
+    let pathname = decodeURI(parsed.pathname);
+    if (itemTemplate && !/\{(id|itemId)\}/i.test(pathname)) {
+        pathname = `${pathname.replace(/\/+$/, '')}/{id}`;
+    }
+    return { server: parsed.origin, path: pathname };
+}
+
+const jsonResponse = (description, schema) => ({
+    description,
+    content: { 'application/json': { schema } },
+});
+
+const itemSchema = (meta) => {
+    const schema = toJsonSchema(meta);
+    delete schema.$schema;
+    delete schema.$id;
+    return schema;
+};
+
+function datasetOperations(meta, apiSpec) {
+    const baseName = toPascalCase(meta.id);
+    const ref = { $ref: `#/components/schemas/${baseName}Item` };
+    const list = { type: 'array', items: ref };
+    const tags = [meta.id];
+    const operations = [];
+
+    if (apiSpec.listItemsUrl) {
+        operations.push({
+            url: splitUrl(apiSpec.listItemsUrl),
+            method: 'get',
+            operation: {
+                operationId: `list${baseName}Items`,
+                summary: `List items of ${meta.name || meta.id}`,
+                tags,
+                parameters: [...paging, { name: 'includeArchived', in: 'query', schema: { type: 'boolean', default: false } }],
+                responses: { 200: jsonResponse('A page of items', list) },
+            },
+        });
+    }
+    if (apiSpec.getItemByIdUrl) {
+        const url = splitUrl(apiSpec.getItemByIdUrl, { itemTemplate: true });
+        const parameterName = url.path.match(/\{(id|itemId)\}/i)[1];
+        operations.push({
+            url,
+            method: 'get',
+            operation: {
+                operationId: `get${baseName}Item`,
+                summary: `Get an item of ${meta.name || meta.id} by ID`,
+                tags,
+                parameters: [{ name: parameterName, in: 'path', required: true, schema: { type: 'string' }, description: `Item ID (the '${meta.idField}' field)` }],
+                responses: { 200: jsonResponse('The item', ref), 404: { description: 'Item not found' } },
+            },
+        });
+    }
+    if (apiSpec.searchItemsUrl) {
+        operations.push({
+            url: splitUrl(apiSpec.searchItemsUrl),
+            method: 'get',
+            operation: {
+                operationId: `search${baseName}Items`,
+                summary: `Search items of ${meta.name || meta.id}`,
+                tags,
+                parameters: [{ name: 'searchTerm', in: 'query', required: true, schema: { type: 'string' } }, ...paging],
+                responses: { 200: jsonResponse('Matching items', list) },
+            },
+        });
+    }
+    if (apiSpec.searchItemsByIdsUrl) {
+        operations.push({
+            url: splitUrl(apiSpec.searchItemsByIdsUrl),
+            method: 'post',
+            operation: {
+                operationId: `get${baseName}ItemsByIds`,
+                summary: `Get several items of ${meta.name || meta.id} by ID`,
+                tags,
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/json': {
+                            schema: { type: 'object', required: ['ids'], properties: { ids: { type: 'array', items: { type: 'string' } } } },
+                        },
+                    },
+                },
+                responses: { 200: jsonResponse('The items found', list) },
+            },
+        });
+    }
+    return operations;
+}
+
+/**
+ * Build an OpenAPI 3.1 document for one or more datasets.
+ * @param {{ meta: object, apiSpec: object }[]} datasets - metadata (get-meta) and endpoint URLs (get-api) per dataset
+ * @param {{ title?: string, version?: string }} [options]
+ * @returns {object}
+ */
+export function buildOpenApiDocument(datasets, { title, version } = {}) {
+    const single = datasets.length === 1 ? datasets[0].meta : null;
+    const document = {
+        openapi: OPENAPI_VERSION,
+        info: {
+            title: title || (single ? `${single.name || single.id} API` : 'RefWire Dataset APIs'),
+            version: version || single?.version || '1.0.0',
+            ...(single?.description ? { description: single.description } : {}),
+        },
+        servers: [],
+        tags: datasets.map(({ meta }) => ({ name: meta.id, ...(meta.name ? { description: meta.name } : {}) })),
+        paths: {},
+        components: {
+            schemas: {},
+            securitySchemes: { ApiKey: { type: 'apiKey', in: 'header', name: 'X-Api-Key' } },
+        },
+        // The key is optional: public endpoints may not require one
+        security: [{}, { ApiKey: [] }],
+    };
+
+    datasets.forEach(({ meta, apiSpec }) => {
+        document.components.schemas[`${toPascalCase(meta.id)}Item`] = itemSchema(meta);
+        datasetOperations(meta, apiSpec || {}).forEach(({ url, method, operation }) => {
+            if (document.servers.length === 0) document.servers.push({ url: url.server });
+            const pathItem = document.paths[url.path] ??= {};
+            // Endpoints on another host keep their own server
+            if (url.server !== document.servers[0].url) pathItem.servers = [{ url: url.server }];
+            if (pathItem[method]) {
+                throw new Error(`Two endpoints map to ${method.toUpperCase()} ${url.path} (${pathItem[method].operationId} and ${operation.operationId}).`);
+            }
+            pathItem[method] = operation;
+        });
+    });
+
+    // Operations share parameter and schema objects; copy them so YAML output has no anchors
+    return JSON.parse(JSON.stringify(document));
+}
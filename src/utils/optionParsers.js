@@ -0,0 +1,34 @@
+import { InvalidArgumentError } from 'commander';
+
+/**
+ * Parsers for command-line option values, shared by all commands.
+ * They throw commander's InvalidArgumentError so the usage error names the option.
+ */
+
+// Comma-separated option value ("a,b,c")
+export const parseList = (value) => value.split(',').map(entry => entry.trim()).filter(Boolean);
+
+export const parsePositiveInt = (value) => {
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 1) {
+        throw new InvalidArgumentError('Must be a positive integer.');
+    }
+    return parsed;
+};
+
+export const parseNonNegativeInt = (value) => {
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 0) {
+        throw new InvalidArgumentError('Must be a non-negative integer.');
+    }
+    return parsed;
+};
+
+// Any number of 0 or more, e.g. a timeout in seconds
+export const parseNonNegative = (value) => {
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || parsed < 0) {
+        throw new InvalidArgumentError('Must be a number of 0 or more.');
+    }
+    return parsed;
+};
@@ -1,9 +1,72 @@
 import chalk from 'chalk';
 import Table from 'cli-table3';
 import boxen from 'boxen';
+import YAML from 'yaml';
+import { toCsv } from './csv.js';
+import { parseDuration, describeExpiry, isExpiringWithin, EXPIRY_WARNING_WINDOW } from './duration.js';
+
+export const OUTPUT_FORMATS = ['table', 'json', 'yaml', 'csv'];
+
+let outputFormat = 'table';
+
+/**
+ * Set the output mode for this run (from the global --output flag).
+ * Color is turned off when stdout is not a terminal.
+ * @param {string} format - one of OUTPUT_FORMATS
+ */
+export function setOutputFormat(format) {
+    outputFormat = format || 'table';
+    if (!process.stdout.isTTY) {
+        chalk.level = 0;
+    }
+}
+
+export function getOutputFormat() {
+    return outputFormat;
+}
+
+/**
+ * True for json/yaml/csv: stdout is reserved for the payload.
+ * @returns {boolean}
+ */
+export function isStructuredOutput() {
+    return outputFormat !== 'table';
+}
+
+/**
+ * Print a human-readable line. Goes to stderr in structured modes so it never mixes with the payload.
+ */
+export function printLine(...args) {
+    if (isStructuredOutput()) {
+        console.error(...args);
+    } else {
+        console.log(...args);
+    }
+}
+
+/**
+ * Print a command's result in the selected output mode.
+ * @param {any} data - the payload written in json/yaml/csv modes
+ * @param {((data: any) => void) | null} [renderTable] - renderer for table mode (defaults to pretty JSON, null prints nothing)
+ */
+export function printResult(data, renderTable = printJson) {
+    switch (outputFormat) {
+        case 'json':
+            process.stdout.write(`${JSON.stringify(data ?? null, null, 2)}\n`);
+            break;
+        case 'yaml':
+            process.stdout.write(YAML.stringify(data ?? null));
+            break;
+        case 'csv':
+            process.stdout.write(toCsv(data ?? []));
+            break;
+        default:
+            if (renderTable) renderTable(data);
+    }
+}
 
 export function printSuccess(message) {
-    console.log(chalk.green(`✅ Success: ${message}`));
+    printLine(chalk.green(`✅ Success: ${message}`));
 }
 
 export function printError(message) {
@@ -15,11 +78,11 @@ export function printWarning(message) {
 }
 
 export function printInfo(message) {
-    console.log(chalk.blueBright(`ℹ️ ${message}`));
+    printLine(chalk.blueBright(`ℹ️ ${message}`));
 }
 
 export function printDimmed(message) {
-    console.log(chalk.dim(`ℹ️ ${message}`));
+    printLine(chalk.dim(`ℹ️ ${message}`));
 }
 
 export function printJson(data) {
@@ -27,7 +90,6 @@ export function printJson(data) {
 }
 
 export function printKeyCreated(response) {
-    console.log(response);
     console.log(chalk.green('🔑 API Key Created Successfully!'));
     console.log(chalk.yellow('IMPORTANT: Store this key securely. It will not be shown again.'));
     console.log('------------------------------------------');
@@ -38,26 +100,104 @@ export function printKeyCreated(response) {
     console.log('------------------------------------------');
 }
 
-export function printApiKeysTable(keys) {
+/**
+ * @param {object[]} keys
+ * @param {{ currentKeyId?: string }} [options] - ID of the key this CLI uses, marked in the table
+ */
+export function printApiKeysTable(keys, { currentKeyId } = {}) {
     if (!keys || keys.length === 0) {
         printInfo('No API keys found.');
         return;
     }
+    const warningWindow = parseDuration(EXPIRY_WARNING_WINDOW);
     const table = new Table({
         head: [
             chalk.cyan('ID'),
             chalk.cyan('Name'),
-            chalk.cyan('Expires')
+            chalk.cyan('Scopes'),
+            chalk.cyan('Expires'),
+            chalk.cyan('Status')
         ],
-        colWidths: [38, 20, 25, 25, 30],
+        colWidths: [38, 20, 20, 25, 20],
         wordWrap: true
     });
 
     keys.forEach(key => {
+        const status = describeExpiry(key.expiresAt);
+        const expired = key.expiresAt && Date.parse(key.expiresAt) <= Date.now();
+        const statusColor = expired ? chalk.red : isExpiringWithin(key.expiresAt, warningWindow) ? chalk.yellow : chalk.green;
         table.push([
-            key.id,
+            key.id === currentKeyId ? `${key.id} ${chalk.cyan('(in use)')}` : key.id,
             key.name || '-',
-            key.expiresAt ? new Date(key.expiresAt).toLocaleString() : '-'
+            (key.scopes || []).join(', ') || chalk.dim('none'),
+            key.expiresAt ? new Date(key.expiresAt).toLocaleString() : '-',
+            statusColor(status)
+        ]);
+    });
+    console.log(table.toString());
+}
+
+export function printScopeCatalog(scopes) {
+    const table = new Table({
+        head: [chalk.cyan('Scope'), chalk.cyan('Description'), chalk.cyan('Includes')],
+        colWidths: [20, 55, 30],
+        wordWrap: true
+    });
+    scopes.forEach(scope => {
+        table.push([scope.name, scope.description, scope.name === 'admin' ? 'all scopes' : scope.implies.join(', ') || chalk.dim('-')]);
+    });
+    console.log(table.toString());
+}
+
+export function printWhoAmI(info) {
+    console.log(chalk.bold(`API key ${info.id}`) + (info.name ? ` (${info.name})` : '') + chalk.dim(` on profile '${info.profile}'`));
+    if (info.description) console.log(chalk.dim(info.description));
+    console.log(`${chalk.cyan('Scopes:')}  ${info.scopes.join(', ') || chalk.yellow('none')}`);
+    console.log(`${chalk.cyan('Expires:')} ${info.expiresAt ? `${new Date(info.expiresAt).toLocaleString()} (${describeExpiry(info.expiresAt)})` : 'never'}`);
+
+    console.log(chalk.green(`\nAllowed commands (${info.allowedCommands.length}):`));
+    console.log(`  ${info.allowedCommands.join(', ') || chalk.dim('none')}`);
+    if (info.deniedCommands.length > 0) {
+        console.log(chalk.yellow(`\nNot allowed (${info.deniedCommands.length}):`));
+        info.deniedCommands.forEach(({ command, missing }) => {
+            console.log(`  ${command.padEnd(20)} ${chalk.dim(`needs ${missing.join(', ')}`)}`);
+        });
+    }
+    console.log(chalk.dim('\nCommands not listed (profiles, stor, local files) need no server scope.'));
+    if (!info.remembered) {
+        printDimmed('The scopes could not be remembered (no saved profile), so commands will not be checked against them.');
+    }
+}
+
+/**
+ * Print saved profiles as a table.
+ * @param {object[]} profiles
+ * @param {{ defaultStoreUrl?: string }} [options] - shown for profiles without a store URL
+ */
+export function printProfilesTable(profiles, { defaultStoreUrl } = {}) {
+    if (profiles.length === 0) {
+        printInfo('No saved profiles found. Add one with: refwire profile add <name>');
+        return;
+    }
+
+    const table = new Table({
+        head: [
+            chalk.cyan('Name'),
+            chalk.cyan('Server URL'),
+            chalk.cyan('Store URL'),
+            chalk.cyan('Default'),
+            chalk.cyan('Active'),
+        ],
+        wordWrap: true
+    });
+
+    profiles.forEach(profile => {
+        table.push([
+            profile.name,
+            profile.serverUrl || chalk.red('Not configured'),
+            profile.storeUrl || chalk.dim(defaultStoreUrl ?? '-'),
+            profile.isDefault ? chalk.green('Yes') : 'No',
+            profile.isActive ? chalk.green('Yes') : 'No',
         ]);
     });
     console.log(table.toString());
@@ -93,6 +233,67 @@ export function printInstancesTable(instances) {
     console.log(table.toString());
 }
 
+export function printItemsTable(items, fields) {
+    if (!items || items.length === 0) {
+        printInfo('No items found.');
+        return;
+    }
+
+    // Show the projected fields, or the first few data fields when no projection was given
+    const maxColumns = 4;
+    const allFields = Array.from(new Set(items.flatMap(item => Object.keys(item.data || {}))));
+    const columns = fields && fields.length > 0 ? fields : allFields.slice(0, maxColumns);
+    const showArchived = items.some(item => item.isArchived);
+
+    const table = new Table({
+        head: [
+            chalk.cyan('ID'),
+            chalk.cyan('Name'),
+            ...(showArchived ? [chalk.cyan('Archived')] : []),
+            ...columns.map(column => chalk.cyan(column)),
+        ],
+        wordWrap: true
+    });
+
+    items.forEach(item => {
+        const values = columns.map(column => {
+            const value = item.data ? item.data[column] : undefined;
+            if (value === undefined) return chalk.dim('-');
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        });
+        table.push([
+            item.id,
+            item.name || '-',
+            ...(showArchived ? [item.isArchived ? chalk.yellow('Yes') : 'No'] : []),
+            ...values,
+        ]);
+    });
+    console.log(table.toString());
+
+    if (!fields && allFields.length > columns.length) {
+        printDimmed(`${allFields.length - columns.length} more field(s) hidden. Use --fields or --output json to see them.`);
+    }
+}
+
+export function printItem(item) {
+    if (!item) {
+        printError('No item provided');
+        return;
+    }
+
+    const headerContent = [
+        `${chalk.bold.cyan('Item:')} ${chalk.white(item.name || 'Unnamed')} ${chalk.gray(`(${item.id})`)}`,
+        item.isArchived ? chalk.yellow('Archived') : '',
+    ].filter(Boolean).join('\n');
+
+    console.log(boxen(headerContent, {
+        padding: { left: 1, right: 1 },
+        borderColor: 'blue',
+        borderStyle: 'round'
+    }));
+    printJson(item.data || {});
+}
+
 export function printDatasetMetadata(metadata) {
     if (!metadata) {
         printError('No dataset metadata provided');
@@ -203,7 +404,7 @@ export function printDatasetApi(apiSpec) {
 
     console.log(endpointsTable.toString());
 
-    if (apiSpec.UpdateItemUrlTemplate || apiSpec.ArchiveItemUrlTemplate) {
+    if (/\{(id|itemId)\}/i.test(apiSpec.getItemByIdUrl || '')) {
         console.log(boxen(
             chalk.yellow('Note: URLs marked with templates contain placeholders that need to be replaced with actual item IDs'),
             {
@@ -217,17 +418,373 @@ export function printDatasetApi(apiSpec) {
     // Display usage examples
     console.log(chalk.bold.underline('\nExample Usage:'));
 
-    if (apiSpec.GetItemByIdUrl) {
-        console.log(`${chalk.dim('GET')} ${chalk.cyan(apiSpec.GetItemByIdUrl)} ${chalk.dim('- Retrieves a specific item')}`);
+    if (apiSpec.listItemsUrl) {
+        console.log(`${chalk.dim('GET')} ${chalk.cyan(`${apiSpec.listItemsUrl}?skip=0&limit=25`)} ${chalk.dim('- Lists a page of items')}`);
+    }
+
+    if (apiSpec.getItemByIdUrl) {
+        // Replace the placeholder (or append the ID) with an example ID
+        const exampleGetUrl = /\{(id|itemId)\}/i.test(apiSpec.getItemByIdUrl)
+            ? apiSpec.getItemByIdUrl.replace(/\{(id|itemId)\}/gi, '123456')
+            : `${apiSpec.getItemByIdUrl.replace(/\/+$/, '')}/123456`;
+        console.log(`${chalk.dim('GET')} ${chalk.cyan(exampleGetUrl)} ${chalk.dim('- Retrieves a specific item')}`);
+    }
+
+    if (apiSpec.searchItemsUrl) {
+        console.log(`${chalk.dim('GET')} ${chalk.cyan(`${apiSpec.searchItemsUrl}?searchTerm=united`)} ${chalk.dim('- Finds items matching a search term')}`);
+    }
+
+    if (apiSpec.searchItemsByIdsUrl) {
+        console.log(`${chalk.dim('POST')} ${chalk.cyan(apiSpec.searchItemsByIdsUrl)} ${chalk.dim('{ "ids": [...] } - Retrieves several items by ID')}`);
+    }
+
+    console.log(chalk.dim('\nFor an OpenAPI document of these endpoints, run: refwire dataset openapi <id>'));
+}
+
+export function printDatasetPlan(report, { sourceLabel = 'the manifest' } = {}) {
+    const formatValue = (value) => (value === undefined ? chalk.dim('(none)') : JSON.stringify(value));
+    const preview = (ids, max = 10) => ids.slice(0, max).join(', ') + (ids.length > max ? `, ... (+${ids.length - max} more)` : '');
+
+    const actionLabel = {
+        create: chalk.green('will be created'),
+        update: chalk.yellow('will be updated'),
+        none: chalk.dim('is up to date'),
+    }[report.action];
+    console.log(chalk.bold(`\nDataset '${report.datasetId}' ${actionLabel}\n`));
+
+    if (report.metadata.length > 0) {
+        console.log(chalk.bold.underline('Metadata:'));
+        report.metadata.forEach(change => {
+            console.log(chalk.yellow(`  ~ ${change.property}: ${formatValue(change.from)} → ${formatValue(change.to)}`));
+        });
+    }
+
+    const { added, removed, retyped, changed } = report.fields;
+    if (added.length + removed.length + retyped.length + changed.length > 0) {
+        console.log(chalk.bold.underline('Fields:'));
+        added.forEach(f => console.log(chalk.green(`  + ${f.name} (${f.dataType})`)));
+        removed.forEach(f => console.log(chalk.red(`  - ${f.name} (${f.dataType})`)));
+        retyped.forEach(f => console.log(chalk.yellow(`  ~ ${f.name}: ${f.from} → ${f.to}`)));
+        changed.forEach(f => console.log(chalk.yellow(`  ~ ${f.name}.${f.property}: ${f.from} → ${f.to}`)));
+    }
+
+    if (report.items) {
+        const { create, update, archive, unchanged, retained, archived } = report.items;
+        console.log(chalk.bold.underline('Items:'));
+        if (create.length > 0) console.log(chalk.green(`  + ${create.length} to create: ${preview(create)}`));
+        if (update.length > 0) {
+            console.log(chalk.yellow(`  ~ ${update.length} to update:`));
+            update.slice(0, 10).forEach(({ id, changes }) => {
+                console.log(chalk.yellow(`      ${id}: ${changes.map(c => c.path).join(', ')}`));
+            });
+            if (update.length > 10) console.log(chalk.dim(`      ... (+${update.length - 10} more)`));
+        }
+        if (archive.length > 0) console.log(chalk.red(`  - ${archive.length} to archive: ${preview(archive)}`));
+        if (archived.length > 0) {
+            console.log(chalk.dim(`  = ${archived.length} archived on the server, left archived (apply cannot restore items): ${preview(archived)}`));
+        }
+        console.log(chalk.dim(`    ${unchanged} unchanged${retained ? `, ${retained} not in ${sourceLabel} kept` : ''}`));
+    }
+
+    if (report.unsupported.length > 0) {
+        report.unsupported.forEach(change => {
+            printWarning(`${change.property} differs (${formatValue(change.from)} → ${formatValue(change.to)}) but cannot be changed by apply. Re-create the dataset to change it.`);
+        });
+    }
+
+    if (!report.hasChanges) {
+        printInfo(`No changes. The server matches ${sourceLabel}.`);
+    }
+}
+
+export function printDatasetDiff(report, { maxEntries = 50 } = {}) {
+    const formatValue = (value) => (value === undefined ? chalk.dim('(missing)') : JSON.stringify(value));
+    const more = (count) => {
+        if (count > maxEntries) console.log(chalk.dim(`    ... (+${count - maxEntries} more, use --output json for the full report)`));
+    };
+
+    console.log(chalk.bold(`\nComparing ${chalk.cyan(report.left)} → ${chalk.cyan(report.right)}\n`));
+
+    if (report.schema) {
+        const { added, removed, retyped, changed } = report.schema;
+        if (added.length + removed.length + retyped.length + changed.length > 0) {
+            console.log(chalk.bold.underline('Schema:'));
+            added.forEach(f => console.log(chalk.green(`  + ${f.name} (${f.dataType})`)));
+            removed.forEach(f => console.log(chalk.red(`  - ${f.name} (${f.dataType})`)));
+            retyped.forEach(f => console.log(chalk.yellow(`  ~ ${f.name}: ${f.from} → ${f.to}`)));
+            changed.forEach(f => console.log(chalk.yellow(`  ~ ${f.name}.${f.property}: ${f.from} → ${f.to}`)));
+        } else {
+            console.log(chalk.dim('Schema: no changes'));
+        }
+    } else {
+        console.log(chalk.dim('Schema: not compared (one side has no field definitions)'));
+    }
+
+    const { added, removed, changed, unchanged } = report.items;
+    console.log(chalk.bold.underline(`\nItems: ${added.length} added, ${removed.length} removed, ${changed.length} changed, ${unchanged} unchanged`));
+    added.slice(0, maxEntries).forEach(item => console.log(chalk.green(`  + ${item.id}  ${chalk.dim(item.name)}`)));
+    more(added.length);
+    removed.slice(0, maxEntries).forEach(item => console.log(chalk.red(`  - ${item.id}  ${chalk.dim(item.name)}`)));
+    more(removed.length);
+    changed.slice(0, maxEntries).forEach(({ id, changes }) => {
+        console.log(chalk.yellow(`  ~ ${id}`));
+        changes.forEach(change => console.log(`      ${change.path}: ${chalk.red(formatValue(change.from))} → ${chalk.green(formatValue(change.to))}`));
+    });
+    more(changed.length);
+
+    if (!report.hasDifferences) {
+        printSuccess('No differences found.');
+    }
+}
+
+export function printStorSearchResults(entries, term) {
+    if (!entries || entries.length === 0) {
+        printInfo(`No ListStor datasets match '${term}'.`);
+        return;
+    }
+    const table = new Table({
+        head: [
+            chalk.cyan('ID'),
+            chalk.cyan('Title'),
+            chalk.cyan('Latest'),
+            chalk.cyan('Items'),
+            chalk.cyan('Description'),
+        ],
+        colWidths: [24, 28, 10, 9, 45],
+        wordWrap: true
+    });
+    entries.forEach(entry => {
+        table.push([
+            chalk.white(entry.id),
+            entry.title,
+            entry.version || chalk.dim('-'),
+            entry.itemCount ?? chalk.dim('-'),
+            chalk.dim(entry.description || ''),
+        ]);
+    });
+    console.log(table.toString());
+    printDimmed(`Pull one with: refwire dataset pull <id>`);
+}
+
+export function printStorDatasetInfo(info) {
+    const versions = info.versions.length > 0
+        ? info.versions.slice(0, 10).join(', ') + (info.versions.length > 10 ? `, ... (+${info.versions.length - 10} more)` : '')
+        : 'None published';
+
+    const content = [
+        `${chalk.bold.cyan('Dataset:')} ${chalk.white(info.title || 'Untitled')} ${chalk.gray(`(${info.id})`)}`,
+        info.description ? `${chalk.bold.cyan('Description:')} ${chalk.white(info.description)}` : '',
+        `${chalk.bold.cyan('ID Field:')} ${chalk.yellow(info.idField || 'None')}`,
+        `${chalk.bold.cyan('Name Field:')} ${chalk.yellow(info.nameField || 'None')}`,
+        `${chalk.bold.cyan('Items:')} ${info.itemCount ?? chalk.dim('unknown')}`,
+        `${chalk.bold.cyan('Latest Version:')} ${chalk.green(info.latestVersion || 'unknown')}`,
+        `${chalk.bold.cyan('Versions:')} ${versions}`,
+    ].filter(Boolean).join('\n');
+
+    console.log(boxen(content, {
+        padding: 1,
+        margin: { top: 1, bottom: 1 },
+        borderColor: 'blue',
+        borderStyle: 'round'
+    }));
+    printDimmed(`Pull it with: refwire dataset pull ${info.id}${info.latestVersion ? ` --dataset-version ${info.latestVersion}` : ''}`);
+}
+
+export function printStorVersions(datasetId, versions) {
+    if (!versions || versions.length === 0) {
+        printInfo(`No published versions found for '${datasetId}'.`);
+        return;
+    }
+    const table = new Table({
+        head: [chalk.cyan('Version'), chalk.cyan('Published'), chalk.cyan('Items')],
+    });
+    versions.forEach((entry, index) => {
+        table.push([
+            index === 0 ? chalk.green(`${entry.version} (latest)`) : entry.version,
+            entry.publishedAt || chalk.dim('-'),
+            entry.itemCount ?? chalk.dim('-'),
+        ]);
+    });
+    console.log(table.toString());
+}
+
+export function printPackageCacheTable(entries) {
+    if (!entries || entries.length === 0) {
+        printInfo('The package cache is empty. Fill it with: refwire stor download <id>');
+        return;
     }
+    const table = new Table({
+        head: [
+            chalk.cyan('ID'),
+            chalk.cyan('Version'),
+            chalk.cyan('Size'),
+            chalk.cyan('Downloaded'),
+            chalk.cyan('SHA-256'),
+        ],
+    });
+    entries.forEach(entry => {
+        table.push([
+            chalk.white(entry.id),
+            entry.version,
+            `${(entry.size / 1024).toFixed(1)} KB`,
+            entry.downloadedAt,
+            chalk.dim(`${entry.sha256.slice(0, 12)}…`),
+        ]);
+    });
+    console.log(table.toString());
+    const total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    console.log(chalk.dim(`\n${entries.length} package(s), ${(total / 1024 / 1024).toFixed(2)} MB`));
+}
 
-    if (apiSpec.SearchItemsUrl) {
-        console.log(`${chalk.dim('POST')} ${chalk.cyan(apiSpec.SearchItemsUrl)} ${chalk.dim('- Finds items matching query criteria')}`);
+/**
+ * List the records that will be skipped because of their ID or Name values (from jsonProcessor.findKeyProblems).
+ * Indexes are shown zero-based, matching the skip warnings.
+ */
+export function printKeyProblems(problems, idField, nameField, { maxEntries = 10 } = {}) {
+    const { emptyIds, duplicateIds, missingNames, count } = problems;
+    if (count === 0) return;
+    const at = (indexes) => {
+        const shown = indexes.length > maxEntries
+            ? `${indexes.slice(0, maxEntries).join(', ')} (+${indexes.length - maxEntries} more)`
+            : indexes.join(', ');
+        return `at ${indexes.length > 1 ? 'indexes' : 'index'} ${shown}`;
+    };
+
+    printWarning(`${count} record(s) will be skipped because of their ID or Name values:`);
+    if (emptyIds.length > 0) {
+        printLine(chalk.yellow(`  Empty ID ('${idField}') ${at(emptyIds)}`));
     }
+    duplicateIds.slice(0, maxEntries).forEach(({ id, indexes }) => {
+        printLine(chalk.yellow(`  Duplicate ID '${id}' ${at(indexes)} (the first is kept)`));
+    });
+    if (duplicateIds.length > maxEntries) {
+        printLine(chalk.dim(`  ... (+${duplicateIds.length - maxEntries} more duplicate IDs)`));
+    }
+    if (missingNames.length > 0) {
+        printLine(chalk.yellow(`  Missing Name ('${nameField}') ${at(missingNames)}`));
+    }
+}
 
-    if (apiSpec.UpdateItemUrlTemplate) {
-        // Extract base URL and replace placeholder with example ID
-        const exampleUpdateUrl = apiSpec.UpdateItemUrlTemplate.replace('{id}', '123456');
-        console.log(`${chalk.dim('PUT')} ${chalk.cyan(exampleUpdateUrl)} ${chalk.dim('- Updates an existing item')}`);
+/**
+ * Show the first records after field transforms, one column per field.
+ */
+export function printTransformPreview(records, { rows = 3 } = {}) {
+    const sample = records.slice(0, rows);
+    if (sample.length === 0) return;
+    const columns = Array.from(new Set(sample.flatMap(record => Object.keys(record))));
+    const formatValue = (value) => {
+        if (value === undefined) return chalk.dim('-');
+        const text = typeof value === 'string' ? value : JSON.stringify(value);
+        return text.length > 24 ? `${text.slice(0, 21)}...` : text;
+    };
+    const table = new Table({ head: columns.map(column => chalk.cyan(column)), wordWrap: true });
+    sample.forEach(record => table.push(columns.map(column => formatValue(record[column]))));
+    printLine(chalk.bold(`\nPreview of the first ${sample.length} transformed record(s):`));
+    printLine(table.toString());
+}
+
+export const formatBytes = (bytes) => (bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(2)} MB` : `${(bytes / 1024).toFixed(1)} KB`);
+
+/**
+ * Print a `--dry-run` validation report (from utils/validationReport.js).
+ */
+export function printValidationReport(report, { maxEntries = 20 } = {}) {
+    const more = (count) => {
+        if (count > maxEntries) console.log(chalk.dim(`    ... (+${count - maxEntries} more, use --output json for the full report)`));
+    };
+    const { items, skipped, duplicateIds, violations, payload } = report;
+
+    console.log(chalk.bold(`\nDry run of ${chalk.cyan(report.command)} for dataset ${chalk.cyan(report.datasetId)}: nothing was sent.\n`));
+    console.log(`${chalk.bold('Items:')}   ${items.valid} to send, ${items.skipped} skipped (${items.total} read)`);
+    const batches = payload.batches !== undefined ? `, ${payload.batches} batch(es), largest ${formatBytes(payload.largestBatchBytes)}` : '';
+    console.log(`${chalk.bold('Payload:')} ${formatBytes(payload.bytes)}${batches}`);
+
+    if (skipped.length > 0) {
+        console.log(chalk.bold.underline(`\nSkipped records (${skipped.length}):`));
+        skipped.slice(0, maxEntries).forEach(({ index, reason }) => console.log(chalk.yellow(`  [${index}] ${reason}`)));
+        more(skipped.length);
+    }
+    if (duplicateIds.length > 0) {
+        console.log(chalk.bold.underline(`\nDuplicate IDs (${duplicateIds.length}):`));
+        duplicateIds.slice(0, maxEntries).forEach(({ id, indexes }) => console.log(chalk.yellow(`  '${id}' at indexes ${indexes.join(', ')}`)));
+        more(duplicateIds.length);
+    }
+    if (violations.length > 0) {
+        console.log(chalk.bold.underline(`\nField violations (${violations.length}):`));
+        violations.slice(0, maxEntries).forEach(({ index, id, field, rule, expected, value }) => {
+            const problem = rule === 'required' ? 'is required but missing' : `expects ${expected}, got ${value}`;
+            console.log(chalk.red(`  [${index}] ${id}: '${field}' ${problem}`));
+        });
+        more(violations.length);
+    }
+
+    if (report.hasProblems) {
+        printWarning('Validation found problems (see above).');
+    } else {
+        printSuccess('Validation passed. Run again without --dry-run to send.');
+    }
+}
+
+/**
+ * Print the result of `item validate`, grouping errors by item and then by field.
+ * @param {object} result - from jsonSchema.validateItemFile, with datasetId and schema source
+ * @param {{ maxEntries?: number }} [options] - number of items to list
+ */
+export function printItemValidation(result, { maxEntries = 20 } = {}) {
+    const { items, errors } = result;
+    console.log(chalk.bold(`\nValidated ${items.total} item(s) against ${chalk.cyan(result.schema)}: ${items.valid} valid, ${items.invalid} invalid.`));
+
+    const byItem = new Map();
+    errors.forEach(error => {
+        if (!byItem.has(error.index)) byItem.set(error.index, { id: error.id, fields: new Map() });
+        const { fields } = byItem.get(error.index);
+        if (!fields.has(error.field)) fields.set(error.field, []);
+        fields.get(error.field).push(error);
+    });
+
+    Array.from(byItem).slice(0, maxEntries).forEach(([index, { id, fields }]) => {
+        console.log(chalk.bold(`\n  [${index}] ${id ?? '(no id)'}`));
+        fields.forEach((fieldErrors, field) => {
+            fieldErrors.forEach(({ path, message }) => {
+                const location = path && path !== field && path !== `data.${field}` ? ` (${path})` : '';
+                console.log(chalk.red(`    ${field}${location}: ${message}`));
+            });
+        });
+    });
+    if (byItem.size > maxEntries) {
+        console.log(chalk.dim(`\n  ... (+${byItem.size - maxEntries} more invalid item(s), use --output json for the full list)`));
     }
-}
\ No newline at end of file
+    console.log();
+
+    if (items.invalid > 0) {
+        printWarning(`${items.invalid} item(s) do not match the schema.`);
+    } else {
+        printSuccess('All items match the schema.');
+    }
+}
+
+/**
+ * Print the result of `backup restore`, including the newly issued API keys.
+ * @param {{ target: string, datasets: object[], failed: object|null, apiKeys: object[], skippedApiKeys: string[], expiredApiKeys: string[] }} result
+ */
+export function printBackupRestore(result) {
+    const items = result.datasets.reduce((sum, dataset) => sum + dataset.items, 0);
+    const summary = `${result.datasets.length} dataset(s) with ${items} item(s) to ${result.target}.`;
+    result.failed ? printWarning(`Restored only ${summary}`) : printSuccess(`Restored ${summary}`);
+    result.datasets.forEach(({ id, items: count, archived }) => {
+        console.log(`  ${chalk.white(id)}: ${count} item(s)${archived > 0 ? chalk.dim(`, ${archived} archived`) : ''}`);
+    });
+
+    if (result.skippedApiKeys.length > 0) {
+        printInfo(`API keys already on the server, left unchanged: ${result.skippedApiKeys.join(', ')}`);
+    }
+    if (result.expiredApiKeys.length > 0) {
+        printWarning(`API keys that have expired since the backup, not recreated: ${result.expiredApiKeys.join(', ')}`);
+    }
+    if (result.apiKeys.length > 0) {
+        console.log(chalk.yellow(`\n${result.apiKeys.length} API key(s) recreated with new secrets. Store them securely; they will not be shown again.`));
+        const table = new Table({ head: [chalk.cyan('Name'), chalk.cyan('ID'), chalk.cyan('Key'), chalk.cyan('Expires')] });
+        result.apiKeys.forEach(key => table.push([key.name, key.id ?? '-', chalk.cyan(key.key ?? '-'), key.expiresAt ? new Date(key.expiresAt).toLocaleString() : '-']));
+        console.log(table.toString());
+    }
+}
@@ -0,0 +1,39 @@
+import chalk from 'chalk';
+
+/**
+ * A single-line progress bar drawn on stderr. It only renders on a terminal,
+ * so piped and CI output is not flooded with redraws.
+ *
+ * @param {{ label?: string, width?: number }} [options]
+ * @returns {{ update: (ratio: number, detail?: string) => void, stop: () => void }}
+ */
+export function createProgressBar({ label = 'Progress', width = 30 } = {}) {
+    const enabled = Boolean(process.stderr.isTTY);
+    let lastDraw = 0;
+    let drawn = false;
+
+    const draw = (ratio, detail) => {
+        const clamped = Math.max(0, Math.min(1, ratio || 0));
+        const filled = Math.round(clamped * width);
+        const bar = chalk.green('█'.repeat(filled)) + chalk.dim('░'.repeat(width - filled));
+        const percent = `${Math.floor(clamped * 100)}%`.padStart(4);
+        process.stderr.write(`\r${label} ${bar} ${percent}${detail ? ` ${chalk.dim(detail)}` : ''}\x1b[K`);
+        drawn = true;
+    };
+
+    return {
+        update(ratio, detail) {
+            if (!enabled) return;
+            // Redraw at most every 100ms, but always show completion
+            const now = Date.now();
+            if (ratio < 1 && now - lastDraw < 100) return;
+            lastDraw = now;
+            draw(ratio, detail);
+        },
+        stop() {
+            if (enabled && drawn) {
+                process.stderr.write('\n');
+            }
+        },
+    };
+}
@@ -0,0 +1,25 @@
+const SEMVER_RE = /^\d+\.\d+\.\d+$/;
+
+/**
+ * Whether a version string is plain x.y.z, the format ListStor publishes.
+ * @param {string} version
+ * @returns {boolean}
+ */
+export const isSemver = (version) => SEMVER_RE.test(String(version));
+
+/**
+ * Compare two x.y.z versions for sorting; anything else sorts after real versions, by name.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function compareSemver(a, b) {
+    if (!isSemver(a) || !isSemver(b)) {
+        return isSemver(a) ? -1 : isSemver(b) ? 1 : String(a).localeCompare(String(b));
+    }
+    const [left, right] = [a, b].map(v => v.split('.').map(Number));
+    for (let i = 0; i < 3; i++) {
+        if (left[i] !== right[i]) return left[i] - right[i];
+    }
+    return 0;
+}
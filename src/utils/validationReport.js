@@ -0,0 +1,125 @@
+import { normalizeField, normalizeItem } from './datasetDiff.js';
+
+const isMissing = (value) => value === null || value === undefined;
+
+/**
+ * Whether a value fits a declared field type. Text accepts any scalar, Unknown accepts anything.
+ * @param {any} value - a non-null value
+ * @param {string} dataType
+ * @returns {boolean}
+ */
+export function matchesDataType(value, dataType) {
+    switch (dataType) {
+        case 'Text':
+            return typeof value !== 'object';
+        case 'Number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'Boolean':
+            return typeof value === 'boolean';
+        case 'Date':
+            return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+        case 'List':
+            return Array.isArray(value);
+        default:
+            return true;
+    }
+}
+
+const describeValue = (value) => {
+    const text = JSON.stringify(value);
+    return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+};
+
+/**
+ * Collect a `--dry-run` validation report item by item: skipped records with their reasons,
+ * duplicate IDs, values that break the declared field types or required flags, and payload size.
+ *
+ * @param {{ command: string, datasetId: string, fields?: object[] }} options - declared fields, camelCase or PascalCase
+ * @returns {{ skip: Function, addItem: Function, finish: Function }}
+ */
+export function createValidationReport({ command, datasetId, fields = [] }) {
+    const declared = fields.map(normalizeField);
+    const indexesById = new Map();
+    const report = {
+        command,
+        datasetId,
+        dryRun: true,
+        items: { total: 0, valid: 0, skipped: 0 },
+        skipped: [],
+        duplicateIds: [],
+        violations: [],
+        payload: { bytes: 0 },
+        hasProblems: false,
+    };
+
+    const track = (id, index) => {
+        if (id === undefined) return;
+        indexesById.has(id) ? indexesById.get(id).push(index) : indexesById.set(id, [index]);
+    };
+
+    return {
+        /**
+         * Record a source record that will not be sent.
+         * @param {number} index - position in the source
+         * @param {string} reason
+         * @param {string} [id]
+         */
+        skip(index, reason, id) {
+            report.items.total++;
+            report.items.skipped++;
+            report.skipped.push({ index, id, reason });
+            track(id, index);
+        },
+
+        /**
+         * Check an item that will be sent, in API ({ id, name, data }) or payload ({ Id, Name, Data }) shape.
+         * @param {object} item
+         * @param {number} index
+         */
+        addItem(item, index) {
+            const { id, data } = normalizeItem(item);
+            report.items.total++;
+            report.items.valid++;
+            track(id, index);
+            declared.forEach(field => {
+                const value = data?.[field.name];
+                if (isMissing(value)) {
+                    if (field.isRequired || field.isId || field.isName) {
+                        report.violations.push({ index, id, field: field.name, rule: 'required', expected: field.dataType, value: null });
+                    }
+                } else if (!matchesDataType(value, field.dataType)) {
+                    report.violations.push({ index, id, field: field.name, rule: 'type', expected: field.dataType, value: describeValue(value) });
+                }
+            });
+        },
+
+        /**
+         * @param {{ bytes: number, batches?: number, largestBatchBytes?: number }} payload - size of what would be sent
+         * @returns {object} the report
+         */
+        finish(payload) {
+            report.payload = payload;
+            report.duplicateIds = Array.from(indexesById, ([id, indexes]) => ({ id, indexes: indexes.sort((a, b) => a - b) })).filter(({ indexes }) => indexes.length > 1);
+            report.hasProblems = report.items.skipped > 0 || report.violations.length > 0 || report.duplicateIds.length > 0;
+            return report;
+        },
+    };
+}
+
+/**
+ * Validation report for a create-dataset (or upgrade) payload built locally.
+ * @param {object} options
+ * @param {string} options.command
+ * @param {{ id: string, fields: object[], items: object|object[] }} options.body - the request body that would be sent
+ * @param {{ index: number, id?: string, reason: string }[]} [options.skipped] - records left out while building it
+ * @param {Object<string, number>} [options.sourceIndexes] - source record index per item ID (defaults to payload order)
+ * @returns {object}
+ */
+export function validateDatasetPayload({ command, body, skipped = [], sourceIndexes = {} }) {
+    const report = createValidationReport({ command, datasetId: body.id, fields: body.fields });
+    skipped.forEach(({ index, reason, id }) => report.skip(index, reason, id));
+    (Array.isArray(body.items) ? body.items : Object.values(body.items || {})).forEach((item, position) => {
+        report.addItem(item, sourceIndexes[normalizeItem(item).id] ?? position);
+    });
+    return report.finish({ bytes: Buffer.byteLength(JSON.stringify(body)) });
+}
@@ -0,0 +1,146 @@
+import JSZip from 'jszip';
+
+// Built-in number formats that display dates (ECMA-376, 18.8.30)
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+const EXCEL_EPOCH_OFFSET_DAYS = 25569; // 1900-01-01 serial of 1970-01-01
+const DATE1904_OFFSET_DAYS = 1462;
+
+function decodeXml(text) {
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+function parseAttributes(tag) {
+    const attributes = {};
+    for (const [, name, value] of tag.matchAll(/([\w:]+)="([^"]*)"/g)) {
+        attributes[name] = decodeXml(value);
+    }
+    return attributes;
+}
+
+// Concatenate the <t> runs of a string item, skipping phonetic (<rPh>) hints
+function readText(xml) {
+    return xml
+        .replace(/<rPh\b[\s\S]*?<\/rPh>/g, '')
+        .match(/<t\b[^>]*>[\s\S]*?<\/t>/g)
+        ?.map(run => decodeXml(run.replace(/^<t\b[^>]*>|<\/t>$/g, '')))
+        .join('') ?? '';
+}
+
+// "AB12" -> 27 (zero-based column index)
+function columnIndex(reference) {
+    const letters = reference.replace(/\d+$/, '');
+    let index = 0;
+    for (const letter of letters) {
+        index = index * 26 + (letter.charCodeAt(0) - 64);
+    }
+    return index - 1;
+}
+
+function serialToIsoDate(serial, date1904) {
+    const days = serial - EXCEL_EPOCH_OFFSET_DAYS + (date1904 ? DATE1904_OFFSET_DAYS : 0);
+    const iso = new Date(Math.round(days * 86400000)).toISOString();
+    return Number.isInteger(serial) ? iso.slice(0, 10) : iso;
+}
+
+async function readEntry(zip, name) {
+    const entry = zip.file(name);
+    return entry ? entry.async('string') : null;
+}
+
+async function loadWorkbook(buffer) {
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(buffer);
+    } catch (error) {
+        throw new Error(`Not a valid XLSX file: ${error.message}`);
+    }
+
+    const workbookXml = await readEntry(zip, 'xl/workbook.xml');
+    if (!workbookXml) {
+        throw new Error('Not a valid XLSX file: xl/workbook.xml is missing.');
+    }
+    const relsXml = (await readEntry(zip, 'xl/_rels/workbook.xml.rels')) || '';
+    const targets = new Map(Array.from(relsXml.matchAll(/<Relationship\b[^>]*>/g), ([tag]) => {
+        const { Id, Target } = parseAttributes(tag);
+        return [Id, Target.startsWith('/') ? Target.slice(1) : `xl/${Target}`];
+    }));
+    const sheets = Array.from(workbookXml.matchAll(/<sheet\b[^>]*>/g), ([tag]) => {
+        const attributes = parseAttributes(tag);
+        return { name: attributes.name, path: targets.get(attributes['r:id']) };
+    });
+
+    return { zip, sheets, date1904: /<workbookPr\b[^>]*date1904="(1|true)"/.test(workbookXml) };
+}
+
+/**
+ * List the worksheet names of an XLSX workbook, in workbook order.
+ * @param {Buffer} buffer
+ * @returns {Promise<string[]>}
+ */
+export async function readXlsxSheetNames(buffer) {
+    const { sheets } = await loadWorkbook(buffer);
+    return sheets.map(sheet => sheet.name);
+}
+
+/**
+ * Read the cells of one worksheet as rows. Strings, numbers and booleans keep their type;
+ * cells formatted as dates become ISO strings; empty and error cells are null.
+ * @param {Buffer} buffer
+ * @param {string} [sheetName] - defaults to the first sheet
+ * @returns {Promise<any[][]>}
+ */
+export async function readXlsxRows(buffer, sheetName) {
+    const { zip, sheets, date1904 } = await loadWorkbook(buffer);
+    const sheet = sheetName ? sheets.find(s => s.name === sheetName) : sheets[0];
+    if (!sheet) {
+        throw new Error(`Sheet '${sheetName}' not found. Available sheets: ${sheets.map(s => s.name).join(', ')}`);
+    }
+    const sheetXml = await readEntry(zip, sheet.path);
+    if (!sheetXml) {
+        throw new Error(`Sheet '${sheet.name}' has no data part (${sheet.path}).`);
+    }
+
+    const sharedStringsXml = (await readEntry(zip, 'xl/sharedStrings.xml')) || '';
+    const sharedStrings = Array.from(sharedStringsXml.matchAll(/<si>([\s\S]*?)<\/si>/g), ([, item]) => readText(item));
+
+    // Which cell styles (the "s" attribute) display numbers as dates
+    const stylesXml = (await readEntry(zip, 'xl/styles.xml')) || '';
+    const customDateFormats = new Set(Array.from(stylesXml.matchAll(/<numFmt\b[^>]*>/g), ([tag]) => parseAttributes(tag))
+        .filter(({ formatCode }) => /[dmy]/i.test(formatCode.replace(/"[^"]*"|\[[^\]]*\]/g, '')))
+        .map(({ numFmtId }) => Number(numFmtId)));
+    const cellXfs = stylesXml.match(/<cellXfs\b[\s\S]*?<\/cellXfs>/)?.[0] || '';
+    const dateStyles = Array.from(cellXfs.matchAll(/<xf\b[^>]*>/g), ([tag]) => {
+        const numFmtId = Number(parseAttributes(tag).numFmtId);
+        return BUILTIN_DATE_FORMATS.has(numFmtId) || customDateFormats.has(numFmtId);
+    });
+
+    const rows = [];
+    for (const [, rowXml] of sheetXml.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+        const row = [];
+        for (const [, attributeText, content = ''] of rowXml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const { r, t, s } = parseAttributes(attributeText);
+            const index = r ? columnIndex(r) : row.length;
+            const raw = content.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+
+            let value = null;
+            if (t === 's') value = sharedStrings[Number(raw)] ?? null;
+            else if (t === 'inlineStr') value = readText(content);
+            else if (t === 'str') value = raw !== undefined ? decodeXml(raw) : null;
+            else if (t === 'b') value = raw === '1';
+            else if (t !== 'e' && raw !== undefined) {
+                const number = Number(raw);
+                value = dateStyles[Number(s)] ? serialToIsoDate(number, date1904) : number;
+            }
+            row[index] = value;
+        }
+        rows.push(Array.from(row, cell => cell ?? null));
+    }
+    return rows;
+}